@@ -847,6 +847,22 @@ declare module 'rxjs/operators' {
   declare export function refCount<T>(): rxjs$MonoTypeOperatorFunction<T>;
   declare export function take<T>(count: number): rxjs$MonoTypeOperatorFunction<T>;
   declare export function publishReplay<T, R>(bufferSize?: number, windowTime?: number, selector?: rxjs$OperatorFunction<T, R>, scheduler?: rxjs$SchedulerClass): rxjs$OperatorFunction<T, R>;
+  declare export function distinctUntilChanged<T>(compare?: (x: T, y: T) => boolean): rxjs$MonoTypeOperatorFunction<T>;
+  declare export function ignoreElements<T, R>(): rxjs$OperatorFunction<T, R>;
+  declare export function multicast<T, R>(
+    subjectFactory: () => rxjs$Subject<T>,
+    selector: (source: rxjs$Observable<T>) => rxjs$Observable<R>,
+  ): rxjs$OperatorFunction<T, R>;
+  declare export function skip<T>(count: number): rxjs$MonoTypeOperatorFunction<T>;
+  declare export function tap<T>(
+    next?: (value: T) => mixed,
+    error?: (error: any) => mixed,
+    complete?: () => mixed,
+  ): rxjs$MonoTypeOperatorFunction<T>;
+}
+
+declare module 'rxjs/observable/merge' {
+  declare export function merge<T>(...sources: Array<rxjs$Observable<T>>): rxjs$Observable<T>;
 }
 
 declare module 'rxjs/observable/combineLatest' {
@@ -0,0 +1,252 @@
+/* @flow */
+import { Observable } from 'rxjs/Observable';
+
+import _ from 'lodash';
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+export type Network = 'main' | 'test';
+
+export type FeatureConfig = {|
+  enabled: boolean,
+  privateKey?: string,
+  secondsPerBlock?: number,
+  maxTransactionsPerBlock?: number,
+|};
+
+export type Config = {|
+  network: Network,
+  protocol?: string,
+  dataPath: string,
+  chain?: string,
+  node: {|
+    seeds: Array<{| host: string, port: number |}>,
+    listenTCP?: {| port: number, host?: string |},
+    externalEndpoints?: Array<{| host: string, port: number |}>,
+    connectPeersDelayMS?: number,
+    maxConnectedPeers?: number,
+    socketTimeoutMS?: number,
+  |},
+  rpc: {|
+    http?: {| port: number, host: string |},
+    https?: {| key: string, cert: string, port: number, host: string |},
+    server: {| keepAliveTimeout: number |},
+    readyHealthCheck: {|
+      rpcEndpoints: Array<string>,
+      offset: number,
+      timeoutMS: number,
+    |},
+    traceTransaction: {| enabled: boolean, maxDepth: number |},
+  |},
+  levelDownOptions?: Object,
+  logging: {| level: string |},
+  consensus: FeatureConfig,
+  solo: FeatureConfig,
+|};
+
+// Well-known key for local development chains. Never use it on a public network.
+const DEFAULT_SOLO_KEY = 'KxDgvEKzgSBPPfuVfw67oPQBSjidEiqTHURKSDL1R7yGaGYAeYnr';
+
+export class InvalidConfigError extends Error {
+  constructor(message: string) {
+    super(`Invalid config: ${message}`);
+  }
+}
+
+const createDefaultConfig = ({
+  network,
+  seedPort,
+  rpcEndpoints,
+}: {|
+  network: Network,
+  seedPort: number,
+  rpcEndpoints: Array<string>,
+|}): Config => ({
+  network,
+  dataPath: '~/data',
+  node: {
+    seeds: [
+      'seed1.neo.org',
+      'seed2.neo.org',
+      'seed3.neo.org',
+      'seed4.neo.org',
+      'seed5.neo.org',
+    ].map(host => ({ host, port: seedPort })),
+  },
+  rpc: {
+    http: {
+      host: '0.0.0.0',
+      port: 8081,
+    },
+    server: {
+      keepAliveTimeout: 65000,
+    },
+    readyHealthCheck: {
+      rpcEndpoints,
+      offset: 1,
+      timeoutMS: 5000,
+    },
+    // Tracing replays the chain back to the transaction's block and pauses
+    // block persistence meanwhile.
+    traceTransaction: {
+      enabled: false,
+      maxDepth: 2000,
+    },
+  },
+  logging: {
+    level: 'debug',
+  },
+  consensus: {
+    enabled: false,
+  },
+  solo: {
+    enabled: false,
+    privateKey: DEFAULT_SOLO_KEY,
+  },
+});
+
+const DEFAULT_CONFIGS = {
+  main: createDefaultConfig({
+    network: 'main',
+    seedPort: 10333,
+    rpcEndpoints: [
+      'http://seed1.cityofzion.io:8080',
+      'http://seed2.cityofzion.io:8080',
+      'http://seed3.cityofzion.io:8080',
+      'http://seed4.cityofzion.io:8080',
+      'http://seed5.cityofzion.io:8080',
+      'http://seed1.neo.org:10332',
+      'http://seed2.neo.org:10332',
+      'http://seed3.neo.org:10332',
+      'http://seed4.neo.org:10332',
+      'http://seed5.neo.org:10332',
+    ],
+  }),
+  test: createDefaultConfig({
+    network: 'test',
+    seedPort: 20333,
+    rpcEndpoints: [
+      'http://test1.cityofzion.io:8880',
+      'http://test2.cityofzion.io:8880',
+      'http://test3.cityofzion.io:8880',
+      'http://test4.cityofzion.io:8880',
+      'http://test5.cityofzion.io:8880',
+      'http://seed1.neo.org:20332',
+      'http://seed2.neo.org:20332',
+      'http://seed3.neo.org:20332',
+      'http://seed4.neo.org:20332',
+      'http://seed5.neo.org:20332',
+    ],
+  }),
+};
+
+// Arrays in the config file replace the defaults rather than being merged
+// index by index.
+const mergeConfig = (objValue: mixed, srcValue: mixed): mixed =>
+  Array.isArray(srcValue) ? srcValue : undefined;
+
+export const createConfig = (...partials: Array<?Object>): Config => {
+  const values = partials.filter(Boolean);
+  const network = values.reduce(
+    (acc, value) => (value.network == null ? acc : value.network),
+    'main',
+  );
+  const defaultConfig = DEFAULT_CONFIGS[network];
+  if (defaultConfig == null) {
+    throw new InvalidConfigError(`Unknown network "${network}"`);
+  }
+
+  const config = values.reduce(
+    (acc, value) => _.mergeWith(acc, value, mergeConfig),
+    _.mergeWith({}, defaultConfig, mergeConfig),
+  );
+  // Private networks do not share the public seeds or health check endpoints.
+  if (config.protocol != null || config.solo.enabled) {
+    if (!values.some(value => _.has(value, 'node.seeds'))) {
+      config.node.seeds = [];
+    }
+    if (
+      !values.some(value => _.has(value, 'rpc.readyHealthCheck.rpcEndpoints'))
+    ) {
+      config.rpc.readyHealthCheck.rpcEndpoints = [];
+    }
+  }
+
+  return config;
+};
+
+export const loadConfigFile = async (filePath: string): Promise<Object> => {
+  const contents = await new Promise((resolve, reject) => {
+    fs.readFile(filePath, 'utf8', (error, data) => {
+      if (error != null) {
+        reject(error);
+      } else {
+        resolve(data);
+      }
+    });
+  });
+  const extension = path.extname(filePath).toLowerCase();
+  const value =
+    extension === '.yml' || extension === '.yaml'
+      ? yaml.safeLoad(contents)
+      : JSON.parse(contents);
+  if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new InvalidConfigError(`${filePath} must contain an object`);
+  }
+
+  return value;
+};
+
+const WATCH_INTERVAL_MS = 1000;
+
+// Emits the config loaded from filePath and again every time the file
+// changes. Reload failures are reported to onError and the last valid config
+// stays in effect.
+export const watchConfig = ({
+  filePath,
+  overrides,
+  onError,
+}: {|
+  filePath: string,
+  overrides?: Object,
+  onError: (error: Error) => void,
+|}): Observable<Config> =>
+  Observable.create(observer => {
+    let stopped = false;
+    let loaded = false;
+    const load = () => {
+      loadConfigFile(filePath)
+        .then(file => {
+          const config = createConfig(file, overrides);
+          if (!stopped) {
+            loaded = true;
+            observer.next(config);
+          }
+        })
+        .catch(error => {
+          if (stopped) {
+            return;
+          }
+
+          if (loaded) {
+            onError(error);
+          } else {
+            observer.error(error);
+          }
+        });
+    };
+
+    const listener = (curr, prev) => {
+      if (curr.mtime.getTime() !== prev.mtime.getTime()) {
+        load();
+      }
+    };
+    fs.watchFile(filePath, { interval: WATCH_INTERVAL_MS }, listener);
+    load();
+
+    return () => {
+      stopped = true;
+      fs.unwatchFile(filePath, listener);
+    };
+  });
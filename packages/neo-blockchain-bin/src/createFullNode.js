@@ -1,149 +1,206 @@
 /* @flow */
+import { type PrivateKey, common, crypto } from 'neo-blockchain-core';
 import {
   type Blockchain,
   createEndpoint,
   createProfile,
 } from 'neo-blockchain-node-core';
 import { type Chain, loadChain, dumpChain } from 'neo-blockchain-offline';
+import { Observable } from 'rxjs/Observable';
+import { ReplaySubject } from 'rxjs/ReplaySubject';
+import {
+  concatMap,
+  distinctUntilChanged,
+  ignoreElements,
+  map,
+  multicast,
+  skip,
+  take,
+  tap,
+} from 'rxjs/operators';
 import fullNode$ from 'neo-blockchain-full-node';
-import { BehaviorSubject } from 'rxjs/BehaviorSubject';
+import { merge } from 'rxjs/observable/merge';
 
-import { main, test } from 'neo-blockchain-neo-settings';
+import _ from 'lodash';
+import {
+  type Protocol,
+  createSoloSettings,
+  loadProtocol,
+  main,
+  test,
+} from 'neo-blockchain-neo-settings';
 import { createLogger, transports as winstonTransports } from 'winston';
 
+import { type Config, type FeatureConfig, InvalidConfigError } from './config';
 import createServerLogger from './createServerLogger';
 import resolveHome from './resolveHome';
 
-export default ({
-  testNet,
-  dataPath: dataPathIn,
-  chain: chainIn,
-  dumpPath: dumpPathIn,
-}: {
-  testNet: boolean,
-  dataPath: string,
-  chain?: Chain,
-  dumpPath?: string,
-}) => {
-  const transports = [];
-  transports.push(
-    new winstonTransports.Console({
-      level: 'debug',
-    }),
-  );
+const getPrivateKey = (name: string, feature: FeatureConfig): PrivateKey => {
+  if (feature.privateKey == null) {
+    throw new InvalidConfigError(`${name}.privateKey is required`);
+  }
 
-  const log = createServerLogger(createLogger({ transports }));
+  return crypto.wifToPrivateKey(
+    feature.privateKey,
+    common.NEO_PRIVATE_KEY_VERSION,
+  );
+};
 
-  const dataPath = resolveHome(dataPathIn);
+const getFeatureOptions = (
+  name: string,
+  feature: FeatureConfig,
+  protocol: Protocol,
+) =>
+  feature.enabled
+    ? {
+        privateKey: getPrivateKey(name, feature),
+        secondsPerBlock:
+          feature.secondsPerBlock == null
+            ? protocol.secondsPerBlock
+            : feature.secondsPerBlock,
+        maxTransactionsPerBlock: feature.maxTransactionsPerBlock,
+      }
+    : undefined;
 
-  let onCreateBlockchain;
-  const dumpPath = dumpPathIn;
-  const chain = chainIn;
-  if (dumpPath != null) {
-    onCreateBlockchain = async (blockchain: Blockchain) => {
-      await dumpChain({ blockchain, path: dumpPath });
-    };
-  } else if (chain != null) {
-    onCreateBlockchain = async (blockchain: Blockchain) => {
-      await loadChain({ blockchain, chain });
-    };
+const getProtocol = async (config: Config): Promise<Protocol> => {
+  if (config.protocol != null) {
+    return loadProtocol(resolveHome(config.protocol));
   }
 
-  let settings;
-  let options;
-  let rpcEnvironment;
-  if (testNet) {
-    settings = test;
-    rpcEnvironment = {
-      http: {
-        host: '0.0.0.0',
-        port: 8081,
-      },
-    };
-    options = {
-      node: {
-        seeds: [
-          { type: 'tcp', host: 'seed1.neo.org', port: 20333 },
-          { type: 'tcp', host: 'seed2.neo.org', port: 20333 },
-          { type: 'tcp', host: 'seed3.neo.org', port: 20333 },
-          { type: 'tcp', host: 'seed4.neo.org', port: 20333 },
-          { type: 'tcp', host: 'seed5.neo.org', port: 20333 },
-        ].map(value => createEndpoint(value)),
-      },
-      rpc: {
-        server: {
-          keepAliveTimeout: 65000,
-        },
-        readyHealthCheck: {
-          rpcEndpoints: [
-            'http://test1.cityofzion.io:8880',
-            'http://test2.cityofzion.io:8880',
-            'http://test3.cityofzion.io:8880',
-            'http://test4.cityofzion.io:8880',
-            'http://test5.cityofzion.io:8880',
-            'http://seed1.neo.org:20332',
-            'http://seed2.neo.org:20332',
-            'http://seed3.neo.org:20332',
-            'http://seed4.neo.org:20332',
-            'http://seed5.neo.org:20332',
-          ],
-          offset: 1,
-          timeoutMS: 5000,
-        },
-      },
-    };
-  } else {
-    settings = main;
-    rpcEnvironment = {
-      http: {
-        host: '0.0.0.0',
-        port: 8081,
-      },
-    };
-    options = {
-      node: {
-        seeds: [
-          { type: 'tcp', host: 'seed1.neo.org', port: 10333 },
-          { type: 'tcp', host: 'seed2.neo.org', port: 10333 },
-          { type: 'tcp', host: 'seed3.neo.org', port: 10333 },
-          { type: 'tcp', host: 'seed4.neo.org', port: 10333 },
-          { type: 'tcp', host: 'seed5.neo.org', port: 10333 },
-        ].map(value => createEndpoint(value)),
-      },
-      rpc: {
-        server: {
-          keepAliveTimeout: 65000,
-        },
-        readyHealthCheck: {
-          rpcEndpoints: [
-            'http://seed1.cityofzion.io:8080',
-            'http://seed2.cityofzion.io:8080',
-            'http://seed3.cityofzion.io:8080',
-            'http://seed4.cityofzion.io:8080',
-            'http://seed5.cityofzion.io:8080',
-            'http://seed1.neo.org:10332',
-            'http://seed2.neo.org:10332',
-            'http://seed3.neo.org:10332',
-            'http://seed4.neo.org:10332',
-            'http://seed5.neo.org:10332',
-          ],
-          offset: 1,
-          timeoutMS: 5000,
-        },
-      },
+  if (config.solo.enabled) {
+    return {
+      settings: createSoloSettings({
+        standbyValidator: crypto.getPublicKey(
+          getPrivateKey('solo', config.solo),
+        ),
+      }),
+      seeds: [],
     };
   }
 
-  return fullNode$({
-    log,
-    createLogForContext: () => log,
-    createProfile,
-    settings,
-    environment: {
-      dataPath,
-      rpc: rpcEnvironment,
-    },
-    options$: new BehaviorSubject(options),
-    onCreateBlockchain,
-  });
+  return { settings: config.network === 'test' ? test : main, seeds: [] };
 };
+
+const getEnvironment = (config: Config, protocol: Protocol) => ({
+  dataPath: resolveHome(config.dataPath),
+  rpc: {
+    http: config.rpc.http,
+    https: config.rpc.https,
+    traceTransaction: config.rpc.traceTransaction.enabled
+      ? { maxDepth: config.rpc.traceTransaction.maxDepth }
+      : undefined,
+  },
+  node: {
+    listenTCP: config.node.listenTCP,
+    externalEndpoints:
+      config.node.externalEndpoints == null
+        ? undefined
+        : config.node.externalEndpoints.map(({ host, port }) =>
+            createEndpoint({ type: 'tcp', host, port }),
+          ),
+    connectPeersDelayMS: config.node.connectPeersDelayMS,
+    maxConnectedPeers: config.node.maxConnectedPeers,
+    socketTimeoutMS: config.node.socketTimeoutMS,
+  },
+  consensus: getFeatureOptions('consensus', config.consensus, protocol),
+  solo: getFeatureOptions('solo', config.solo, protocol),
+  levelDownOptions: config.levelDownOptions,
+});
+
+// The protocol's SeedList is used when the config does not list any seeds.
+const getOptions = (config: Config, protocol: Protocol) => ({
+  node: {
+    seeds: (config.node.seeds.length > 0
+      ? config.node.seeds
+      : protocol.seeds
+    ).map(({ host, port }) => createEndpoint({ type: 'tcp', host, port })),
+  },
+  rpc: {
+    server: config.rpc.server,
+    readyHealthCheck: config.rpc.readyHealthCheck,
+  },
+});
+
+// Seeds, RPC server options and the log level are reloaded whenever config$
+// emits. Everything else only takes effect on restart.
+export default ({
+  config$,
+  dumpPath,
+  rollbackIndex,
+  onCreateBlockchain: onCreateBlockchainIn,
+  blockchainOnly,
+}: {|
+  config$: Observable<Config>,
+  dumpPath?: string,
+  rollbackIndex?: number,
+  onCreateBlockchain?: (blockchain: Blockchain) => Promise<void>,
+  blockchainOnly?: boolean,
+|}): Observable<any> =>
+  config$.pipe(
+    multicast(
+      () => new ReplaySubject(1),
+      sharedConfig$ =>
+        sharedConfig$.pipe(
+          take(1),
+          concatMap(async config => ({
+            config,
+            protocol: await getProtocol(config),
+          })),
+          concatMap(({ config, protocol }) => {
+            const transport = new winstonTransports.Console({
+              level: config.logging.level,
+            });
+            const log = createServerLogger(
+              createLogger({ transports: [transport] }),
+            );
+
+            let onCreateBlockchain;
+            if (onCreateBlockchainIn != null) {
+              onCreateBlockchain = onCreateBlockchainIn;
+            } else if (dumpPath != null) {
+              const path = dumpPath;
+              onCreateBlockchain = async (blockchain: Blockchain) => {
+                await dumpChain({ blockchain, path });
+              };
+            } else if (rollbackIndex != null) {
+              const toIndex = rollbackIndex;
+              onCreateBlockchain = async (blockchain: Blockchain) => {
+                await blockchain.rollback({ toIndex });
+              };
+            } else if (config.chain != null) {
+              const chain: Chain = {
+                format: 'raw',
+                path: resolveHome(config.chain),
+              };
+              onCreateBlockchain = async (blockchain: Blockchain) => {
+                await loadChain({ blockchain, chain });
+              };
+            }
+
+            return merge(
+              fullNode$({
+                log,
+                createLogForContext: () => log,
+                createProfile,
+                settings: protocol.settings,
+                environment: getEnvironment(config, protocol),
+                options$: sharedConfig$.pipe(
+                  map(nextConfig => getOptions(nextConfig, protocol)),
+                  distinctUntilChanged(_.isEqual),
+                ),
+                onCreateBlockchain,
+                blockchainOnly,
+              }),
+              sharedConfig$.pipe(
+                skip(1),
+                tap(nextConfig => {
+                  transport.level = nextConfig.logging.level;
+                  log({ event: 'CONFIG_RELOAD' });
+                }),
+                ignoreElements(),
+              ),
+            );
+          }),
+        ),
+    ),
+  );
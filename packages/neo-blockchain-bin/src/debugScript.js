@@ -0,0 +1,160 @@
+/* @flow */
+import { type Blockchain } from 'neo-blockchain-node-core';
+import {
+  type DebuggerBreakpoint,
+  type DebuggerState,
+  Debugger,
+  disassembleByteCode,
+} from 'neo-blockchain-vm';
+import { JSONHelper, common } from 'neo-blockchain-core';
+
+import readline from 'readline';
+
+const HELP = [
+  'c, continue         Run until the next breakpoint',
+  's, step             Step into the next instruction',
+  'n, next             Step over calls',
+  'o, out              Step out of the current script',
+  'b <hash> <pc>       Add a breakpoint',
+  'd <hash> <pc>       Remove a breakpoint',
+  'breakpoints         List breakpoints',
+  'stack               Print the evaluation stack',
+  'alt                 Print the alt stack',
+  'storage             Print storage changes made so far',
+  'code                Disassemble the current script',
+  'q, quit             Abort execution',
+].join('\n');
+
+export const parseBreakpoint = (
+  scriptHash: string,
+  pc: string,
+): DebuggerBreakpoint => {
+  const value = Number(pc);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid pc: ${pc}`);
+  }
+
+  return { scriptHash: JSONHelper.readUInt160(scriptHash), pc: value };
+};
+
+const formatJSON = (value: mixed): string => JSON.stringify(value, null, 2);
+
+// Runs script against the current chain state, pausing on the first
+// instruction and on each breakpoint to read debugger commands from stdin.
+export default async ({
+  blockchain,
+  script,
+  breakpoints,
+}: {|
+  blockchain: Blockchain,
+  script: Buffer,
+  breakpoints: Array<DebuggerBreakpoint>,
+|}): Promise<void> => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  const write = (value: string) => process.stdout.write(`${value}\n`);
+  const context = blockchain.serializeJSONContext;
+
+  const getLocation = ({ context: vmContext, opCode }: DebuggerState) =>
+    `${common.uInt160ToString(vmContext.scriptHash)} ` +
+    `pc=${vmContext.pc} depth=${vmContext.depth} ${opCode} ` +
+    `gasLeft=${JSONHelper.writeFixed8(vmContext.gasLeft)}`;
+
+  const prompt = (debug: Debugger, state: DebuggerState) => {
+    rl.question('debug> ', answer => {
+      const [command, ...args] = answer.trim().split(/\s+/);
+      try {
+        switch (command) {
+          case 'c':
+          case 'continue':
+            debug.resume();
+            return;
+          case 's':
+          case 'step':
+            debug.stepInto();
+            return;
+          case 'n':
+          case 'next':
+            debug.stepOver();
+            return;
+          case 'o':
+          case 'out':
+            debug.stepOut();
+            return;
+          case 'q':
+          case 'quit':
+            debug.abort();
+            return;
+          case 'b':
+            debug.addBreakpoint(parseBreakpoint(args[0], args[1]));
+            break;
+          case 'd':
+            debug.removeBreakpoint(parseBreakpoint(args[0], args[1]));
+            break;
+          case 'breakpoints':
+            debug.breakpoints.forEach(({ scriptHash, pc }) => {
+              write(`${common.uInt160ToString(scriptHash)} ${pc}`);
+            });
+            break;
+          case 'stack':
+            write(
+              formatJSON(debug.stack.map(item => item.serializeJSON(context))),
+            );
+            break;
+          case 'alt':
+            write(
+              formatJSON(
+                debug.stackAlt.map(item => item.serializeJSON(context)),
+              ),
+            );
+            break;
+          case 'storage':
+            write(
+              formatJSON(
+                debug.storageChanges.map(
+                  change =>
+                    change.type === 'add'
+                      ? { type: 'add', ...change.item.serializeJSON(context) }
+                      : {
+                          type: 'delete',
+                          hash: JSONHelper.writeUInt160(change.key.hash),
+                          key: JSONHelper.writeBuffer(change.key.key),
+                        },
+                ),
+              ),
+            );
+            break;
+          case 'code':
+            write(disassembleByteCode(state.context.script.code).join('\n'));
+            break;
+          default:
+            write(HELP);
+        }
+      } catch (error) {
+        write(error.message);
+      }
+
+      prompt(debug, state);
+    });
+  };
+
+  const debug = new Debugger({
+    onPause: state => {
+      write(`[${state.reason}] ${getLocation(state)}`);
+      prompt(debug, state);
+    },
+  });
+  breakpoints.forEach(breakpoint => debug.addBreakpoint(breakpoint));
+  debug.pause();
+
+  try {
+    const result = await blockchain.invokeScript(script, {
+      onStep: debug.onStep,
+    });
+    write(formatJSON(result.serializeJSON(context)));
+  } finally {
+    rl.close();
+  }
+};
@@ -1,7 +1,23 @@
 /* @flow */
 import './init';
 
+export {
+  InvalidConfigError,
+  createConfig,
+  loadConfigFile,
+  watchConfig,
+} from './config';
 export { default as createFullNode } from './createFullNode';
 export { default as createServerLogger } from './createServerLogger';
+export { default as debugScript, parseBreakpoint } from './debugScript';
 export { default as log } from './log';
+export { default as profileScript } from './profileScript';
+export { default as resolveHome } from './resolveHome';
+export {
+  default as runConsensusNetwork,
+  ConsensusNetworkForkError,
+  ConsensusNetworkTimeoutError,
+} from './runConsensusNetwork';
 export { default as setupCLI } from './setupCLI';
+
+export type { Config, FeatureConfig, Network } from './config';
@@ -0,0 +1,68 @@
+/* @flow */
+import { type Blockchain } from 'neo-blockchain-node-core';
+import {
+  type InvocationProfileEntries,
+  InvocationResultSuccess,
+  JSONHelper,
+  utils,
+} from 'neo-blockchain-core';
+
+const formatRow = (values: Array<string>): string =>
+  values
+    .map((value, idx) => (idx === 0 ? value.padEnd(40) : value.padStart(14)))
+    .join('');
+
+// Most expensive first.
+const formatEntries = (entries: InvocationProfileEntries): Array<string> =>
+  utils
+    .entries(entries)
+    .sort(([, a], [, b]) => b.fee.cmp(a.fee) || b.count - a.count)
+    .map(([name, { count, fee, time }]) =>
+      formatRow([
+        `  ${name}`,
+        `${count}`,
+        JSONHelper.writeFixed8(fee),
+        time.toFixed(3),
+      ]),
+    );
+
+// Invokes script against the current chain state and prints the count, GAS
+// and time per contract, broken down by opcode and syscall. The VM does not
+// charge opcodes or syscalls any GAS yet, so the gas column is always 0. With
+// json the raw profile is printed instead so that builds of a contract can be
+// diffed.
+export default async ({
+  blockchain,
+  script,
+  json,
+}: {|
+  blockchain: Blockchain,
+  script: Buffer,
+  json: boolean,
+|}): Promise<void> => {
+  const write = (value: string) => process.stdout.write(`${value}\n`);
+  const result = await blockchain.invokeScript(script, { profile: true });
+  const resultJSON = result.serializeJSON(blockchain.serializeJSONContext);
+  if (json) {
+    write(JSON.stringify(resultJSON, null, 2));
+    return;
+  }
+
+  write(
+    result instanceof InvocationResultSuccess
+      ? 'HALT'
+      : `FAULT: ${result.message}`,
+  );
+  write(`GAS consumed: ${resultJSON.gasConsumed}`);
+  write('Per instruction GAS is not metered yet, so the gas column is 0.');
+  utils.entries(result.profile || {}).forEach(([scriptHash, profile]) => {
+    write('');
+    write(JSONHelper.writeUInt160(scriptHash));
+    write(formatRow(['  opcode', 'count', 'gas', 'time (ms)']));
+    formatEntries(profile.opCodes).forEach(write);
+    if (Object.keys(profile.sysCalls).length > 0) {
+      write(formatRow(['  syscall', 'count', 'gas', 'time (ms)']));
+      formatEntries(profile.sysCalls).forEach(write);
+    }
+  });
+};
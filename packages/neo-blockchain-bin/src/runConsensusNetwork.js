@@ -0,0 +1,181 @@
+/* @flow */
+import { type Blockchain } from 'neo-blockchain-node-core';
+import { BehaviorSubject } from 'rxjs/BehaviorSubject';
+import { common, crypto } from 'neo-blockchain-core';
+
+import _ from 'lodash';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createConfig } from './config';
+import createFullNode from './createFullNode';
+
+const HOST = '127.0.0.1';
+
+export class ConsensusNetworkTimeoutError extends Error {
+  constructor(blockCount: number, timeoutMS: number) {
+    super(
+      `Validators did not persist ${blockCount} blocks within ${timeoutMS}ms.`,
+    );
+  }
+}
+
+export class ConsensusNetworkForkError extends Error {
+  constructor(index: number) {
+    super(`Validators persisted different blocks at index ${index}.`);
+  }
+}
+
+const mkdtemp = (prefix: string): Promise<string> =>
+  new Promise((resolve, reject) => {
+    fs.mkdtemp(prefix, (error, folder) => {
+      if (error != null) {
+        reject(error);
+      } else {
+        resolve(folder);
+      }
+    });
+  });
+
+const writeFile = (filePath: string, data: string): Promise<void> =>
+  new Promise((resolve, reject) => {
+    fs.writeFile(filePath, data, error => {
+      if (error != null) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+
+const WAIT_FOR_BLOCK_INTERVAL_MS = 100;
+
+// Polls until the blockchain reaches index or isStopped returns true.
+const waitForBlock = (
+  blockchain: Blockchain,
+  index: number,
+  isStopped: () => boolean,
+): Promise<void> =>
+  new Promise(resolve => {
+    const check = () => {
+      if (blockchain.currentBlockIndex >= index) {
+        resolve();
+      } else if (!isStopped()) {
+        setTimeout(check, WAIT_FOR_BLOCK_INTERVAL_MS);
+      }
+    };
+    check();
+  });
+
+// Runs validatorCount validators in this process against each other on a
+// throwaway private chain until all of them have persisted blockCount blocks,
+// then checks that they agree on the last one. Validators listen for P2P on
+// consecutive ports starting at port, followed by one RPC port each. Resolves
+// to the directory holding the chain data.
+export default async ({
+  validatorCount,
+  blockCount,
+  port,
+  secondsPerBlock,
+  timeoutMS,
+  logLevel,
+}: {|
+  validatorCount: number,
+  blockCount: number,
+  port: number,
+  secondsPerBlock: number,
+  timeoutMS: number,
+  logLevel: string,
+|}): Promise<string> => {
+  const dataPath = await mkdtemp(
+    path.join(os.tmpdir(), 'neo-blockchain-consensus-'),
+  );
+  const privateKeys = _.range(validatorCount).map(() =>
+    crypto.createPrivateKey(),
+  );
+  const protocolPath = path.join(dataPath, 'protocol.json');
+  await writeFile(
+    protocolPath,
+    JSON.stringify({
+      ProtocolConfiguration: {
+        Magic: _.random(1, 0xffffffff),
+        StandbyValidators: privateKeys.map(privateKey =>
+          common.ecPointToString(crypto.getPublicKey(privateKey)),
+        ),
+        SecondsPerBlock: secondsPerBlock,
+      },
+    }),
+  );
+
+  const endpoints = privateKeys.map((privateKey, idx) => ({
+    host: HOST,
+    port: port + idx,
+  }));
+  const subscriptions = [];
+  let timer;
+  let stopped = false;
+  const agreed = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new ConsensusNetworkTimeoutError(blockCount, timeoutMS)),
+      timeoutMS,
+    );
+    const blockchains = [];
+    privateKeys.forEach((privateKey, idx) => {
+      const config = createConfig({
+        protocol: protocolPath,
+        dataPath: path.join(dataPath, `validator-${idx}`),
+        node: {
+          seeds: endpoints.filter((endpoint, other) => other !== idx),
+          listenTCP: endpoints[idx],
+        },
+        rpc: {
+          http: { host: HOST, port: port + validatorCount + idx },
+        },
+        logging: { level: logLevel },
+        consensus: {
+          enabled: true,
+          privateKey: crypto.privateKeyToWif(
+            privateKey,
+            common.NEO_PRIVATE_KEY_VERSION,
+          ),
+          secondsPerBlock,
+        },
+      });
+      subscriptions.push(
+        createFullNode({
+          config$: new BehaviorSubject(config),
+          onCreateBlockchain: async blockchain => {
+            blockchains.push(blockchain);
+            if (blockchains.length === validatorCount) {
+              Promise.all(
+                blockchains.map(value =>
+                  waitForBlock(value, blockCount, () => stopped),
+                ),
+              ).then(() => resolve(blockchains), reject);
+            }
+          },
+        }).subscribe({ error: reject }),
+      );
+    });
+  });
+
+  try {
+    const blockchains = await agreed;
+    const hashes = await Promise.all(
+      blockchains.map(async blockchain => {
+        const block = await blockchain.block.get({ hashOrIndex: blockCount });
+        return common.uInt256ToString(block.hash);
+      }),
+    );
+    if (_.uniq(hashes).length !== 1) {
+      throw new ConsensusNetworkForkError(blockCount);
+    }
+  } finally {
+    stopped = true;
+    clearTimeout(timer);
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+  }
+
+  return dataPath;
+};
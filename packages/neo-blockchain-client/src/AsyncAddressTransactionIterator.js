@@ -0,0 +1,74 @@
+/* @flow */
+import { type AddressLike, type AddressTransaction } from './types';
+import type Client from './Client';
+
+type AsyncAddressTransactionIteratorOptions = {|
+  client: Client,
+  address: AddressLike,
+|};
+
+// $FlowFixMe
+export default class AsyncAddressTransactionIterator
+  implements AsyncIterator<AddressTransaction> {
+  _client: Client;
+  _address: AddressLike;
+  _items: Array<AddressTransaction>;
+  _cursor: ?string;
+  __done: boolean;
+  _fetching: ?Promise<void>;
+
+  constructor({ client, address }: AsyncAddressTransactionIteratorOptions) {
+    this._client = client;
+    this._address = address;
+    this._items = [];
+    this._cursor = null;
+    this.__done = false;
+    this._fetching = null;
+  }
+
+  // $FlowFixMe
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  async next(): Promise<IteratorResult<AddressTransaction, void>> {
+    while (this._items.length === 0 && !this.__done) {
+      // eslint-disable-next-line
+      await this._fetch();
+    }
+
+    if (this._items.length > 0) {
+      return { done: false, value: this._items.shift() };
+    }
+
+    return { done: true };
+  }
+
+  _fetch(): Promise<void> {
+    if (this._fetching == null) {
+      this._fetching = this._asyncFetch().then(
+        () => {
+          this._fetching = null;
+        },
+        error => {
+          this._fetching = null;
+          throw error;
+        },
+      );
+    }
+
+    return this._fetching;
+  }
+
+  async _asyncFetch(): Promise<void> {
+    const history = await this._client.getAddressHistory(
+      this._address,
+      this._cursor,
+    );
+    this._items.push(...history.transactions);
+    this._cursor = history.next;
+    if (history.next == null) {
+      this.__done = true;
+    }
+  }
+}
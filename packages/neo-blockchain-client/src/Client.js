@@ -14,35 +14,53 @@ import {
 
 import {
   type Account,
+  type AddressHistory,
   type AddressLike,
+  type AddressTransaction,
   type Action,
   type Asset,
   type Block,
+  type Claimable,
   type Hash160Like,
   type Hash256Like,
   type InputArg,
   type InvocationResult,
+  type Nep5Balances,
+  type Nep5Transfers,
   type OutputArg,
   type PrivateKeyLike,
   type StorageItem,
   type TransactionOptions,
+  type UnclaimedGAS,
 } from './types';
+import AsyncAddressTransactionIterator from './AsyncAddressTransactionIterator';
 import AsyncBlockIterator from './AsyncBlockIterator';
-import { type BlockFilter, type GetActionsFilter } from './filter';
+import {
+  type BlockFilter,
+  type GetActionsFilter,
+  type Nep5TransferFilter,
+} from './filter';
+import { NothingToClaimError } from './errors';
 import { type SmartContractABI, SmartContract } from './sc';
 
 import abi from './abi';
 import converters from './converters';
 import { parameters } from './utils';
 
+// Hash of the GAS RegisterTransaction in the genesis block.
+const UTILITY_TOKEN_HASH =
+  '0x602c79718b16e442de58778e148d0b1084e3b2dffd5de6b7b16cee7969282de7';
+
 type ClientOptions = {|
   addressVersion?: number,
   privateKeyVersion?: number,
+  utilityTokenHash?: Hash256Like,
 |};
 
 export default class Client {
   _addressVersion: number;
   _privateKeyVersion: number;
+  _utilityTokenHash: Hash256Like;
 
   constructor(optionsIn?: ClientOptions) {
     const options = optionsIn || {};
@@ -54,6 +72,10 @@ export default class Client {
       options.privateKeyVersion == null
         ? common.NEO_PRIVATE_KEY_VERSION
         : options.privateKeyVersion;
+    this._utilityTokenHash =
+      options.utilityTokenHash == null
+        ? UTILITY_TOKEN_HASH
+        : options.utilityTokenHash;
   }
 
   parameters = parameters;
@@ -132,8 +154,71 @@ export default class Client {
     );
   }
 
+  async claimAll(
+    address: AddressLike,
+    { privateKey }: TransactionOptions,
+  ): Promise<string> {
+    const { claimable, unclaimed } = await this.getClaimable(address);
+    if (claimable.length === 0) {
+      throw new NothingToClaimError(
+        this.scriptHashToAddress(converters.hash160(this, address)),
+      );
+    }
+
+    return this.claimRaw(
+      claimable.map(coin => ({ txid: coin.txid, index: coin.n })),
+      [{ address, asset: this._utilityTokenHash, value: unclaimed }],
+      { privateKey },
+    );
+  }
+
   // eslint-disable-next-line
-  invokeScript(script: Buffer): Promise<InvocationResult> {
+  getClaimable(address: AddressLike): Promise<Claimable> {
+    throw new Error('Not Implemented');
+  }
+
+  // eslint-disable-next-line
+  getUnclaimedGAS(address: AddressLike): Promise<UnclaimedGAS> {
+    throw new Error('Not Implemented');
+  }
+
+  getAddressHistory(
+    address: AddressLike,
+    cursor?: ?string,
+    // eslint-disable-next-line
+    limit?: number,
+  ): Promise<AddressHistory> {
+    throw new Error('Not Implemented');
+  }
+
+  // Newest first.
+  iterAddressTransactions(
+    address: AddressLike,
+  ): AsyncIterator<AddressTransaction> {
+    return new AsyncAddressTransactionIterator({ address, client: this });
+  }
+
+  // eslint-disable-next-line
+  getNep5Balances(address: AddressLike): Promise<Nep5Balances> {
+    throw new Error('Not Implemented');
+  }
+
+  getNep5Transfers(
+    address: AddressLike,
+    // eslint-disable-next-line
+    filter?: Nep5TransferFilter,
+  ): Promise<Nep5Transfers> {
+    throw new Error('Not Implemented');
+  }
+
+  // Pass profile to include per contract opcode and syscall counts, fees and
+  // timings in the result.
+  invokeScript(
+    // eslint-disable-next-line
+    script: Buffer,
+    // eslint-disable-next-line
+    options?: {| profile?: boolean |},
+  ): Promise<InvocationResult> {
     throw new Error('Not Implemented');
   }
 
@@ -24,8 +24,41 @@ export class InvalidContractParameterError extends Error {
   }
 }
 
+export class NothingToClaimError extends Error {
+  constructor(address: string) {
+    super(`Nothing to claim for ${address}`);
+  }
+}
+
 export class SendTransactionError extends Error {
-  constructor() {
-    super('Something went wrong!');
+  code: ?number;
+
+  constructor(message?: string, code?: number) {
+    super(message == null ? 'Something went wrong!' : message);
+    this.code = code;
+  }
+}
+
+export class TransactionAlreadyInPoolError extends SendTransactionError {
+  constructor(message: string) {
+    super(message, -501);
+  }
+}
+
+export class DoubleSpendError extends SendTransactionError {
+  constructor(message: string) {
+    super(message, -502);
+  }
+}
+
+export class InvalidWitnessError extends SendTransactionError {
+  constructor(message: string) {
+    super(message, -503);
+  }
+}
+
+export class InsufficientFeeError extends SendTransactionError {
+  constructor(message: string) {
+    super(message, -504);
   }
 }
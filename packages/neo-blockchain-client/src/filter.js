@@ -15,6 +15,13 @@ export type BlockFilter = {|
   indexStop?: number,
 |};
 
+export type Nep5TransferFilter = {|
+  blockIndexStart?: number,
+  blockIndexStop?: number,
+  cursor?: string,
+  limit?: number,
+|};
+
 export type GetActionsFilter = {|
   blockIndexStart?: number,
   transactionIndexStart?: number,
@@ -4,6 +4,13 @@ import { JSONRPCClient, JSONRPCHttpProvider } from './json';
 export { JSONRPCClient, JSONRPCHttpProvider } from './json';
 
 export { default as Client } from './Client';
+export {
+  DoubleSpendError,
+  InsufficientFeeError,
+  InvalidWitnessError,
+  SendTransactionError,
+  TransactionAlreadyInPoolError,
+} from './errors';
 
 export const client = new JSONRPCClient(
   new JSONRPCHttpProvider('https://neotracker.io/rpc'),
@@ -17,11 +24,15 @@ export type {
   Action,
   ActionType,
   Account,
+  AddressHistory,
+  AddressTransaction,
   Asset,
   AssetName,
   AssetType,
   Attribute,
   Block,
+  Claimable,
+  ClaimableCoin,
   ClaimTransaction,
   Contract,
   ContractTransaction,
@@ -32,6 +43,10 @@ export type {
   IssueTransaction,
   InvocationTransaction,
   LogAction,
+  Nep5Balance,
+  Nep5Balances,
+  Nep5Transfer,
+  Nep5Transfers,
   MinerTransaction,
   NotificationAction,
   Output,
@@ -39,6 +54,7 @@ export type {
   RegisterTransaction,
   StorageItem,
   Transaction,
+  UnclaimedGAS,
   Validator,
   Witness,
   ContractParameter,
@@ -52,8 +68,14 @@ export type {
   PublicKeyContractParameter,
   StringContractParameter,
   ArrayContractParameter,
+  MapContractParameter,
   InteropInterfaceContractParameter,
   VoidContractParameter,
 } from './types';
-export type { ActionFilter, BlockFilter, GetActionsFilter } from './filter';
+export type {
+  ActionFilter,
+  BlockFilter,
+  GetActionsFilter,
+  Nep5TransferFilter,
+} from './filter';
 export type { JSONRPCProvider } from './json';
@@ -3,24 +3,59 @@ import { JSONHelper } from 'neo-blockchain-core';
 
 import {
   type Account,
+  type AddressHistory,
   type Action,
   type Asset,
   type Block,
+  type Claimable,
   type Hash160Like,
   type Hash256Like,
   type InvocationResult,
+  type Nep5Balances,
+  type Nep5Transfers,
   type StorageItem,
+  type UnclaimedGAS,
 } from '../types';
 import Client from '../Client';
-import { type GetActionsFilter } from '../filter';
+import { type GetActionsFilter, type Nep5TransferFilter } from '../filter';
 import { type JSONRPCProvider } from './JSONRPCProvider';
-import { SendTransactionError } from '../errors';
+import { JSONRPCError } from './errors';
+import {
+  DoubleSpendError,
+  InsufficientFeeError,
+  InvalidWitnessError,
+  SendTransactionError,
+  TransactionAlreadyInPoolError,
+} from '../errors';
 
 import converters from '../converters';
 
+const convertSendTransactionError = (error: Error): Error => {
+  if (!(error instanceof JSONRPCError)) {
+    return error;
+  }
+
+  const { code, message } = error.responseError;
+  switch (code) {
+    case -500:
+      return new SendTransactionError(message, code);
+    case -501:
+      return new TransactionAlreadyInPoolError(message);
+    case -502:
+      return new DoubleSpendError(message);
+    case -503:
+      return new InvalidWitnessError(message);
+    case -504:
+      return new InsufficientFeeError(message);
+    default:
+      return error;
+  }
+};
+
 type JSONRPCClientOptions = {|
   addressVersion: number,
   privateKeyVersion: number,
+  utilityTokenHash?: Hash256Like,
 |};
 
 export default class JSONRPCClient extends Client {
@@ -32,6 +67,7 @@ export default class JSONRPCClient extends Client {
     super({
       addressVersion: options.addressVersion,
       privateKeyVersion: options.privateKeyVersion,
+      utilityTokenHash: options.utilityTokenHash,
     });
     this._provider = provider;
   }
@@ -96,17 +132,81 @@ export default class JSONRPCClient extends Client {
         method: 'sendrawtransaction',
         params: [JSONHelper.writeBuffer(value)],
       })
-      .then(result => {
-        if (!result) {
-          throw new SendTransactionError();
-        }
-      });
+      .then(
+        result => {
+          if (!result) {
+            throw new SendTransactionError();
+          }
+        },
+        error => {
+          throw convertSendTransactionError(error);
+        },
+      );
+  }
+
+  getClaimable(address: Hash160Like): Promise<Claimable> {
+    return this._provider.request({
+      method: 'getclaimable',
+      params: [this.scriptHashToAddress(converters.hash160(this, address))],
+    });
+  }
+
+  getUnclaimedGAS(address: Hash160Like): Promise<UnclaimedGAS> {
+    return this._provider.request({
+      method: 'getunclaimedgas',
+      params: [this.scriptHashToAddress(converters.hash160(this, address))],
+    });
+  }
+
+  getAddressHistory(
+    address: Hash160Like,
+    cursor?: ?string,
+    limit?: number,
+  ): Promise<AddressHistory> {
+    return this._provider.request({
+      method: 'getaddresshistory',
+      params: [
+        this.scriptHashToAddress(converters.hash160(this, address)),
+        cursor,
+        limit,
+      ],
+    });
+  }
+
+  getNep5Balances(address: Hash160Like): Promise<Nep5Balances> {
+    return this._provider.request({
+      method: 'getnep5balances',
+      params: [this.scriptHashToAddress(converters.hash160(this, address))],
+    });
+  }
+
+  getNep5Transfers(
+    address: Hash160Like,
+    filter?: Nep5TransferFilter,
+  ): Promise<Nep5Transfers> {
+    const { blockIndexStart, blockIndexStop, cursor, limit } = filter || {};
+    return this._provider.request({
+      method: 'getnep5transfers',
+      params: [
+        this.scriptHashToAddress(converters.hash160(this, address)),
+        blockIndexStart,
+        blockIndexStop,
+        cursor,
+        limit,
+      ],
+    });
   }
 
-  invokeScript(script: Buffer): Promise<InvocationResult> {
+  invokeScript(
+    script: Buffer,
+    options?: {| profile?: boolean |},
+  ): Promise<InvocationResult> {
+    const profile = options != null && options.profile === true;
     return this._provider.request({
       method: 'invokescriptv2',
-      params: [JSONHelper.writeBuffer(script)],
+      params: profile
+        ? [JSONHelper.writeBuffer(script), true]
+        : [JSONHelper.writeBuffer(script)],
     });
   }
 
@@ -39,6 +39,7 @@ import type {
   PublicKeyContractParameterJSON,
   StringContractParameterJSON,
   ArrayContractParameterJSON,
+  MapContractParameterJSON,
   InteropInterfaceContractParameterJSON,
   VoidContractParameterJSON,
   UInt160,
@@ -87,6 +88,7 @@ export type ByteArrayContractParameter = ByteArrayContractParameterJSON;
 export type PublicKeyContractParameter = PublicKeyContractParameterJSON;
 export type StringContractParameter = StringContractParameterJSON;
 export type ArrayContractParameter = ArrayContractParameterJSON;
+export type MapContractParameter = MapContractParameterJSON;
 export type InteropInterfaceContractParameter = InteropInterfaceContractParameterJSON;
 export type VoidContractParameter = VoidContractParameterJSON;
 
@@ -114,6 +116,59 @@ export type TransactionOptions = {|
   privateKey: PrivateKeyLike,
 |};
 
+export type ClaimableCoin = {|
+  txid: string,
+  n: number,
+  value: string,
+  start_height: number,
+  end_height: number,
+  unclaimed: string,
+|};
+export type Claimable = {|
+  address: string,
+  claimable: Array<ClaimableCoin>,
+  unclaimed: string,
+|};
+export type UnclaimedGAS = {|
+  available: string,
+  unavailable: string,
+|};
+
+export type AddressTransaction = {|
+  txid: string,
+  block_index: number,
+  transaction_index: number,
+|};
+export type AddressHistory = {|
+  address: string,
+  transactions: Array<AddressTransaction>,
+  next: ?string,
+|};
+
+export type Nep5Balance = {|
+  asset_hash: string,
+  amount: string,
+  last_updated_block: number,
+|};
+export type Nep5Balances = {|
+  address: string,
+  balance: Array<Nep5Balance>,
+|};
+export type Nep5Transfer = {|
+  asset_hash: string,
+  transfer_address: ?string,
+  amount: string,
+  block_index: number,
+  transaction_index: number,
+  tx_hash: string,
+|};
+export type Nep5Transfers = {|
+  address: string,
+  sent: Array<Nep5Transfer>,
+  received: Array<Nep5Transfer>,
+  next: ?string,
+|};
+
 export type InputArg = {|
   txid: Hash256Like,
   index: number,
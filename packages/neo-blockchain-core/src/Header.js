@@ -7,8 +7,12 @@ import {
   type SerializableJSON,
   type SerializeJSONContext,
 } from './Serializable';
-import { InvalidFormatError } from './errors';
-import { type UInt256 } from './common';
+import Block from './Block';
+import { InvalidFormatError, VerifyError } from './errors';
+import { SCRIPT_CONTAINER_TYPE } from './ScriptContainer';
+import type { VerifyScript } from './vm';
+
+import common, { type UInt256 } from './common';
 
 import utils, {
   BinaryReader,
@@ -25,6 +29,13 @@ export type HeaderJSON = {|
   ...BlockBaseJSON,
 |};
 
+export type HeaderVerifyOptions = {|
+  genesisBlock: Block,
+  // eslint-disable-next-line
+  tryGetHeader: (header: HeaderKey) => Promise<?Header>,
+  verifyScript: VerifyScript,
+|};
+
 export default class Header extends BlockBase
   implements SerializableWire<Header>, SerializableJSON<HeaderJSON> {
 
@@ -73,6 +84,52 @@ export default class Header extends BlockBase
     });
   }
 
+  async verify({
+    genesisBlock,
+    tryGetHeader,
+    verifyScript,
+  }: HeaderVerifyOptions): Promise<void> {
+    if (common.uInt256Equal(this.hash, genesisBlock.hash)) {
+      return;
+    }
+
+    const previousHeader = await tryGetHeader({
+      hashOrIndex: this.previousHash,
+    });
+    if (previousHeader == null) {
+      throw new VerifyError('Previous header does not exist.');
+    }
+
+    if (previousHeader.index + 1 !== this.index) {
+      throw new VerifyError('Previous index + 1 does not match index.');
+    }
+
+    if (previousHeader.timestamp >= this.timestamp) {
+      throw new VerifyError('Previous timestamp is greater than header.');
+    }
+
+    await verifyScript({
+      // Witness verification only depends on the header fields of the block.
+      scriptContainer: {
+        type: SCRIPT_CONTAINER_TYPE.BLOCK,
+        value: new Block({
+          version: this.version,
+          previousHash: this.previousHash,
+          merkleRoot: this.merkleRoot,
+          timestamp: this.timestamp,
+          index: this.index,
+          consensusData: this.consensusData,
+          nextConsensus: this.nextConsensus,
+          script: this.script,
+          hash: this.hash,
+          transactions: [],
+        }),
+      },
+      hash: previousHeader.nextConsensus,
+      witness: this.script,
+    });
+  }
+
   // eslint-disable-next-line
   async serializeJSON(context: SerializeJSONContext): Promise<HeaderJSON> {
     return super.serializeBlockBaseJSON(context);
@@ -2,7 +2,7 @@
 import type BN from 'bn.js';
 
 import type Block from './Block';
-import type { ECPoint } from './common';
+import type { ECPoint, UInt256 } from './common';
 import type { TransactionType, RegisterTransaction } from './transaction';
 
 export type VMSettings = {|
@@ -12,6 +12,10 @@ export type VMSettings = {|
     |},
   |},
 |};
+export type Checkpoint = {|
+  +index: number,
+  +hash: UInt256,
+|};
 export type Settings = {|
   +genesisBlock: Block,
   +governingToken: RegisterTransaction,
@@ -23,4 +27,5 @@ export type Settings = {|
   +addressVersion: number,
   +standbyValidators: Array<ECPoint>,
   +vm: VMSettings,
+  +checkpoints: Array<Checkpoint>,
 |};
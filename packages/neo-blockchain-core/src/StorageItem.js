@@ -23,6 +23,7 @@ export type StorageItemUpdate = {|
 |};
 export type StorageItemsKey = {|
   hash: UInt160;
+  prefix?: Buffer;
 |};
 export type StorageItemKey = {|
   hash: UInt160;
@@ -18,6 +18,7 @@ import ByteArrayContractParameter, { type ByteArrayContractParameterJSON } from
 import PublicKeyContractParameter, { type PublicKeyContractParameterJSON } from './PublicKeyContractParameter';
 import StringContractParameter, { type StringContractParameterJSON } from './StringContractParameter';
 import ArrayContractParameter, { type ArrayContractParameterJSON } from './ArrayContractParameter';
+import MapContractParameter, { type MapContractParameterJSON } from './MapContractParameter';
 import InteropInterfaceContractParameter, { type InteropInterfaceContractParameterJSON } from './InteropInterfaceContractParameter';
 import VoidContractParameter, { type VoidContractParameterJSON } from './VoidContractParameter';
 
@@ -31,6 +32,7 @@ export type ContractParameter =
   PublicKeyContractParameter |
   StringContractParameter |
   ArrayContractParameter |
+  MapContractParameter |
   InteropInterfaceContractParameter |
   VoidContractParameter;
 
@@ -44,6 +46,7 @@ export type ContractParameterJSON =
   PublicKeyContractParameterJSON |
   StringContractParameterJSON |
   ArrayContractParameterJSON |
+  MapContractParameterJSON |
   InteropInterfaceContractParameterJSON |
   VoidContractParameterJSON;
 
@@ -71,6 +74,8 @@ export const deserializeWireBase = (
       return StringContractParameter.deserializeWireBase(options);
     case 0x10:
       return ArrayContractParameter.deserializeWireBase(options);
+    case 0x12:
+      return MapContractParameter.deserializeWireBase(options);
     case 0xf0:
       return InteropInterfaceContractParameter.deserializeWireBase(options);
     case 0xff:
@@ -99,3 +104,19 @@ ArrayContractParameter.deserializeWireBase =
 ArrayContractParameter.deserializeWire = createDeserializeWire(
   ArrayContractParameter.deserializeWireBase.bind(ArrayContractParameter),
 );
+
+// $FlowFixMe
+MapContractParameter.deserializeWireBase =
+  (options: DeserializeWireBaseOptions): MapContractParameter => {
+    const { reader } = options;
+    reader.readUInt8();
+    const value = reader.readArray(
+      () => [deserializeWireBase(options), deserializeWireBase(options)],
+    )
+    return new MapContractParameter(value);
+  };
+
+// $FlowFixMe
+MapContractParameter.deserializeWire = createDeserializeWire(
+  MapContractParameter.deserializeWireBase.bind(MapContractParameter),
+);
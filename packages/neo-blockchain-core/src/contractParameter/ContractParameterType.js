@@ -9,6 +9,7 @@ export const CONTRACT_PARAMETER_TYPE = {
   PUBLIC_KEY: 0x06,
   STRING: 0x07,
   ARRAY: 0x10,
+  MAP: 0x12,
   INTEROP_INTERFACE: 0xf0,
   VOID: 0xff,
 };
@@ -23,6 +24,7 @@ export type ContractParameterType =
   | 0x06
   | 0x07
   | 0x10
+  | 0x12
   | 0xf0
   | 0xff;
 
@@ -60,6 +62,8 @@ export const assertContractParameterType = (
       return CONTRACT_PARAMETER_TYPE.STRING;
     case CONTRACT_PARAMETER_TYPE.ARRAY:
       return CONTRACT_PARAMETER_TYPE.ARRAY;
+    case CONTRACT_PARAMETER_TYPE.MAP:
+      return CONTRACT_PARAMETER_TYPE.MAP;
     case CONTRACT_PARAMETER_TYPE.INTEROP_INTERFACE:
       return CONTRACT_PARAMETER_TYPE.INTEROP_INTERFACE;
     // TODO: Seems to be a bug in the TestNet
@@ -82,6 +86,7 @@ export type ContractParameterTypeJSON =
   | 'PublicKey'
   | 'String'
   | 'Array'
+  | 'Map'
   | 'InteropInterface'
   | 'Void';
 
@@ -107,6 +112,8 @@ export const toJSONContractParameterType = (
       return 'String';
     case 0x10:
       return 'Array';
+    case 0x12:
+      return 'Map';
     case 0xf0:
       return 'InteropInterface';
     case 0xff:
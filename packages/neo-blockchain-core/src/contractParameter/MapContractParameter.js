@@ -0,0 +1,64 @@
+/* @flow */
+import { CONTRACT_PARAMETER_TYPE } from './ContractParameterType';
+import { type BinaryWriter } from '../utils';
+import ContractParameterBase from './ContractParameterBase';
+import type {
+  ContractParameter,
+  ContractParameterJSON,
+} from './ContractParameter';
+import type {
+  SerializeJSONContext,
+} from '../Serializable';
+
+export type MapContractParameterJSON = {|
+  type: 'Map',
+  value: Array<{|
+    // eslint-disable-next-line
+    key: ContractParameterJSON,
+    // eslint-disable-next-line
+    value: ContractParameterJSON,
+  |}>,
+|}
+
+export default class MapContractParameter extends ContractParameterBase<
+  MapContractParameter,
+  MapContractParameterJSON,
+  typeof CONTRACT_PARAMETER_TYPE.MAP
+> {
+  type = CONTRACT_PARAMETER_TYPE.MAP;
+  value: Array<[ContractParameter, ContractParameter]>;
+
+  constructor(value: Array<[ContractParameter, ContractParameter]>) {
+    super();
+    this.value = value;
+  }
+
+  asBoolean(): boolean {
+    return true;
+  }
+
+  serializeWireBase(writer: BinaryWriter): void {
+    super.serializeWireBase(writer);
+    writer.writeArray(
+      this.value,
+      ([key, value]) => {
+        key.serializeWireBase(writer);
+        value.serializeWireBase(writer);
+      },
+    );
+  }
+
+  // deserialize is monkey patched on later
+
+  serializeJSON(
+    context: SerializeJSONContext,
+  ): MapContractParameterJSON {
+    return {
+      type: 'Map',
+      value: this.value.map(([key, value]) => ({
+        key: key.serializeJSON(context),
+        value: value.serializeJSON(context),
+      })),
+    };
+  }
+}
@@ -8,6 +8,7 @@ export { default as ByteArrayContractParameter } from './ByteArrayContractParame
 export { default as PublicKeyContractParameter } from './PublicKeyContractParameter';
 export { default as StringContractParameter } from './StringContractParameter';
 export { default as ArrayContractParameter } from './ArrayContractParameter';
+export { default as MapContractParameter } from './MapContractParameter';
 export { default as InteropInterfaceContractParameter } from './InteropInterfaceContractParameter';
 export { default as VoidContractParameter } from './VoidContractParameter';
 
@@ -20,6 +21,7 @@ export type { ByteArrayContractParameterJSON } from './ByteArrayContractParamete
 export type { PublicKeyContractParameterJSON } from './PublicKeyContractParameter';
 export type { StringContractParameterJSON } from './StringContractParameter';
 export type { ArrayContractParameterJSON } from './ArrayContractParameter';
+export type { MapContractParameterJSON } from './MapContractParameter';
 export type { InteropInterfaceContractParameterJSON } from './InteropInterfaceContractParameter';
 export type { VoidContractParameterJSON } from './VoidContractParameter';
 
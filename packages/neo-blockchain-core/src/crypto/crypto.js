@@ -259,7 +259,7 @@ const createMultiSignatureRedeemScript = (
 const getConsensusAddress = (validators: Array<ECPoint>): UInt160 =>
   toScriptHash(
     createMultiSignatureRedeemScript(
-      validators.length - (validators.length - 1) / 3,
+      validators.length - Math.floor((validators.length - 1) / 3),
       validators,
     ),
   );
@@ -451,6 +451,7 @@ export default {
   createVerificationScript,
   createWitness,
   getVerificationScriptHash,
+  sortKeys,
   createMultiSignatureRedeemScript,
   getConsensusAddress,
   privateKeyToWif,
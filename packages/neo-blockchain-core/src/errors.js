@@ -5,8 +5,20 @@ export class InvalidFormatError extends Error {
   }
 }
 
+export const VERIFY_ERROR_CODE = {
+  INVALID: 'INVALID',
+  DOUBLE_SPEND: 'DOUBLE_SPEND',
+  INVALID_WITNESS: 'INVALID_WITNESS',
+  INSUFFICIENT_FEE: 'INSUFFICIENT_FEE',
+};
+
+export type VerifyErrorCode = $Keys<typeof VERIFY_ERROR_CODE>;
+
 export class VerifyError extends Error {
-  constructor(reason: string) {
+  code: VerifyErrorCode;
+
+  constructor(reason: string, code?: VerifyErrorCode) {
     super(`Verification failed: ${reason}`);
+    this.code = code == null ? VERIFY_ERROR_CODE.INVALID : code;
   }
 }
@@ -23,11 +23,12 @@ export {
   PublicKeyContractParameter,
   StringContractParameter,
   ArrayContractParameter,
+  MapContractParameter,
   InteropInterfaceContractParameter,
   VoidContractParameter,
 } from './contractParameter';
 export { default as crypto, MerkleTree } from './crypto';
-export { InvalidFormatError } from './errors';
+export { VERIFY_ERROR_CODE, InvalidFormatError, VerifyError } from './errors';
 export {
   InvocationResultSuccess,
   InvocationResultError,
@@ -77,6 +78,7 @@ export type { AssetType, AssetTypeJSON } from './AssetType';
 export type { BlockJSON, BlockKey } from './Block';
 export type { BlockBaseAdd } from './BlockBase';
 export type { ContractJSON, ContractKey } from './Contract';
+export type { VerifyErrorCode } from './errors';
 export type { HeaderJSON, HeaderKey } from './Header';
 export type { InvocationDataKey } from './InvocationData';
 export type {
@@ -146,11 +148,18 @@ export type {
   PublicKeyContractParameterJSON,
   StringContractParameterJSON,
   ArrayContractParameterJSON,
+  MapContractParameterJSON,
   InteropInterfaceContractParameterJSON,
   VoidContractParameterJSON,
 } from './contractParameter';
 export type { Equatable, Equals } from './Equatable';
 export type {
+  ContractProfile,
+  ContractProfileJSON,
+  InvocationProfile,
+  InvocationProfileEntries,
+  InvocationProfileEntry,
+  InvocationProfileJSON,
   InvocationResult,
   InvocationResultJSON,
   InvocationResultType,
@@ -164,10 +173,11 @@ export type {
   SerializeWire,
   SerializableWire,
 } from './Serializable';
-export type { Settings, VMSettings } from './Settings';
+export type { Checkpoint, Settings, VMSettings } from './Settings';
 export type {
   ScriptContainer,
   ScriptContainerType,
   InvalidScriptContainerTypeError,
 } from './ScriptContainer';
 export type { ByteCode, OpCode, SysCallName, VerifyScriptOptions } from './vm';
+export type { ScriptBuilderParam } from './utils';
@@ -0,0 +1,58 @@
+/* @flow */
+import type BN from 'bn.js';
+import _ from 'lodash';
+
+import { type UInt160Hex } from '../common';
+import { JSONHelper } from '../utils';
+
+export type InvocationProfileEntry = {|
+  count: number,
+  fee: BN,
+  // Milliseconds. Calls include the time spent in the callee.
+  time: number,
+|};
+export type InvocationProfileEntries = {
+  [name: string]: InvocationProfileEntry,
+};
+export type ContractProfile = {|
+  opCodes: InvocationProfileEntries,
+  sysCalls: InvocationProfileEntries,
+|};
+// Keyed by the script hash of the contract the instructions belong to.
+export type InvocationProfile = { [scriptHash: UInt160Hex]: ContractProfile };
+
+export type InvocationProfileEntryJSON = {|
+  count: number,
+  fee: string,
+  time: number,
+|};
+export type InvocationProfileEntriesJSON = {
+  [name: string]: InvocationProfileEntryJSON,
+};
+export type ContractProfileJSON = {|
+  opCodes: InvocationProfileEntriesJSON,
+  sysCalls: InvocationProfileEntriesJSON,
+|};
+export type InvocationProfileJSON = {
+  [scriptHash: string]: ContractProfileJSON,
+};
+
+const serializeEntriesJSON = (
+  entries: InvocationProfileEntries,
+): InvocationProfileEntriesJSON =>
+  _.mapValues(entries, ({ count, fee, time }) => ({
+    count,
+    fee: JSONHelper.writeFixed8(fee),
+    time,
+  }));
+
+export default (profile: InvocationProfile): InvocationProfileJSON =>
+  _.mapValues(
+    _.mapKeys(profile, (value, scriptHash) =>
+      JSONHelper.writeUInt160(scriptHash),
+    ),
+    ({ opCodes, sysCalls }) => ({
+      opCodes: serializeEntriesJSON(opCodes),
+      sysCalls: serializeEntriesJSON(sysCalls),
+    }),
+  );
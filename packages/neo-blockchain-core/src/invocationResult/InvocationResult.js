@@ -9,6 +9,7 @@ import {
   createDeserializeWire,
 } from '../Serializable';
 
+import { peekInvocationResultType } from './InvocationResultBase';
 import InvocationResultSuccess from './InvocationResultSuccess';
 import InvocationResultError from './InvocationResultError';
 
@@ -26,7 +27,7 @@ export const deserializeWireBase = (
   options: DeserializeWireBaseOptions,
 ): InvocationResult => {
   const { reader } = options;
-  const type = assertInvocationResultType(reader.clone().readUInt8());
+  const type = assertInvocationResultType(peekInvocationResultType(reader));
   switch (type) {
     case 0x00:
       return InvocationResultError.deserializeWireBase(options);
@@ -9,12 +9,41 @@ import {
   type SerializableWire,
   createSerializeWire,
 } from '../Serializable';
+import { InvalidFormatError } from '../errors';
+
+// Results written before gasConsumed was added to the wire format start
+// directly with their type. Newer results are prefixed with VERSION_MARKER and
+// the format version so that both layouts can be read from existing storage.
+const VERSION_MARKER = 0xff;
+export const LEGACY_VERSION = 0x00;
+const VERSION = 0x01;
+
+const readVersion = (reader: BinaryReader): number => {
+  if (reader.clone().readUInt8() !== VERSION_MARKER) {
+    return LEGACY_VERSION;
+  }
+  reader.readUInt8();
+  const version = reader.readUInt8();
+  if (version !== VERSION) {
+    throw new InvalidFormatError();
+  }
+
+  return version;
+};
+
+export const peekInvocationResultType = (reader: BinaryReader): number => {
+  const clone = reader.clone();
+  readVersion(clone);
+  return clone.readUInt8();
+};
 
 export default class InvocationResultBase<Type: InvocationResultType>
   implements SerializableWire<InvocationResult> {
   type: Type;
 
   serializeWireBase(writer: BinaryWriter): void {
+    writer.writeUInt8(VERSION_MARKER);
+    writer.writeUInt8(VERSION);
     writer.writeUInt8(this.type);
   }
 
@@ -23,9 +52,10 @@ export default class InvocationResultBase<Type: InvocationResultType>
   // eslint-disable-next-line
   static deserializeInvocationResultWireBase({
     reader,
-  }: DeserializeWireBaseOptions): {| type: number |} {
+  }: DeserializeWireBaseOptions): {| type: number, version: number |} {
+    const version = readVersion(reader);
     const type = reader.readUInt8();
-    return { type };
+    return { type, version };
   }
 
   // eslint-disable-next-line
@@ -1,21 +1,31 @@
 /* @flow */
+import type BN from 'bn.js';
+
 import { INVOCATION_RESULT_TYPE } from './InvocationResultType';
-import { type BinaryWriter } from '../utils';
+import utils, { type BinaryWriter, JSONHelper } from '../utils';
 import type {
   DeserializeWireBaseOptions,
   SerializableJSON,
   SerializeJSONContext,
 } from '../Serializable';
-import InvocationResultBase from './InvocationResultBase';
+import InvocationResultBase, { LEGACY_VERSION } from './InvocationResultBase';
+import serializeInvocationProfileJSON, {
+  type InvocationProfile,
+  type InvocationProfileJSON,
+} from './InvocationProfile';
 import { InvalidFormatError } from '../errors';
 
 export type InvocationResultErrorAdd = {|
+  gasConsumed: BN,
   message: string,
+  profile?: InvocationProfile,
 |};
 
 export type InvocationResultErrorJSON = {|
   type: 'Error',
+  gasConsumed: string,
   message: string,
+  profile?: InvocationProfileJSON,
 |};
 
 const MAX_SIZE = 1024;
@@ -24,34 +34,50 @@ export default class InvocationResultError
   extends InvocationResultBase<typeof INVOCATION_RESULT_TYPE.ERROR>
   implements SerializableJSON<InvocationResultErrorJSON> {
   type = INVOCATION_RESULT_TYPE.ERROR;
+  gasConsumed: BN;
   message: string;
+  // Only set when the invocation was profiled. Not serialized to the wire.
+  profile: ?InvocationProfile;
 
-  constructor({ message }: InvocationResultErrorAdd) {
+  constructor({ gasConsumed, message, profile }: InvocationResultErrorAdd) {
     super();
+    this.gasConsumed = gasConsumed;
     this.message = message;
+    this.profile = profile;
   }
 
   serializeWireBase(writer: BinaryWriter): void {
     super.serializeWireBase(writer);
+    writer.writeFixed8(this.gasConsumed);
     writer.writeVarString(this.message, MAX_SIZE);
   }
 
   // eslint-disable-next-line
   static deserializeWireBase(options: DeserializeWireBaseOptions): this {
     const { reader } = options;
-    const { type } = super.deserializeInvocationResultWireBase(options);
+    const { type, version } = super.deserializeInvocationResultWireBase(
+      options,
+    );
     if (type !== INVOCATION_RESULT_TYPE.ERROR) {
       throw new InvalidFormatError();
     }
+    const gasConsumed =
+      version === LEGACY_VERSION ? utils.ZERO : reader.readFixed8();
     const message = reader.readVarString(MAX_SIZE);
-    return new this({ message });
+    return new this({ gasConsumed, message });
   }
 
   // eslint-disable-next-line
   serializeJSON(context: SerializeJSONContext): InvocationResultErrorJSON {
-    return {
+    const json: InvocationResultErrorJSON = {
       type: 'Error',
+      gasConsumed: JSONHelper.writeFixed8(this.gasConsumed),
       message: this.message,
     };
+    if (this.profile != null) {
+      json.profile = serializeInvocationProfileJSON(this.profile);
+    }
+
+    return json;
   }
 }
@@ -1,12 +1,18 @@
 /* @flow */
+import type BN from 'bn.js';
+
 import { INVOCATION_RESULT_TYPE } from './InvocationResultType';
-import { type BinaryWriter } from '../utils';
+import utils, { type BinaryWriter, JSONHelper } from '../utils';
 import type {
   DeserializeWireBaseOptions,
   SerializableJSON,
   SerializeJSONContext,
 } from '../Serializable';
-import InvocationResultBase from './InvocationResultBase';
+import InvocationResultBase, { LEGACY_VERSION } from './InvocationResultBase';
+import serializeInvocationProfileJSON, {
+  type InvocationProfile,
+  type InvocationProfileJSON,
+} from './InvocationProfile';
 import { InvalidFormatError } from '../errors';
 import {
   type ContractParameter,
@@ -15,31 +21,46 @@ import {
 } from '../contractParameter';
 
 export type InvocationResultSuccessAdd = {|
+  gasConsumed: BN,
   stack: Array<ContractParameter>,
   stackAlt: Array<ContractParameter>,
+  profile?: InvocationProfile,
 |};
 
 export type InvocationResultSuccessJSON = {|
   type: 'Success',
+  gasConsumed: string,
   stack: Array<ContractParameterJSON>,
   stackAlt: Array<ContractParameterJSON>,
+  profile?: InvocationProfileJSON,
 |};
 
 export default class InvocationResultSuccess
   extends InvocationResultBase<typeof INVOCATION_RESULT_TYPE.SUCCESS>
   implements SerializableJSON<InvocationResultSuccessJSON> {
   type = INVOCATION_RESULT_TYPE.SUCCESS;
+  gasConsumed: BN;
   stack: Array<ContractParameter>;
   stackAlt: Array<ContractParameter>;
+  // Only set when the invocation was profiled. Not serialized to the wire.
+  profile: ?InvocationProfile;
 
-  constructor({ stack, stackAlt }: InvocationResultSuccessAdd) {
+  constructor({
+    gasConsumed,
+    stack,
+    stackAlt,
+    profile,
+  }: InvocationResultSuccessAdd) {
     super();
+    this.gasConsumed = gasConsumed;
     this.stack = stack;
     this.stackAlt = stackAlt;
+    this.profile = profile;
   }
 
   serializeWireBase(writer: BinaryWriter): void {
     super.serializeWireBase(writer);
+    writer.writeFixed8(this.gasConsumed);
     writer.writeArray(
       this.stack,
       (contractParameter) => contractParameter.serializeWireBase(writer),
@@ -53,23 +74,33 @@ export default class InvocationResultSuccess
   // eslint-disable-next-line
   static deserializeWireBase(options: DeserializeWireBaseOptions): this {
     const { reader } = options;
-    const { type } = super.deserializeInvocationResultWireBase(options);
+    const { type, version } = super.deserializeInvocationResultWireBase(
+      options,
+    );
     if (type !== INVOCATION_RESULT_TYPE.SUCCESS) {
       throw new InvalidFormatError();
     }
+    const gasConsumed =
+      version === LEGACY_VERSION ? utils.ZERO : reader.readFixed8();
     const stack = reader.readArray(() => deserializeContractParameterWireBase(options));
     const stackAlt = reader.readArray(
       () => deserializeContractParameterWireBase(options),
     );
-    return new this({ stack, stackAlt });
+    return new this({ gasConsumed, stack, stackAlt });
   }
 
   // eslint-disable-next-line
   serializeJSON(context: SerializeJSONContext): InvocationResultSuccessJSON {
-    return {
+    const json: InvocationResultSuccessJSON = {
       type: 'Success',
+      gasConsumed: JSONHelper.writeFixed8(this.gasConsumed),
       stack: this.stack.map(value => value.serializeJSON(context)),
       stackAlt: this.stackAlt.map(value => value.serializeJSON(context)),
     };
+    if (this.profile != null) {
+      json.profile = serializeInvocationProfileJSON(this.profile);
+    }
+
+    return json;
   }
 }
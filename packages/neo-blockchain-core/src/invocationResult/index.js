@@ -17,3 +17,11 @@ export type {
   InvocationResultJSON,
 } from './InvocationResult';
 export type { InvocationResultType } from './InvocationResultType';
+export type {
+  ContractProfile,
+  ContractProfileJSON,
+  InvocationProfile,
+  InvocationProfileEntries,
+  InvocationProfileEntry,
+  InvocationProfileJSON,
+} from './InvocationProfile';
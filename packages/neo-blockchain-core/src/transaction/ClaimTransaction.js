@@ -14,7 +14,11 @@ import TransactionBase, {
   type TransactionGetScriptHashesForVerifyingOptions,
   type TransactionVerifyOptions,
 } from './TransactionBase';
-import { InvalidFormatError, VerifyError } from '../errors';
+import {
+  VERIFY_ERROR_CODE,
+  InvalidFormatError,
+  VerifyError,
+} from '../errors';
 import type Witness from '../Witness';
 
 import common, {
@@ -181,7 +185,10 @@ export default class ClaimTransaction
         transaction.claims,
       )
     )) {
-      throw new VerifyError('Dupliate claims in mempool');
+      throw new VerifyError(
+        'Duplicate claims in mempool',
+        VERIFY_ERROR_CODE.DOUBLE_SPEND,
+      );
     }
     const [results, claimAmount] = await Promise.all([
       this.getTransactionResults({ getOutput }),
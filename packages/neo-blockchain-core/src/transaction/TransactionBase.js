@@ -28,7 +28,7 @@ import {
   type SerializableWire,
   createSerializeWire,
 } from '../Serializable';
-import { InvalidFormatError, VerifyError } from '../errors';
+import { VERIFY_ERROR_CODE, InvalidFormatError, VerifyError } from '../errors';
 import Input, { type InputJSON } from './Input';
 import Output, { type OutputJSON, type OutputKey } from './Output';
 import type RegisterTransaction from './RegisterTransaction';
@@ -436,7 +436,10 @@ export default class TransactionBase<Type: TransactionType, TransactionJSON>
           ),
       )
     ) {
-      throw new VerifyError('Input already exists in mempool');
+      throw new VerifyError(
+        'Input already exists in mempool',
+        VERIFY_ERROR_CODE.DOUBLE_SPEND,
+      );
     }
 
     if (
@@ -464,7 +467,10 @@ export default class TransactionBase<Type: TransactionType, TransactionJSON>
       this.inputs.map(input => isSpent(input)),
     );
     if (isDoubleSpend.some(value => value)) {
-      throw new VerifyError('Transaction is a double spend');
+      throw new VerifyError(
+        'Transaction is a double spend',
+        VERIFY_ERROR_CODE.DOUBLE_SPEND,
+      );
     }
   }
 
@@ -532,7 +538,10 @@ export default class TransactionBase<Type: TransactionType, TransactionJSON>
       systemFee.gt(utils.ZERO) &&
       (resultsDestroy.length === 0 || resultsDestroy[0][1].lt(systemFee))
     ) {
-      throw new VerifyError('Not enough output value for system fee.');
+      throw new VerifyError(
+        'Not enough output value for system fee.',
+        VERIFY_ERROR_CODE.INSUFFICIENT_FEE,
+      );
     }
 
     const resultsIssue = utils.entries(results).filter(
@@ -590,7 +599,10 @@ export default class TransactionBase<Type: TransactionType, TransactionJSON>
     });
 
     if (hashesSet.size !== this.scripts.length) {
-      throw new VerifyError('Invalid witnesses');
+      throw new VerifyError(
+        'Invalid witnesses',
+        VERIFY_ERROR_CODE.INVALID_WITNESS,
+      );
     }
 
     const hashes = [...hashesSet]
@@ -36,11 +36,14 @@ const BYTECODE_TO_BYTECODE_BUFFER = _.fromPairs(
   ),
 );
 
-type Param =
+export type Param =
   BN |
   number |
   UInt160 |
-  string;
+  string |
+  boolean |
+  Buffer |
+  Array<Param>;
 
 export default class ScriptBuilder {
   buffers: Array<Buffer>;
@@ -115,6 +118,18 @@ export default class ScriptBuilder {
     return this.emitPush(Buffer.from(value, 'utf8'));
   }
 
+  emitPushBoolean(value: boolean): this {
+    return this.emitOp(value ? 'PUSH1' : 'PUSH0');
+  }
+
+  emitPushArray(params: Array<Param>): this {
+    for (let i = params.length - 1; i >= 0; i -= 1) {
+      this.emitPushParam(params[i]);
+    }
+    this.emitPushParam(params.length);
+    return this.emitOp('PACK');
+  }
+
   emitOp(op: OpCode, buffer?: ?Buffer): this {
     this.emitOpByte(OPCODE_TO_BYTECODE[op], buffer);
     return this;
@@ -127,6 +142,12 @@ export default class ScriptBuilder {
       return this.emitPushInt(param);
     } else if (typeof param === 'string') {
       return this.emitPushString(param);
+    } else if (typeof param === 'boolean') {
+      return this.emitPushBoolean(param);
+    } else if (Array.isArray(param)) {
+      return this.emitPushArray(param);
+    } else if (param instanceof Buffer) {
+      return this.emitPush(param);
     }
 
     throw new InvalidParamError();
@@ -137,12 +158,15 @@ export default class ScriptBuilder {
     operation: string,
     ...params: Array<Param>
   ): this {
+    this.emitPushArray(params);
+    this.emitPushParam(operation);
+    return this.emitOp('APPCALL', common.uInt160ToBuffer(scriptHash));
+  }
+
+  emitAppCallParams(scriptHash: UInt160, ...params: Array<Param>): this {
     for (let i = params.length - 1; i >= 0; i -= 1) {
       this.emitPushParam(params[i]);
     }
-    this.emitPushParam(params.length);
-    this.emitOp('PACK');
-    this.emitPushParam(operation);
     return this.emitOp('APPCALL', common.uInt160ToBuffer(scriptHash));
   }
 
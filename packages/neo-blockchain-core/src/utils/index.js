@@ -13,6 +13,8 @@ export { default as IOHelper } from './IOHelper';
 export { default as JSONHelper } from './JSONHelper';
 export { default as ScriptBuilder } from './ScriptBuilder';
 
+export type { Param as ScriptBuilderParam } from './ScriptBuilder';
+
 export default {
   ...utils,
   equals,
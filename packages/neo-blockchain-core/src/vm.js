@@ -184,6 +184,11 @@ export type OpCode =
   'SETITEM' |
   'NEWARRAY' |
   'NEWSTRUCT' |
+  'NEWMAP' |
+  'REMOVE' |
+  'HASKEY' |
+  'KEYS' |
+  'VALUES' |
   'THROW' |
   'THROWIFNOT';
 
@@ -359,6 +364,11 @@ export type ByteCode =
   0xC4 |
   0xC5 |
   0xC6 |
+  0xC7 |
+  0xCA |
+  0xCB |
+  0xCC |
+  0xCD |
   0xF0 |
   0xF1;
 
@@ -465,6 +475,11 @@ const OPCODE_PAIRS = [
   [0xC4, 'SETITEM'],
   [0xC5, 'NEWARRAY'],
   [0xC6, 'NEWSTRUCT'],
+  [0xC7, 'NEWMAP'],
+  [0xCA, 'REMOVE'],
+  [0xCB, 'HASKEY'],
+  [0xCC, 'KEYS'],
+  [0xCD, 'VALUES'],
   [0xF0, 'THROW'],
   [0xF1, 'THROWIFNOT'],
 ]);
@@ -534,6 +549,15 @@ export const SYS_CALL_NAME = {
   CONTRACT_DESTROY: 'Neo.Contract.Destroy',
   STORAGE_PUT: 'Neo.Storage.Put',
   STORAGE_DELETE: 'Neo.Storage.Delete',
+  STORAGE_FIND: 'Neo.Storage.Find',
+  ITERATOR_CREATE: 'Neo.Iterator.Create',
+  ITERATOR_KEY: 'Neo.Iterator.Key',
+  ITERATOR_KEYS: 'Neo.Iterator.Keys',
+  ITERATOR_VALUES: 'Neo.Iterator.Values',
+  ENUMERATOR_CREATE: 'Neo.Enumerator.Create',
+  ENUMERATOR_NEXT: 'Neo.Enumerator.Next',
+  ENUMERATOR_VALUE: 'Neo.Enumerator.Value',
+  ENUMERATOR_CONCAT: 'Neo.Enumerator.Concat',
   EXECUTION_ENGINE_GET_SCRIPT_CONTAINER: 'System.ExecutionEngine.GetScriptContainer',
   EXECUTION_ENGINE_GET_EXECUTING_SCRIPT_HASH: 'System.ExecutionEngine.GetExecutingScriptHash',
   EXECUTION_ENGINE_GET_CALLING_SCRIPT_HASH: 'System.ExecutionEngine.GetCallingScriptHash',
@@ -609,6 +633,15 @@ export type SysCallName =
   'Neo.Contract.Destroy' |
   'Neo.Storage.Put' |
   'Neo.Storage.Delete' |
+  'Neo.Storage.Find' |
+  'Neo.Iterator.Create' |
+  'Neo.Iterator.Key' |
+  'Neo.Iterator.Keys' |
+  'Neo.Iterator.Values' |
+  'Neo.Enumerator.Create' |
+  'Neo.Enumerator.Next' |
+  'Neo.Enumerator.Value' |
+  'Neo.Enumerator.Concat' |
   'System.ExecutionEngine.GetScriptContainer' |
   'System.ExecutionEngine.GetExecutingScriptHash' |
   'System.ExecutionEngine.GetCallingScriptHash' |
@@ -734,6 +767,24 @@ export const assertSysCallName = (value: string): SysCallName => {
       return SYS_CALL_NAME.STORAGE_PUT;
     case SYS_CALL_NAME.STORAGE_DELETE:
       return SYS_CALL_NAME.STORAGE_DELETE;
+    case SYS_CALL_NAME.STORAGE_FIND:
+      return SYS_CALL_NAME.STORAGE_FIND;
+    case SYS_CALL_NAME.ITERATOR_CREATE:
+      return SYS_CALL_NAME.ITERATOR_CREATE;
+    case SYS_CALL_NAME.ITERATOR_KEY:
+      return SYS_CALL_NAME.ITERATOR_KEY;
+    case SYS_CALL_NAME.ITERATOR_KEYS:
+      return SYS_CALL_NAME.ITERATOR_KEYS;
+    case SYS_CALL_NAME.ITERATOR_VALUES:
+      return SYS_CALL_NAME.ITERATOR_VALUES;
+    case SYS_CALL_NAME.ENUMERATOR_CREATE:
+      return SYS_CALL_NAME.ENUMERATOR_CREATE;
+    case SYS_CALL_NAME.ENUMERATOR_NEXT:
+      return SYS_CALL_NAME.ENUMERATOR_NEXT;
+    case SYS_CALL_NAME.ENUMERATOR_VALUE:
+      return SYS_CALL_NAME.ENUMERATOR_VALUE;
+    case SYS_CALL_NAME.ENUMERATOR_CONCAT:
+      return SYS_CALL_NAME.ENUMERATOR_CONCAT;
     case SYS_CALL_NAME.EXECUTION_ENGINE_GET_SCRIPT_CONTAINER:
       return SYS_CALL_NAME.EXECUTION_ENGINE_GET_SCRIPT_CONTAINER;
     case SYS_CALL_NAME.EXECUTION_ENGINE_GET_EXECUTING_SCRIPT_HASH:
@@ -7,7 +7,10 @@ import {
   finalize,
   neverComplete,
 } from 'neo-blockchain-node-core';
-import Node from 'neo-blockchain-node';
+import Node, {
+  type ConsensusOptions,
+  type SoloOptions,
+} from 'neo-blockchain-node';
 import { Observable } from 'rxjs/Observable';
 import { type Settings } from 'neo-blockchain-core';
 import {
@@ -22,7 +25,11 @@ import { defer } from 'rxjs/observable/defer';
 import { concatMap, distinct, map } from 'rxjs/operators';
 import leveldown from 'leveldown';
 import levelup from 'levelup';
-import levelUpStorage from 'neo-blockchain-levelup';
+import levelUpStorage, {
+  DEFAULT_UNDO_DEPTH,
+  checkStorageVersion,
+} from 'neo-blockchain-levelup';
+import path from 'path';
 import vm from 'neo-blockchain-vm';
 
 export type NodeOptions = {|
@@ -32,6 +39,18 @@ export type NodeOptions = {|
 export type Environment = {|
   dataPath: string,
   rpc: RPCServerEnvironment,
+  node?: {|
+    listenTCP?: {|
+      port: number,
+      host?: string,
+    |},
+    externalEndpoints?: Array<Endpoint>,
+    connectPeersDelayMS?: number,
+    maxConnectedPeers?: number,
+    socketTimeoutMS?: number,
+  |},
+  consensus?: ConsensusOptions,
+  solo?: SoloOptions,
   levelDownOptions?: {|
     createIfMissing?: boolean,
     errorIfExists?: boolean,
@@ -50,6 +69,17 @@ export type Options = {|
   rpc: RPCServerOptions,
 |};
 
+const destroyDB = (dataPath: string): Promise<void> =>
+  new Promise((resolve, reject) => {
+    leveldown.destroy(dataPath, error => {
+      if (error != null) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+
 export default ({
   log,
   createLogForContext,
@@ -58,6 +88,7 @@ export default ({
   environment,
   options$,
   onCreateBlockchain,
+  blockchainOnly,
 }: {|
   log: Log,
   createLogForContext: CreateLogForContext,
@@ -66,13 +97,32 @@ export default ({
   environment: Environment,
   options$: Observable<Options>,
   onCreateBlockchain?: (blockchain: BlockchainType) => Promise<void>,
+  // Emits the blockchain once onCreateBlockchain resolves, without starting
+  // the node or the RPC server.
+  blockchainOnly?: boolean,
 |}) =>
   defer(async () => {
+    const openDB = () =>
+      levelup(leveldown(environment.dataPath, environment.levelDownOptions));
+    let db = openDB();
+    if (!await checkStorageVersion(db)) {
+      log({ event: 'STORAGE_VERSION_MISMATCH_RESYNC' });
+      await db.close();
+      await destroyDB(environment.dataPath);
+      db = openDB();
+      await checkStorageVersion(db);
+    }
+
+    // Tracing a transaction rolls back every block from the tip to the
+    // transaction's block, so their undo data must be kept.
+    const { traceTransaction } = environment.rpc;
     const storage = levelUpStorage({
-      db: levelup(
-        leveldown(environment.dataPath, environment.levelDownOptions),
-      ),
+      db,
       context: { messageMagic: settings.messageMagic },
+      undoDepth:
+        traceTransaction == null
+          ? DEFAULT_UNDO_DEPTH
+          : Math.max(DEFAULT_UNDO_DEPTH, traceTransaction.maxDepth + 1),
     });
     const blockchain = await Blockchain.create({
       settings,
@@ -83,10 +133,22 @@ export default ({
     if (onCreateBlockchain != null) {
       await onCreateBlockchain(blockchain);
     }
+    if (blockchainOnly) {
+      return { node: undefined, blockchain, storage };
+    }
 
+    const nodeEnvironment = environment.node || {};
     const node = new Node({
       blockchain,
       seeds$: options$.pipe(map(options => options.node.seeds), distinct()),
+      listenTCP: nodeEnvironment.listenTCP,
+      externalEndpoints: nodeEnvironment.externalEndpoints,
+      connectPeersDelayMS: nodeEnvironment.connectPeersDelayMS,
+      maxConnectedPeers: nodeEnvironment.maxConnectedPeers,
+      socketTimeoutMS: nodeEnvironment.socketTimeoutMS,
+      memPoolPath: path.join(environment.dataPath, 'mempool.dat'),
+      consensus: environment.consensus,
+      solo: environment.solo,
     });
     node.start();
 
@@ -95,20 +157,25 @@ export default ({
     neverComplete(),
     finalize(async result => {
       if (result != null) {
-        await result.node.stop();
+        if (result.node != null) {
+          await result.node.stop();
+        }
         await result.blockchain.stop();
         await result.storage.close();
       }
     }),
-    concatMap(({ node, blockchain }) =>
-      rpcServer$({
-        log,
-        createLogForContext,
-        createProfile,
-        blockchain,
-        node,
-        environment: environment.rpc,
-        options$: options$.pipe(map(options => options.rpc), distinct()),
-      }),
+    concatMap(
+      ({ node, blockchain }) =>
+        node == null
+          ? defer(async () => blockchain)
+          : rpcServer$({
+              log,
+              createLogForContext,
+              createProfile,
+              blockchain,
+              node,
+              environment: environment.rpc,
+              options$: options$.pipe(map(options => options.rpc), distinct()),
+            }),
     ),
   );
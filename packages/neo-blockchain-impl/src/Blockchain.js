@@ -4,6 +4,7 @@ import type BN from 'bn.js';
 import {
   SCRIPT_CONTAINER_TYPE,
   type Block,
+  type Checkpoint,
   type ECPoint,
   type Header,
   type Input,
@@ -12,6 +13,8 @@ import {
   type OutputKey,
   type SerializableInvocationData,
   type Transaction,
+  type UInt160,
+  type UInt256,
   type VerifyScriptOptions,
   InvocationTransaction,
   InvocationResultError,
@@ -24,12 +27,17 @@ import {
   NULL_ACTION,
   TRIGGER_TYPE,
   type Blockchain as BlockchainType,
+  type ClaimableCoin,
   type Log,
+  type OnStep,
   type OnStepInput,
   type Storage,
+  type UnclaimedGAS,
   type VM,
 } from 'neo-blockchain-node-core';
+import type { Observable } from 'rxjs/Observable';
 import PriorityQueue from 'js-priority-queue';
+import { Subject } from 'rxjs/Subject';
 
 import _ from 'lodash';
 // TODO: Support in browsers?
@@ -37,7 +45,12 @@ import _ from 'lodash';
 import { performance } from 'perf_hooks'; // eslint-disable-line
 
 import {
+  BlockAbandonedError,
+  BlockIndexQueuedError,
+  CheckpointMismatchError,
   GenesisBlockNotRegisteredError,
+  InvalidRollbackIndexError,
+  RollbackUndoDataNotFoundError,
   VerifyError,
   WitnessVerifyError,
 } from './errors';
@@ -63,6 +76,20 @@ type SpentCoin = {|
   claimed: boolean,
 |};
 
+type Coin = {|
+  value: BN,
+  startHeight: number,
+  endHeight: number,
+|};
+
+type UnclaimedCoin = {|
+  hash: UInt256,
+  index: number,
+  value: BN,
+  startHeight: number,
+  endHeight: ?number,
+|};
+
 type Vote = {|
   publicKeys: Array<ECPoint>,
   count: BN,
@@ -83,9 +110,15 @@ export default class Blockchain {
   block: $PropertyType<BlockchainType, 'block'>;
   blockSystemFee: $PropertyType<BlockchainType, 'blockSystemFee'>;
   header: $PropertyType<BlockchainType, 'header'>;
+  headerHash: $PropertyType<BlockchainType, 'headerHash'>;
   transaction: $PropertyType<BlockchainType, 'transaction'>;
   transactionSpentCoins: $PropertyType<BlockchainType, 'transactionSpentCoins'>;
   output: $PropertyType<BlockchainType, 'output'>;
+  unspent: $PropertyType<BlockchainType, 'unspent'>;
+  unclaimed: $PropertyType<BlockchainType, 'unclaimed'>;
+  addressTransaction: $PropertyType<BlockchainType, 'addressTransaction'>;
+  nep5Balance: $PropertyType<BlockchainType, 'nep5Balance'>;
+  nep5Transfer: $PropertyType<BlockchainType, 'nep5Transfer'>;
   contract: $PropertyType<BlockchainType, 'contract'>;
   storageItem: $PropertyType<BlockchainType, 'storageItem'>;
   validator: $PropertyType<BlockchainType, 'validator'>;
@@ -95,24 +128,40 @@ export default class Blockchain {
   _currentBlock: ?$PropertyType<BlockchainType, 'currentBlock'>;
   _currentHeader: ?$PropertyType<BlockchainType, 'currentHeader'>;
   _persistingBlocks: boolean;
+  _pausePersistingBlocks: boolean;
   _blockQueue: PriorityQueue;
   _inQueue: Set<number>;
+  _writeQueue: Promise<void>;
   _vm: VM;
+  _checkpoint: Checkpoint;
   _running: boolean;
   _doneRunningResolve: ?() => void;
+  _donePersistingBlocksResolve: ?() => void;
+  _block$: Subject<Block>;
+  block$: Observable<Block>;
 
   constructor(options: BlockchainOptions) {
     this._storage = options.storage;
     this._currentBlock = options.currentBlock;
     this._currentHeader = options.currentHeader;
     this._persistingBlocks = false;
+    this._pausePersistingBlocks = false;
+    this._block$ = new Subject();
+    this.block$ = this._block$.asObservable();
     this._blockQueue = new PriorityQueue({
       comparator: (a, b) => a.block.index - b.block.index,
     });
     this._inQueue = new Set();
+    this._writeQueue = Promise.resolve();
     this._vm = options.vm;
+    // The genesis block is always trusted.
+    this._checkpoint = options.settings.checkpoints.reduce(
+      (acc, checkpoint) => (checkpoint.index > acc.index ? checkpoint : acc),
+      { index: 0, hash: options.settings.genesisBlock.hash },
+    );
     this._running = true;
     this._doneRunningResolve = null;
+    this._donePersistingBlocksResolve = null;
 
     this.settings = options.settings;
     this.log = options.log;
@@ -129,9 +178,15 @@ export default class Blockchain {
       get: this._storage.header.get,
       tryGet: this._storage.header.tryGet,
     };
+    this.headerHash = this._storage.headerHash;
     this.transaction = this._storage.transaction;
     this.transactionSpentCoins = this._storage.transactionSpentCoins;
     this.output = this._storage.output;
+    this.unspent = this._storage.unspent;
+    this.unclaimed = this._storage.unclaimed;
+    this.addressTransaction = this._storage.addressTransaction;
+    this.nep5Balance = this._storage.nep5Balance;
+    this.nep5Transfer = this._storage.nep5Transfer;
     this.contract = this._storage.contract;
     this.storageItem = this._storage.storageItem;
     this.validator = this._storage.validator;
@@ -229,6 +284,7 @@ export default class Blockchain {
   |}): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._inQueue.has(block.index)) {
+        reject(new BlockIndexQueuedError(block.index));
         return;
       }
       this._inQueue.add(block.index);
@@ -238,9 +294,19 @@ export default class Blockchain {
     });
   }
 
-  // eslint-disable-next-line
-  async persistHeaders(headers: Array<Header>): Promise<void> {
-    // TODO: Perhaps don't implement this?
+  persistHeaders(headers: Array<Header>): Promise<void> {
+    return this._enqueueWrite(() => this._persistHeaders(headers));
+  }
+
+  rollback({ toIndex }: {| toIndex: number |}): Promise<void> {
+    return this._enqueueWrite(() => this._rollback(toIndex));
+  }
+
+  _enqueueWrite<T>(func: () => Promise<T>): Promise<T> {
+    const result = this._writeQueue.then(func);
+    this._writeQueue = result.then(() => {}, () => {});
+
+    return result;
   }
 
   async verifyBlock(block: Block): Promise<void> {
@@ -258,6 +324,7 @@ export default class Blockchain {
       governingToken: this.settings.governingToken,
       utilityToken: this.settings.utilityToken,
       fees: this.settings.fees,
+      completely: true,
     });
   }
 
@@ -282,12 +349,22 @@ export default class Blockchain {
     });
   }
 
-  async invokeScript(script: Buffer): Promise<InvocationResult> {
+  getValidators(transactions: Array<Transaction>): Promise<Array<ECPoint>> {
+    return this._getValidators(transactions);
+  }
+
+  async invokeScript(
+    script: Buffer,
+    options?: {| onStep?: OnStep, profile?: boolean |},
+  ): Promise<InvocationResult> {
+    const { onStep, profile: shouldProfile } = options || {};
+    const profile = shouldProfile ? {} : undefined;
     const blockchain = this._createWriteBlockchain();
     const transaction = new InvocationTransaction({
       script,
       gas: common.ONE_HUNDRED_FIXED8,
     });
+    let { gas: gasLeft } = transaction;
     try {
       const result = await this._vm.executeScripts({
         scripts: [{ code: script }],
@@ -299,19 +376,66 @@ export default class Blockchain {
         triggerType: TRIGGER_TYPE.APPLICATION,
         action: NULL_ACTION,
         gas: transaction.gas,
-        onStep: this._onStep,
+        onStep: (input: OnStepInput) => {
+          ({ gasLeft } = input.context);
+          this._onStep(input);
+          return onStep == null ? undefined : onStep(input);
+        },
+        profile,
       });
       return new InvocationResultSuccess({
+        gasConsumed: transaction.gas.sub(result.gasLeft),
         stack: result.stack,
         stackAlt: result.stackAlt,
+        profile,
       });
     } catch (error) {
-      return new InvocationResultError({ message: error.message });
+      return new InvocationResultError({
+        gasConsumed: transaction.gas.sub(gasLeft),
+        message: error.message,
+        profile,
+      });
     }
   }
 
+  // Persisting is paused while tracing so that the snapshot the transaction
+  // is replayed against does not change underneath it.
+  traceTransaction(hash: UInt256, onStep: OnStep): Promise<InvocationResult> {
+    return this._enqueueWrite(() =>
+      this._whilePersistingPaused(() => this._traceTransaction(hash, onStep)),
+    );
+  }
+
+  async _traceTransaction(
+    hash: UInt256,
+    onStep: OnStep,
+  ): Promise<InvocationResult> {
+    const data = await this._storage.invocationData.get({ hash });
+    const block = await this._storage.block.get({
+      hashOrIndex: data.blockIndex,
+    });
+    const storage = await this._storage.createSnapshot(block.index - 1);
+    const previousBlock = await storage.block.get({
+      hashOrIndex: block.index - 1,
+    });
+    const blockchain = new WriteBatchBlockchain({
+      settings: this.settings,
+      currentBlock: previousBlock,
+      currentHeader: previousBlock.header,
+      storage,
+      vm: this._vm,
+      onStep: this._onStep,
+    });
+
+    return blockchain.traceTransaction(block, data.transactionIndex, onStep);
+  }
+
   async _persistBlocksAsync(): Promise<void> {
-    if (this._persistingBlocks || !this._running) {
+    if (
+      this._persistingBlocks ||
+      this._pausePersistingBlocks ||
+      !this._running
+    ) {
       return;
     }
 
@@ -322,10 +446,12 @@ export default class Blockchain {
       entry = this.peekBlockQueue();
       while (
         this._running &&
+        !this._pausePersistingBlocks &&
         entry != null &&
         entry.block.index === this.currentBlockIndex + 1
       ) {
         entry = this._blockQueue.dequeue();
+        this._inQueue.delete(entry.block.index);
         const start = performance.now();
         // eslint-disable-next-line
         await this._persistBlock(entry.block, entry.unsafe);
@@ -355,6 +481,10 @@ export default class Blockchain {
         this._doneRunningResolve();
         this._doneRunningResolve = null;
       }
+      if (this._donePersistingBlocksResolve != null) {
+        this._donePersistingBlocksResolve();
+        this._donePersistingBlocksResolve = null;
+      }
     }
   }
 
@@ -362,11 +492,24 @@ export default class Blockchain {
     let entry = this.peekBlockQueue();
     while (entry != null && entry.block.index <= this.currentBlockIndex) {
       this._blockQueue.dequeue();
+      this._inQueue.delete(entry.block.index);
       entry.resolve();
       entry = this.peekBlockQueue();
     }
   }
 
+  // Queued blocks were received against the chain we just rolled back, so
+  // they are dropped and requested again against the new header chain.
+  _abandonBlockQueue(): void {
+    let entry = this.peekBlockQueue();
+    while (entry != null) {
+      this._blockQueue.dequeue();
+      this._inQueue.delete(entry.block.index);
+      entry.reject(new BlockAbandonedError(entry.block.index));
+      entry = this.peekBlockQueue();
+    }
+  }
+
   peekBlockQueue(): ?{
     block: Block,
     resolve: () => void,
@@ -382,15 +525,254 @@ export default class Blockchain {
 
   async _persistBlock(block: Block, unsafe?: boolean): Promise<void> {
     if (!unsafe) {
-      // TODO: Enable
-      // await this.verifyBlock(block);
+      await this._verifyPersistBlock(block);
     }
 
     const blockchain = this._createWriteBlockchain();
     await blockchain.persistBlock(block);
-    await this._storage.commit(blockchain.getChangeSet());
+    await this._storage.commitBlock({
+      index: block.index,
+      changeSet: blockchain.getChangeSet(),
+      // Blocks at or below the checkpoint are never rolled back.
+      undo: !unsafe && block.index > this._checkpoint.index,
+    });
     this._currentBlock = block;
-    this._currentHeader = block.header;
+    if (
+      this._currentHeader == null ||
+      this._currentHeader.index < block.index
+    ) {
+      this._currentHeader = block.header;
+    }
+    this._block$.next(block);
+  }
+
+  async _persistHeaders(headers: Array<Header>): Promise<void> {
+    if (!this._running) {
+      return;
+    }
+
+    const blockchain = this._createWriteBlockchain();
+    let currentHeader = this._currentHeader;
+    let forkIndex = null;
+    for (const header of headers) {
+      // eslint-disable-next-line
+      const existingHeader = await blockchain.header.tryGet({
+        hashOrIndex: header.hash,
+      });
+      if (existingHeader == null) {
+        if (
+          forkIndex == null &&
+          currentHeader != null &&
+          header.index <= currentHeader.index
+        ) {
+          forkIndex = header.index - 1;
+        }
+        // eslint-disable-next-line
+        await this._verifyPersistHeader(blockchain, header, forkIndex != null);
+        // eslint-disable-next-line
+        await blockchain.header.add(header, forkIndex != null);
+        currentHeader = header;
+      }
+    }
+
+    const previousHeader = this._currentHeader;
+    if (currentHeader == null || currentHeader === previousHeader) {
+      return;
+    }
+
+    if (forkIndex != null && previousHeader != null) {
+      // Only reorganize onto a fork that is longer than our header chain.
+      if (currentHeader.index <= previousHeader.index) {
+        this.log({
+          event: 'REORGANIZE_SKIP',
+          level: 'debug',
+          index: forkIndex,
+          forkHeaderIndex: currentHeader.index,
+          currentHeaderIndex: previousHeader.index,
+        });
+        return;
+      }
+
+      this.log({
+        event: 'REORGANIZE',
+        index: forkIndex,
+        forkHeaderIndex: currentHeader.index,
+        currentHeaderIndex: previousHeader.index,
+      });
+      try {
+        await this._rollback(forkIndex);
+      } catch (error) {
+        // Blocks without undo data, because they are older than the undo
+        // window, at or below the checkpoint or imported unsafe, can not be
+        // rolled back, so we stay on the current chain.
+        if (error instanceof RollbackUndoDataNotFoundError) {
+          this.log({
+            event: 'REORGANIZE_ERROR',
+            index: forkIndex,
+            error,
+          });
+          return;
+        }
+
+        throw error;
+      }
+    }
+
+    await this._storage.commit(blockchain.getChangeSet());
+    if (
+      this._currentHeader == null ||
+      this._currentHeader.index < currentHeader.index
+    ) {
+      this._currentHeader = currentHeader;
+    }
+
+    this.log({
+      event: 'PERSIST_HEADERS_SUCCESS',
+      index: currentHeader.index,
+    });
+  }
+
+  async _rollback(toIndex: number): Promise<void> {
+    const currentHeaderIndex = this.currentHeader.index;
+    if (toIndex < 0 || toIndex > currentHeaderIndex) {
+      throw new InvalidRollbackIndexError(toIndex, currentHeaderIndex);
+    }
+
+    if (toIndex === currentHeaderIndex) {
+      return;
+    }
+
+    try {
+      await this._whilePersistingPaused(async () => {
+        try {
+          await this._storage.rollback({ toIndex });
+        } catch (error) {
+          if (error.undoDataNotFound) {
+            throw new RollbackUndoDataNotFoundError(toIndex, error.index);
+          }
+
+          throw error;
+        }
+        const [currentBlock, currentHeader] = await Promise.all([
+          this._storage.block.tryGetLatest(),
+          this._storage.header.tryGetLatest(),
+        ]);
+        this._currentBlock = currentBlock;
+        this._currentHeader = currentHeader;
+        this._abandonBlockQueue();
+      });
+
+      this.log({
+        event: 'ROLLBACK_SUCCESS',
+        index: toIndex,
+        currentBlockIndex: this.currentBlockIndex,
+      });
+    } catch (error) {
+      this.log({ event: 'ROLLBACK_ERROR', index: toIndex, error });
+      throw error;
+    }
+  }
+
+  async _whilePersistingPaused<T>(func: () => Promise<T>): Promise<T> {
+    this._pausePersistingBlocks = true;
+    try {
+      if (this._persistingBlocks) {
+        await new Promise(resolve => {
+          this._donePersistingBlocksResolve = resolve;
+        });
+      }
+
+      return await func();
+    } finally {
+      this._pausePersistingBlocks = false;
+      this._persistBlocksAsync();
+    }
+  }
+
+  async _verifyPersistHeader(
+    blockchain: WriteBatchBlockchain,
+    header: Header,
+    fork: boolean,
+  ): Promise<void> {
+    try {
+      this._verifyCheckpoint(header);
+      // Headers are always linked to the previous header so that the header
+      // chain up to the last checkpoint is authenticated by its hash. Witnesses
+      // below the checkpoint are only verified for forks.
+      await header.verify({
+        genesisBlock: this.settings.genesisBlock,
+        tryGetHeader: blockchain.header.tryGet,
+        verifyScript:
+          fork || header.index > this._checkpoint.index
+            ? this._verifyScript
+            : () => Promise.resolve(),
+      });
+    } catch (error) {
+      this.log({
+        event: 'VERIFY_HEADER_ERROR',
+        index: header.index,
+        hash: common.uInt256ToString(header.hash),
+        error,
+      });
+
+      throw error;
+    }
+  }
+
+  async _verifyPersistBlock(block: Block): Promise<void> {
+    try {
+      this._verifyCheckpoint(block);
+      const trusted = await this._isTrustedByCheckpoint(block);
+      if (!trusted) {
+        await this.verifyBlock(block);
+      }
+    } catch (error) {
+      this.log({
+        event: 'VERIFY_BLOCK_ERROR',
+        index: block.index,
+        hash: common.uInt256ToString(block.hash),
+        error,
+      });
+
+      throw error;
+    }
+  }
+
+  // Blocks at or below the last checkpoint skip verification once the header
+  // chain contains the checkpoint and the block is part of that chain.
+  async _isTrustedByCheckpoint(block: Block): Promise<boolean> {
+    const checkpoint = this._checkpoint;
+    if (block.index > checkpoint.index) {
+      return false;
+    }
+
+    const [checkpointHeader, header] = await Promise.all([
+      this.header.tryGet({ hashOrIndex: checkpoint.index }),
+      this.header.tryGet({ hashOrIndex: block.index }),
+    ]);
+
+    return (
+      checkpointHeader != null &&
+      header != null &&
+      common.uInt256Equal(checkpointHeader.hash, checkpoint.hash) &&
+      common.uInt256Equal(header.hash, block.hash)
+    );
+  }
+
+  _verifyCheckpoint(value: Block | Header): void {
+    const checkpoint = this.settings.checkpoints.find(
+      ({ index }) => index === value.index,
+    );
+    if (
+      checkpoint != null &&
+      !common.uInt256Equal(checkpoint.hash, value.hash)
+    ) {
+      throw new CheckpointMismatchError(
+        value.index,
+        common.uInt256ToString(checkpoint.hash),
+        common.uInt256ToString(value.hash),
+      );
+    }
   }
 
   _verifyScript = async ({
@@ -459,12 +841,86 @@ export default class Blockchain {
       throw new Error('Invalid claim');
     }
 
-    return utils.calculateClaimAmount({
-      coins: filteredSpentCoins.map(coin => ({
+    return this._calculateCoinsClaimAmount(
+      filteredSpentCoins.map(coin => ({
         value: coin.output.value,
         startHeight: coin.startHeight,
         endHeight: coin.endHeight,
       })),
+    );
+  };
+
+  getClaimable = async (address: UInt160): Promise<Array<ClaimableCoin>> => {
+    const coins = await this._getUnclaimedCoins(address);
+    const spentCoins = [];
+    coins.forEach(({ hash, index, value, startHeight, endHeight }) => {
+      if (endHeight != null) {
+        spentCoins.push({ hash, index, value, startHeight, endHeight });
+      }
+    });
+
+    return Promise.all(
+      spentCoins.map(async ({ hash, index, value, startHeight, endHeight }) => {
+        const amount = await this._calculateCoinsClaimAmount([
+          { value, startHeight, endHeight },
+        ]);
+        return { hash, index, value, startHeight, endHeight, amount };
+      }),
+    );
+  };
+
+  getUnclaimedGAS = async (address: UInt160): Promise<UnclaimedGAS> => {
+    const coins = await this._getUnclaimedCoins(address);
+    const available = [];
+    const unavailable = [];
+    for (const { value, startHeight, endHeight } of coins) {
+      if (endHeight == null) {
+        unavailable.push({
+          value,
+          startHeight,
+          endHeight: this.currentBlockIndex + 1,
+        });
+      } else {
+        available.push({ value, startHeight, endHeight });
+      }
+    }
+
+    const [availableAmount, unavailableAmount] = await Promise.all([
+      this._calculateCoinsClaimAmount(available),
+      this._calculateCoinsClaimAmount(unavailable),
+    ]);
+
+    return { available: availableAmount, unavailable: unavailableAmount };
+  };
+
+  _getUnclaimedCoins = async (
+    address: UInt160,
+  ): Promise<Array<UnclaimedCoin>> => {
+    const unclaimed = await this.unclaimed
+      .getAll({ address })
+      .toArray()
+      .toPromise();
+
+    return Promise.all(
+      unclaimed.map(async ({ hash, index, output }) => {
+        const transactionSpentCoins = await this.transactionSpentCoins.get({
+          hash,
+        });
+
+        return {
+          hash,
+          index,
+          value: output.value,
+          startHeight: transactionSpentCoins.startHeight,
+          endHeight: transactionSpentCoins.endHeights[index],
+        };
+      }),
+    );
+  };
+
+  _calculateCoinsClaimAmount = (coins: Array<Coin>): Promise<BN> =>
+    utils.calculateClaimAmount({
+      coins,
       decrementInterval: this.settings.decrementInterval,
       generationAmount: this.settings.generationAmount,
       getSystemFee: async index => {
@@ -475,7 +931,6 @@ export default class Blockchain {
         return blockSystemFee.systemFee;
       },
     });
-  };
 
   _isSpent = async (input: OutputKey): Promise<boolean> => {
     const transactionSpentCoins = await this.transactionSpentCoins.tryGet({
@@ -267,7 +267,8 @@ class ReadGetAllStorageCache<Key, PartialKey, Value> extends ReadStorageCache<
             this._getKeyFromValue(value),
           );
 
-          if (trackedChange != null && trackedChange.type === 'delete') {
+          // Tracked adds and updates were already emitted above.
+          if (trackedChange != null) {
             return Observable.of();
           }
 
@@ -547,6 +548,41 @@ export class ReadGetAllAddUpdateDeleteStorageCache<
   }
 }
 
+type ReadGetAllAddDeleteStorageCacheOptions<Key, PartialKey, Value> = {|
+  ...ReadGetAllStorageCacheOptions<Key, PartialKey, Value>,
+  getKeyFromValue: (value: Value) => Key,
+|};
+
+export class ReadGetAllAddDeleteStorageCache<
+  Key,
+  PartialKey,
+  Value,
+> extends ReadGetAllStorageCache<Key, PartialKey, Value> {
+  add: AddFunc<Value>;
+  delete: DeleteFunc<Key>;
+
+  constructor(
+    options: ReadGetAllAddDeleteStorageCacheOptions<Key, PartialKey, Value>,
+  ) {
+    super({
+      readGetAllStorage: options.readGetAllStorage,
+      name: options.name,
+      getKeyString: options.getKeyString,
+      createAddChange: options.createAddChange,
+      createDeleteChange: options.createDeleteChange,
+      onAdd: options.onAdd,
+      getKeyFromValue: options.getKeyFromValue,
+      matchesPartialKey: options.matchesPartialKey,
+    });
+    this.add = createAdd({
+      cache: this,
+      getKeyFromValue: options.getKeyFromValue,
+      getKeyString: options.getKeyString,
+    });
+    this.delete = createDelete({ cache: this });
+  }
+}
+
 type ReadGetAllAddStorageCacheOptions<Key, PartialKey, Value> = {|
   ...ReadGetAllStorageCacheOptions<Key, PartialKey, Value>,
   getKeyFromValue: (value: Value) => Key,
@@ -2,6 +2,7 @@
 import type BN from 'bn.js';
 
 import {
+  ATTRIBUTE_USAGE,
   SCRIPT_CONTAINER_TYPE,
   TRANSACTION_TYPE,
   type AccountKey,
@@ -17,6 +18,7 @@ import {
   type Header,
   type Input,
   type InvocationDataKey,
+  type InvocationResult,
   type Output,
   type StorageItem,
   type StorageItemKey,
@@ -38,22 +40,40 @@ import {
   EnrollmentTransaction,
   PublishTransaction,
   InvocationTransaction,
+  UInt160Attribute,
   Validator,
   common,
   utils,
 } from 'neo-blockchain-core';
 import {
   TRIGGER_TYPE,
+  type AddressTransactionKey,
+  type AddressTransactionsKey,
   type BlockSystemFeeKey,
+  type Nep5BalanceKey,
+  type Nep5BalancesKey,
+  type Nep5BalanceUpdate,
+  type Nep5TransferKey,
+  type Nep5TransfersKey,
   type OnStep,
+  type OnStepInput,
   type TransactionSpentCoinsKey,
   type TransactionSpentCoinsUpdate,
+  type UnclaimedKey,
+  type UnclaimedsKey,
+  type UnspentKey,
+  type UnspentsKey,
   type ChangeSet,
   type Storage,
   type VM,
   type WriteBlockchain,
+  AddressTransaction,
   BlockSystemFee,
+  Nep5Balance,
+  Nep5Transfer,
   TransactionSpentCoins,
+  Unclaimed,
+  Unspent,
 } from 'neo-blockchain-node-core';
 
 import _ from 'lodash';
@@ -64,6 +84,7 @@ import {
   ReadAddDeleteStorageCache,
   ReadAddUpdateStorageCache,
   ReadAddStorageCache,
+  ReadGetAllAddDeleteStorageCache,
   ReadGetAllAddUpdateDeleteStorageCache,
   ReadGetAllAddStorageCache,
   ReadAllAddUpdateDeleteStorageCache,
@@ -71,6 +92,8 @@ import {
 } from './StorageCache';
 import { GenesisBlockNotRegisteredError } from './errors';
 
+import decodeTransfer from './nep5';
+
 type WriteBatchBlockchainOptions = {|
   settings: $PropertyType<WriteBlockchain, 'settings'>,
   currentBlock: ?$PropertyType<WriteBlockchain, 'currentBlock'>,
@@ -98,6 +121,28 @@ type Caches = {|
     TransactionSpentCoinsUpdate,
   >,
   output: OutputStorageCache,
+  unspent: ReadGetAllAddDeleteStorageCache<UnspentKey, UnspentsKey, Unspent>,
+  unclaimed: ReadGetAllAddDeleteStorageCache<
+    UnclaimedKey,
+    UnclaimedsKey,
+    Unclaimed,
+  >,
+  addressTransaction: ReadGetAllAddStorageCache<
+    AddressTransactionKey,
+    AddressTransactionsKey,
+    AddressTransaction,
+  >,
+  nep5Balance: ReadGetAllAddUpdateDeleteStorageCache<
+    Nep5BalanceKey,
+    Nep5BalancesKey,
+    Nep5Balance,
+    Nep5BalanceUpdate,
+  >,
+  nep5Transfer: ReadGetAllAddStorageCache<
+    Nep5TransferKey,
+    Nep5TransfersKey,
+    Nep5Transfer,
+  >,
   contract: ReadAddDeleteStorageCache<ContractKey, Contract>,
   storageItem: ReadGetAllAddUpdateDeleteStorageCache<
     StorageItemKey,
@@ -141,6 +186,28 @@ export default class WriteBatchBlockchain {
     TransactionSpentCoinsUpdate,
   >;
   output: OutputStorageCache;
+  unspent: ReadGetAllAddDeleteStorageCache<UnspentKey, UnspentsKey, Unspent>;
+  unclaimed: ReadGetAllAddDeleteStorageCache<
+    UnclaimedKey,
+    UnclaimedsKey,
+    Unclaimed,
+  >;
+  addressTransaction: ReadGetAllAddStorageCache<
+    AddressTransactionKey,
+    AddressTransactionsKey,
+    AddressTransaction,
+  >;
+  nep5Balance: ReadGetAllAddUpdateDeleteStorageCache<
+    Nep5BalanceKey,
+    Nep5BalancesKey,
+    Nep5Balance,
+    Nep5BalanceUpdate,
+  >;
+  nep5Transfer: ReadGetAllAddStorageCache<
+    Nep5TransferKey,
+    Nep5TransfersKey,
+    Nep5Transfer,
+  >;
   contract: ReadAddDeleteStorageCache<ContractKey, Contract>;
   storageItem: ReadGetAllAddUpdateDeleteStorageCache<
     StorageItemKey,
@@ -241,6 +308,97 @@ export default class WriteBatchBlockchain {
         createAddChange: value => ({ type: 'transactionSpentCoins', value }),
       }),
       output,
+      unspent: new ReadGetAllAddDeleteStorageCache({
+        name: 'unspent',
+        readGetAllStorage: this._storage.unspent,
+        getKeyFromValue: value => ({
+          address: value.address,
+          asset: value.asset,
+          hash: value.hash,
+          index: value.index,
+        }),
+        getKeyString: key =>
+          `${common.uInt160ToString(key.address)}:` +
+          `${common.uInt256ToString(key.asset)}:` +
+          `${common.uInt256ToString(key.hash)}:${key.index}`,
+        matchesPartialKey: (value, key) =>
+          common.uInt160Equal(value.address, key.address) &&
+          (key.asset == null || common.uInt256Equal(value.asset, key.asset)),
+        createAddChange: value => ({ type: 'unspent', value }),
+        createDeleteChange: key => ({ type: 'unspent', key }),
+      }),
+      unclaimed: new ReadGetAllAddDeleteStorageCache({
+        name: 'unclaimed',
+        readGetAllStorage: this._storage.unclaimed,
+        getKeyFromValue: value => ({
+          address: value.address,
+          hash: value.hash,
+          index: value.index,
+        }),
+        getKeyString: key =>
+          `${common.uInt160ToString(key.address)}:` +
+          `${common.uInt256ToString(key.hash)}:${key.index}`,
+        matchesPartialKey: (value, key) =>
+          common.uInt160Equal(value.address, key.address),
+        createAddChange: value => ({ type: 'unclaimed', value }),
+        createDeleteChange: key => ({ type: 'unclaimed', key }),
+      }),
+      addressTransaction: new ReadGetAllAddStorageCache({
+        name: 'addressTransaction',
+        readGetAllStorage: this._storage.addressTransaction,
+        getKeyFromValue: value => ({
+          address: value.address,
+          blockIndex: value.blockIndex,
+          transactionIndex: value.transactionIndex,
+        }),
+        getKeyString: key =>
+          `${common.uInt160ToString(key.address)}:` +
+          `${key.blockIndex}:${key.transactionIndex}`,
+        matchesPartialKey: (value, key) =>
+          common.uInt160Equal(value.address, key.address) &&
+          (key.blockIndexStop == null ||
+            value.blockIndex < key.blockIndexStop ||
+            (value.blockIndex === key.blockIndexStop &&
+              (key.transactionIndexStop == null ||
+                value.transactionIndex <= key.transactionIndexStop))),
+        createAddChange: value => ({ type: 'addressTransaction', value }),
+      }),
+      nep5Balance: new ReadGetAllAddUpdateDeleteStorageCache({
+        name: 'nep5Balance',
+        readGetAllStorage: this._storage.nep5Balance,
+        update: (value, update) => value.update(update),
+        getKeyFromValue: value => ({
+          address: value.address,
+          asset: value.asset,
+        }),
+        getKeyString: key =>
+          `${common.uInt160ToString(key.address)}:` +
+          `${common.uInt160ToString(key.asset)}`,
+        matchesPartialKey: (value, key) =>
+          common.uInt160Equal(value.address, key.address),
+        createAddChange: value => ({ type: 'nep5Balance', value }),
+        createDeleteChange: key => ({ type: 'nep5Balance', key }),
+      }),
+      nep5Transfer: new ReadGetAllAddStorageCache({
+        name: 'nep5Transfer',
+        readGetAllStorage: this._storage.nep5Transfer,
+        getKeyFromValue: value => ({
+          address: value.address,
+          blockIndex: value.blockIndex,
+          transactionIndex: value.transactionIndex,
+          index: value.index,
+        }),
+        getKeyString: key =>
+          `${common.uInt160ToString(key.address)}:` +
+          `${key.blockIndex}:${key.transactionIndex}:${key.index}`,
+        matchesPartialKey: (value, key) =>
+          common.uInt160Equal(value.address, key.address) &&
+          (key.blockIndexStart == null ||
+            value.blockIndex >= key.blockIndexStart) &&
+          (key.blockIndexStop == null ||
+            value.blockIndex <= key.blockIndexStop),
+        createAddChange: value => ({ type: 'nep5Transfer', value }),
+      }),
       contract: new ReadAddDeleteStorageCache({
         name: 'contract',
         readStorage: this._storage.contract,
@@ -259,8 +417,9 @@ export default class WriteBatchBlockchain {
         }),
         getKeyString: key =>
           `${common.uInt160ToString(key.hash)}:${key.key.toString('hex')}`,
-        matchesPartialKey: (value, key) =>
-          key.hash == null || common.uInt160Equal(value.hash, key.hash),
+        matchesPartialKey: (value, { hash, prefix }) =>
+          (hash == null || common.uInt160Equal(value.hash, hash)) &&
+          (prefix == null || value.key.slice(0, prefix.length).equals(prefix)),
         createAddChange: value => ({ type: 'storageItem', value }),
         createDeleteChange: key => ({ type: 'storageItem', key }),
       }),
@@ -289,6 +448,11 @@ export default class WriteBatchBlockchain {
     this.transaction = this._caches.transaction;
     this.transactionSpentCoins = this._caches.transactionSpentCoins;
     this.output = this._caches.output;
+    this.unspent = this._caches.unspent;
+    this.unclaimed = this._caches.unclaimed;
+    this.addressTransaction = this._caches.addressTransaction;
+    this.nep5Balance = this._caches.nep5Balance;
+    this.nep5Transfer = this._caches.nep5Transfer;
     this.contract = this._caches.contract;
     this.storageItem = this._caches.storageItem;
     this.validator = this._caches.validator;
@@ -325,6 +489,11 @@ export default class WriteBatchBlockchain {
       .concat(this.header.getChangeSet())
       .concat(this.transaction.getChangeSet())
       .concat(this.output.getChangeSet())
+      .concat(this.unspent.getChangeSet())
+      .concat(this.unclaimed.getChangeSet())
+      .concat(this.addressTransaction.getChangeSet())
+      .concat(this.nep5Balance.getChangeSet())
+      .concat(this.nep5Transfer.getChangeSet())
       .concat(this.transactionSpentCoins.getChangeSet())
       .concat(this.contract.getChangeSet())
       .concat(this.storageItem.getChangeSet())
@@ -333,6 +502,39 @@ export default class WriteBatchBlockchain {
   }
 
   async persistBlock(block: Block): Promise<void> {
+    await this._persistBlockBase(block);
+    for (const [idx, transaction] of block.transactions.entries()) {
+      // eslint-disable-next-line
+      await this._persistTransaction(block, transaction, idx);
+    }
+  }
+
+  // Replays the block up to and including the transaction at
+  // transactionIndex, reporting each VM step of that transaction to onStep.
+  async traceTransaction(
+    block: Block,
+    transactionIndex: number,
+    onStep: OnStep,
+  ): Promise<InvocationResult> {
+    await this._persistBlockBase(block);
+    const transactions = block.transactions.slice(0, transactionIndex + 1);
+    for (const [idx, transaction] of transactions.entries()) {
+      // eslint-disable-next-line
+      await this._persistTransaction(
+        block,
+        transaction,
+        idx,
+        idx === transactionIndex ? onStep : undefined,
+      );
+    }
+
+    const data = await this.invocationData.get({
+      hash: block.transactions[transactionIndex].hash,
+    });
+    return data.result;
+  }
+
+  async _persistBlockBase(block: Block): Promise<void> {
     // eslint-disable-next-line
     const [systemFee, _] = await Promise.all([
       block.index === 0
@@ -341,7 +543,12 @@ export default class WriteBatchBlockchain {
             .get({ hash: block.previousHash })
             .then(blockSystemFee => blockSystemFee.systemFee),
       this.block.add(block),
-      this.header.add(block.header),
+      this.header
+        .tryGet({ hashOrIndex: block.hash })
+        .then(
+          header =>
+            header == null ? this.header.add(block.header) : Promise.resolve(),
+        ),
     ]);
     await this.blockSystemFee.add(
       new BlockSystemFee({
@@ -356,16 +563,13 @@ export default class WriteBatchBlockchain {
         ),
       }),
     );
-    for (const [idx, transaction] of block.transactions.entries()) {
-      // eslint-disable-next-line
-      await this._persistTransaction(block, transaction, idx);
-    }
   }
 
   async _persistTransaction(
     block: Block,
     transaction: Transaction,
     transactionIndex: number,
+    onStep?: OnStep,
   ): Promise<void> {
     await Promise.all([
       this.transaction.add(transaction),
@@ -376,14 +580,8 @@ export default class WriteBatchBlockchain {
         }),
       ),
       this._updateAccounts(transaction.inputs, transaction.outputs),
-      this._updateCoins(
-        transaction.inputs,
-        transaction.type === TRANSACTION_TYPE.CLAIM &&
-        transaction instanceof ClaimTransaction
-          ? transaction.claims
-          : [],
-        block,
-      ),
+      this._updateCoins(transaction, block),
+      this._updateAddressTransactions(block, transaction, transactionIndex),
     ]);
 
     if (
@@ -445,6 +643,7 @@ export default class WriteBatchBlockchain {
       transaction.type === TRANSACTION_TYPE.INVOCATION &&
       transaction instanceof InvocationTransaction
     ) {
+      let { gas: gasLeft } = transaction;
       try {
         // TODO: Make this less hacky.
         const temporaryBlockchain = new WriteBatchBlockchain({
@@ -470,7 +669,11 @@ export default class WriteBatchBlockchain {
             transactionHash: transaction.hash,
           },
           gas: transaction.gas,
-          onStep: this._onStep,
+          onStep: (input: OnStepInput) => {
+            ({ gasLeft } = input.context);
+            this._onStep(input);
+            return onStep == null ? undefined : onStep(input);
+          },
         });
         const assetChangeSet = temporaryBlockchain.asset.getChangeSet();
         const assetHash = assetChangeSet
@@ -490,6 +693,15 @@ export default class WriteBatchBlockchain {
                 : null,
           )
           .filter(Boolean);
+        const actions = temporaryBlockchain.action
+          .getChangeSet()
+          .map(
+            change =>
+              change.type === 'add' && change.change.type === 'action'
+                ? change.change.value
+                : null,
+          )
+          .filter(Boolean);
         await Promise.all([
           Promise.all(
             temporaryBlockchain.getChangeSet().map(async change => {
@@ -513,12 +725,19 @@ export default class WriteBatchBlockchain {
               blockIndex: block.index,
               transactionIndex,
               result: new InvocationResultSuccess({
+                gasConsumed: transaction.gas.sub(result.gasLeft),
                 stack: result.stack,
                 stackAlt: result.stackAlt,
               }),
             }),
           ),
         ]);
+        await this._updateNep5(
+          block,
+          transaction,
+          transactionIndex,
+          _.sortBy(actions, action => action.index),
+        );
       } catch (error) {
         await this.invocationData.add(
           new InvocationData({
@@ -527,13 +746,90 @@ export default class WriteBatchBlockchain {
             contractHashes: [],
             blockIndex: block.index,
             transactionIndex,
-            result: new InvocationResultError({ message: error.message }),
+            result: new InvocationResultError({
+              gasConsumed: transaction.gas.sub(gasLeft),
+              message: error.message,
+            }),
           }),
         );
       }
     }
   }
 
+  async _updateNep5(
+    block: Block,
+    transaction: Transaction,
+    transactionIndex: number,
+    actions: Array<Action>,
+  ): Promise<void> {
+    for (const action of actions) {
+      const transfer = decodeTransfer(action);
+      if (transfer != null) {
+        const { asset, from, to, value } = transfer;
+        if (from != null) {
+          // eslint-disable-next-line
+          await this._updateNep5Balance(from, asset, value.neg(), block.index);
+        }
+        if (to != null) {
+          // eslint-disable-next-line
+          await this._updateNep5Balance(to, asset, value, block.index);
+        }
+
+        const addresses = [];
+        if (from != null) {
+          addresses.push(from);
+        }
+        if (to != null && (from == null || !common.uInt160Equal(from, to))) {
+          addresses.push(to);
+        }
+        // eslint-disable-next-line
+        await Promise.all(
+          addresses.map(address =>
+            this.nep5Transfer.add(
+              new Nep5Transfer({
+                address,
+                asset,
+                blockIndex: block.index,
+                transactionIndex,
+                index: action.index,
+                transactionHash: transaction.hash,
+                from,
+                to,
+                value,
+              }),
+            ),
+          ),
+        );
+      }
+    }
+  }
+
+  async _updateNep5Balance(
+    address: UInt160,
+    asset: UInt160,
+    change: BN,
+    blockIndex: number,
+  ): Promise<void> {
+    // Notifications come from the contract, so a buggy one may report sending
+    // more than we have seen the address receive. Never index a negative
+    // balance.
+    const balance = await this.nep5Balance.tryGet({ address, asset });
+    if (balance == null) {
+      if (!change.isNeg() && !change.isZero()) {
+        await this.nep5Balance.add(
+          new Nep5Balance({ address, asset, value: change, blockIndex }),
+        );
+      }
+    } else {
+      const value = balance.value.add(change);
+      if (value.isNeg() || value.isZero()) {
+        await this.nep5Balance.delete({ address, asset });
+      } else {
+        await this.nep5Balance.update(balance, { value, blockIndex });
+      }
+    }
+  }
+
   async _updateAccounts(
     inputs: Array<Input>,
     outputs: Array<Output>,
@@ -594,12 +890,13 @@ export default class WriteBatchBlockchain {
     }
   }
 
-  async _updateCoins(
-    inputs: Array<Input>,
-    claims: Array<Input>,
-    block: Block,
-  ): Promise<void> {
-    const inputClaims = inputs
+  async _updateCoins(transaction: Transaction, block: Block): Promise<void> {
+    const claims =
+      transaction.type === TRANSACTION_TYPE.CLAIM &&
+      transaction instanceof ClaimTransaction
+        ? transaction.claims
+        : [];
+    const inputClaims = transaction.inputs
       .map(input => ({ type: 'input', input, hash: input.hash }))
       .concat(
         claims.map(input => ({ type: 'claim', input, hash: input.hash })),
@@ -608,9 +905,112 @@ export default class WriteBatchBlockchain {
       _.groupBy(inputClaims, ({ hash }) => common.uInt256ToHex(hash)),
     );
 
+    await Promise.all([
+      Promise.all(
+        hashInputClaims.map(([hash, values]) =>
+          this._updateCoin(common.hexToUInt256(hash), values, block),
+        ),
+      ),
+      this._updateUnspents(transaction),
+      this._updateUnclaimed(transaction, claims),
+    ]);
+  }
+
+  async _updateUnspents(transaction: Transaction): Promise<void> {
+    const inputOutputs = await Promise.all(
+      transaction.inputs.map(input => this.output.get(input)),
+    );
+
+    await Promise.all([
+      Promise.all(
+        transaction.inputs.map((input, idx) =>
+          this.unspent.delete({
+            address: inputOutputs[idx].address,
+            asset: inputOutputs[idx].asset,
+            hash: input.hash,
+            index: input.index,
+          }),
+        ),
+      ),
+      Promise.all(
+        transaction.outputs.map((output, index) =>
+          this.unspent.add(
+            new Unspent({ hash: transaction.hash, index, output }),
+          ),
+        ),
+      ),
+    ]);
+  }
+
+  async _updateUnclaimed(
+    transaction: Transaction,
+    claims: Array<Input>,
+  ): Promise<void> {
+    const claimOutputs = await Promise.all(
+      claims.map(claim => this.output.get(claim)),
+    );
+
+    await Promise.all([
+      Promise.all(
+        claims.map((claim, idx) =>
+          this.unclaimed.delete({
+            address: claimOutputs[idx].address,
+            hash: claim.hash,
+            index: claim.index,
+          }),
+        ),
+      ),
+      Promise.all(
+        transaction.outputs.map(
+          (output, index) =>
+            common.uInt256Equal(output.asset, this.settings.governingToken.hash)
+              ? this.unclaimed.add(
+                  new Unclaimed({ hash: transaction.hash, index, output }),
+                )
+              : Promise.resolve(),
+        ),
+      ),
+    ]);
+  }
+
+  async _updateAddressTransactions(
+    block: Block,
+    transaction: Transaction,
+    transactionIndex: number,
+  ): Promise<void> {
+    const claims =
+      transaction.type === TRANSACTION_TYPE.CLAIM &&
+      transaction instanceof ClaimTransaction
+        ? transaction.claims
+        : [];
+    const spentOutputs = await Promise.all(
+      transaction.inputs.concat(claims).map(input => this.output.get(input)),
+    );
+    const touched = spentOutputs
+      .concat(transaction.outputs)
+      .map(output => output.address);
+    transaction.attributes.forEach(attribute => {
+      if (
+        attribute instanceof UInt160Attribute &&
+        attribute.usage === ATTRIBUTE_USAGE.SCRIPT
+      ) {
+        touched.push(attribute.value);
+      }
+    });
+    const addresses = _.uniqBy(touched, address =>
+      common.uInt160ToString(address),
+    );
+
     await Promise.all(
-      hashInputClaims.map(([hash, values]) =>
-        this._updateCoin(common.hexToUInt256(hash), values, block),
+      addresses.map(address =>
+        this.addressTransaction.add(
+          new AddressTransaction({
+            address,
+            blockIndex: block.index,
+            transactionIndex,
+            hash: transaction.hash,
+          }),
+        ),
       ),
     );
   }
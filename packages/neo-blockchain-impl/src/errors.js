@@ -1,4 +1,6 @@
 /* @flow */
+import { type VerifyErrorCode, VERIFY_ERROR_CODE } from 'neo-blockchain-core';
+
 export class GenesisBlockNotRegisteredError extends Error {
   constructor() {
     super('Genesis block was not registered with storage.');
@@ -6,13 +8,56 @@ export class GenesisBlockNotRegisteredError extends Error {
 }
 
 export class VerifyError extends Error {
+  code: VerifyErrorCode = VERIFY_ERROR_CODE.INVALID_WITNESS;
+
   constructor() {
     super('Script verification failed.');
   }
 }
 
 export class WitnessVerifyError extends Error {
+  code: VerifyErrorCode = VERIFY_ERROR_CODE.INVALID_WITNESS;
+
   constructor() {
     super('Witness verification failed.');
   }
 }
+
+export class CheckpointMismatchError extends Error {
+  constructor(index: number, expected: string, found: string) {
+    super(
+      `Block at checkpoint ${index} does not match. ` +
+        `Expected: ${expected}. Found: ${found}`,
+    );
+  }
+}
+
+export class InvalidRollbackIndexError extends Error {
+  constructor(index: number, currentIndex: number) {
+    super(
+      `Cannot rollback to ${index}. ` +
+        `Expected an index between 0 and ${currentIndex}.`,
+    );
+  }
+}
+
+export class RollbackUndoDataNotFoundError extends Error {
+  constructor(index: number, blockIndex: number) {
+    super(
+      `Cannot rollback to ${index}. ` +
+        `Block ${blockIndex} was persisted without undo data.`,
+    );
+  }
+}
+
+export class BlockAbandonedError extends Error {
+  constructor(index: number) {
+    super(`Block ${index} was abandoned by a rollback.`);
+  }
+}
+
+export class BlockIndexQueuedError extends Error {
+  constructor(index: number) {
+    super(`Another block at index ${index} is already queued.`);
+  }
+}
@@ -0,0 +1,55 @@
+/* @flow */
+import type BN from 'bn.js';
+import {
+  type Action,
+  type ContractParameter,
+  type UInt160,
+  IntegerContractParameter,
+  NotificationAction,
+  common,
+  utils,
+} from 'neo-blockchain-core';
+
+export type Nep5TransferNotification = {|
+  asset: UInt160,
+  from: ?UInt160,
+  to: ?UInt160,
+  value: BN,
+|};
+
+// An empty byte array stands in for the missing side of a mint or burn.
+const readAddress = (param: ContractParameter): ?UInt160 => {
+  const value = param.asBuffer();
+  return value.length === 0 ? null : common.bufferToUInt160(value);
+};
+
+const readValue = (param: ContractParameter): BN =>
+  param instanceof IntegerContractParameter
+    ? param.value
+    : utils.fromSignedBuffer(param.asBuffer());
+
+// Decodes notifications of the form ['transfer', from, to, amount]. Anything
+// else, including malformed transfers, returns null.
+export default (action: Action): ?Nep5TransferNotification => {
+  if (!(action instanceof NotificationAction) || action.args.length !== 4) {
+    return null;
+  }
+
+  const [event, fromParam, toParam, valueParam] = action.args;
+  try {
+    if (event.asBuffer().toString('utf8') !== 'transfer') {
+      return null;
+    }
+
+    const from = readAddress(fromParam);
+    const to = readAddress(toParam);
+    const value = readValue(valueParam);
+    if ((from == null && to == null) || value.isNeg()) {
+      return null;
+    }
+
+    return { asset: action.scriptHash, from, to, value };
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,45 @@
+/* @flow */
+import { type LevelUp } from './types';
+
+import * as common from './common';
+import * as keys from './keys';
+
+// Bump whenever persisting a block writes data that older databases lack,
+// e.g. a new index, since such data is never backfilled.
+export const STORAGE_VERSION = 1;
+
+const tryGet = async (db: LevelUp, key: Buffer): Promise<?Buffer> => {
+  try {
+    const result = await db.get(key);
+    return result;
+  } catch (error) {
+    if (error.notFound) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Resolves to false when the database holds blocks persisted with a different
+// storage version, in which case it has to be resynced. Stamps empty databases
+// with the current version.
+export default async (db: LevelUp): Promise<boolean> => {
+  const version = await tryGet(db, keys.storageVersionKey);
+  if (version != null) {
+    return common.deserializeStorageVersion(version) === STORAGE_VERSION;
+  }
+
+  const maxBlockHash = await tryGet(db, keys.maxBlockHashKey);
+  if (maxBlockHash != null) {
+    return false;
+  }
+
+  await db.batch([
+    {
+      type: 'put',
+      key: keys.storageVersionKey,
+      value: common.serializeStorageVersion(STORAGE_VERSION),
+    },
+  ]);
+  return true;
+};
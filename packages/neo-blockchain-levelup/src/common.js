@@ -4,6 +4,10 @@ import {
   common,
 } from 'neo-blockchain-core';
 
+import bytewise from 'bytewise';
+
+import { type LevelUpChange } from './types';
+
 export const serializeHeaderHash = (hash: UInt256): Buffer =>
   common.uInt256ToBuffer(hash);
 export const deserializeHeaderHash = (hash: Buffer): UInt256 =>
@@ -13,3 +17,25 @@ export const serializeBlockHash = (hash: UInt256): Buffer =>
   common.uInt256ToBuffer(hash);
 export const deserializeBlockHash = (hash: Buffer): UInt256 =>
   common.bufferToUInt256(hash);
+
+export const serializeStorageVersion = (version: number): Buffer =>
+  bytewise.encode(version);
+export const deserializeStorageVersion = (version: Buffer): number =>
+  bytewise.decode(version);
+
+export const serializeUndoChanges = (changes: Array<LevelUpChange>): Buffer =>
+  bytewise.encode(
+    changes.map(
+      change =>
+        change.type === 'put' ? [change.key, change.value] : [change.key],
+    ),
+  );
+export const deserializeUndoChanges = (
+  buffer: Buffer,
+): Array<LevelUpChange> =>
+  bytewise
+    .decode(buffer)
+    .map(
+      ([key, value]) =>
+        value == null ? { type: 'del', key } : { type: 'put', key, value },
+    );
@@ -145,6 +145,67 @@ const convertAddChange = (changeIn: AddChange): Array<LevelUpChange> => {
           value: change.value.serializeWire(),
         },
       ];
+    case 'unspent':
+      return [
+        {
+          type: 'put',
+          key: keys.typeKeyToSerializeKey.unspent({
+            address: change.value.address,
+            asset: change.value.asset,
+            hash: change.value.hash,
+            index: change.value.index,
+          }),
+          value: change.value.serializeWire(),
+        },
+      ];
+    case 'unclaimed':
+      return [
+        {
+          type: 'put',
+          key: keys.typeKeyToSerializeKey.unclaimed({
+            address: change.value.address,
+            hash: change.value.hash,
+            index: change.value.index,
+          }),
+          value: change.value.serializeWire(),
+        },
+      ];
+    case 'addressTransaction':
+      return [
+        {
+          type: 'put',
+          key: keys.typeKeyToSerializeKey.addressTransaction({
+            address: change.value.address,
+            blockIndex: change.value.blockIndex,
+            transactionIndex: change.value.transactionIndex,
+          }),
+          value: change.value.serializeWire(),
+        },
+      ];
+    case 'nep5Balance':
+      return [
+        {
+          type: 'put',
+          key: keys.typeKeyToSerializeKey.nep5Balance({
+            address: change.value.address,
+            asset: change.value.asset,
+          }),
+          value: change.value.serializeWire(),
+        },
+      ];
+    case 'nep5Transfer':
+      return [
+        {
+          type: 'put',
+          key: keys.typeKeyToSerializeKey.nep5Transfer({
+            address: change.value.address,
+            blockIndex: change.value.blockIndex,
+            transactionIndex: change.value.transactionIndex,
+            index: change.value.index,
+          }),
+          value: change.value.serializeWire(),
+        },
+      ];
     default:
       // eslint-disable-next-line
       (change.type: empty);
@@ -169,6 +230,21 @@ const convertDeleteChange = (change: DeleteChange): LevelUpChange => {
         type: 'del',
         key: keys.typeKeyToSerializeKey.storageItem(change.key),
       };
+    case 'unspent':
+      return {
+        type: 'del',
+        key: keys.typeKeyToSerializeKey.unspent(change.key),
+      };
+    case 'unclaimed':
+      return {
+        type: 'del',
+        key: keys.typeKeyToSerializeKey.unclaimed(change.key),
+      };
+    case 'nep5Balance':
+      return {
+        type: 'del',
+        key: keys.typeKeyToSerializeKey.nep5Balance(change.key),
+      };
     default:
       // eslint-disable-next-line
       (change.type: empty);
@@ -0,0 +1,106 @@
+/* @flow */
+import { Readable } from 'stream';
+
+import {
+  type LevelUp,
+  type LevelUpChange,
+  type StreamEntry,
+  type StreamOptions,
+} from './types';
+import { NotFoundError, ReadOnlyStorageError } from './errors';
+
+import streamToObservable from './streamToObservable';
+
+const inRange = (key: Buffer, { gte, lte }: StreamOptions): boolean =>
+  (gte == null || key.compare(gte) >= 0) &&
+  (lte == null || key.compare(lte) <= 0);
+
+export type Overlay = Map<string, LevelUpChange>;
+
+// Later changes to the same key win.
+export const addOverlayChanges = (
+  overlay: Overlay,
+  changes: Array<LevelUpChange>,
+): void => {
+  changes.forEach(change => overlay.set(change.key.toString('hex'), change));
+};
+
+// Read only view of db with the overlay applied on top. Streams buffer the
+// whole range in memory in order to merge the overlay into it.
+export default ({
+  db,
+  overlay,
+}: {|
+  db: LevelUp,
+  overlay: Overlay,
+|}): LevelUp => {
+  const getEntries = async (
+    options: StreamOptions,
+  ): Promise<Array<StreamEntry>> => {
+    const entries = await streamToObservable(() => db.createReadStream(options))
+      .toArray()
+      .toPromise();
+    const result = entries.filter(
+      ({ key }: StreamEntry) => !overlay.has(key.toString('hex')),
+    );
+    overlay.forEach(change => {
+      if (change.type === 'put' && inRange(change.key, options)) {
+        result.push({ key: change.key, value: change.value });
+      }
+    });
+
+    return result.sort(
+      (a, b) =>
+        options.reverse === true ? b.key.compare(a.key) : a.key.compare(b.key),
+    );
+  };
+
+  const createStream = (
+    options: StreamOptions,
+    getValue: (entry: StreamEntry) => Buffer | StreamEntry,
+  ): Readable => {
+    let started = false;
+    const stream = new Readable({
+      objectMode: true,
+      read: () => {
+        if (started) {
+          return;
+        }
+        started = true;
+        getEntries(options).then(
+          entries => {
+            entries.forEach(entry => {
+              // $FlowFixMe
+              stream.push(getValue(entry));
+            });
+            stream.push(null);
+          },
+          error => stream.emit('error', error),
+        );
+      },
+    });
+
+    return stream;
+  };
+
+  return {
+    get: async (key: Buffer): Promise<Buffer> => {
+      const change = overlay.get(key.toString('hex'));
+      if (change == null) {
+        return db.get(key);
+      }
+      if (change.type === 'del') {
+        throw new NotFoundError();
+      }
+
+      return change.value;
+    },
+    // The underlying db is owned by the storage the view was created from.
+    close: () => Promise.resolve(),
+    batch: () => Promise.reject(new ReadOnlyStorageError()),
+    createValueStream: (options: StreamOptions) =>
+      createStream(options, entry => entry.value),
+    createReadStream: (options: StreamOptions) =>
+      createStream(options, entry => entry),
+  };
+};
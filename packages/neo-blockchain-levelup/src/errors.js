@@ -20,3 +20,19 @@ export class KeyNotFoundError extends Error {
     this.notFound = true;
   }
 }
+
+export class UndoDataNotFoundError extends Error {
+  index: number;
+  undoDataNotFound: boolean;
+  constructor(index: number) {
+    super(`Undo data for block ${index} not found in database`);
+    this.index = index;
+    this.undoDataNotFound = true;
+  }
+}
+
+export class ReadOnlyStorageError extends Error {
+  constructor() {
+    super('Storage snapshots are read only');
+  }
+}
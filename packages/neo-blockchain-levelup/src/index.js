@@ -1,4 +1,10 @@
 /* @flow */
 import levelUpStorage from './levelUpStorage';
 
+export { DEFAULT_UNDO_DEPTH } from './levelUpStorage';
+export {
+  default as checkStorageVersion,
+  STORAGE_VERSION,
+} from './checkStorageVersion';
+
 export default levelUpStorage;
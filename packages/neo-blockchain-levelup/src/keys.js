@@ -10,6 +10,19 @@ import {
   type ValidatorKey,
   common,
 } from 'neo-blockchain-core';
+import {
+  type AddressTransactionKey,
+  type AddressTransactionsKey,
+  type HeaderHashesKey,
+  type Nep5BalanceKey,
+  type Nep5BalancesKey,
+  type Nep5TransferKey,
+  type Nep5TransfersKey,
+  type UnclaimedKey,
+  type UnclaimedsKey,
+  type UnspentKey,
+  type UnspentsKey,
+} from 'neo-blockchain-node-core';
 
 import bytewise from 'bytewise';
 
@@ -27,12 +40,33 @@ const contractKeyPrefix = 'contract';
 const storageItemKeyPrefix = 'storageItem';
 const validatorKeyPrefix = 'validator';
 const invocationDataKeyPrefix = 'invocationData';
+const blockUndoKeyPrefix = 'blockUndo';
+const unspentKeyPrefix = 'unspent';
+const unclaimedKeyPrefix = 'unclaimed';
+const addressTransactionKeyPrefix = 'addressTransaction';
+const nep5BalanceKeyPrefix = 'nep5Balance';
+const nep5TransferKeyPrefix = 'nep5Transfer';
 const settingsPrefix = 'settings';
 
 export const serializeHeaderIndexHashKey = (index: number): Buffer =>
   bytewise.encode([headerHashKeyPrefix, index]);
 export const serializeHeaderIndexHashKeyString = (index: number): string =>
   `${headerHashKeyPrefix}:${index}`;
+export const headerIndexHashMaxKey = bytewise.encode(
+  bytewise.sorts.array.bound.upper([headerHashKeyPrefix]),
+);
+export const getHeaderIndexHashKeyMin = ({
+  indexStart,
+}: HeaderHashesKey): Buffer => serializeHeaderIndexHashKey(indexStart);
+export const getHeaderIndexHashKeyMax = ({
+  indexStop,
+}: HeaderHashesKey): Buffer => serializeHeaderIndexHashKey(indexStop);
+
+export const serializeBlockUndoKey = (index: number): Buffer =>
+  bytewise.encode([blockUndoKeyPrefix, index]);
+export const blockUndoMaxKey = bytewise.encode(
+  bytewise.sorts.array.bound.upper([blockUndoKeyPrefix]),
+);
 
 export const maxHeaderHashKey = (bytewise.encode([
   settingsPrefix,
@@ -42,6 +76,10 @@ export const maxBlockHashKey = (bytewise.encode([
   settingsPrefix,
   'max-block-hash',
 ]): Buffer);
+export const storageVersionKey = (bytewise.encode([
+  settingsPrefix,
+  'storage-version',
+]): Buffer);
 
 const serializeStorageItemKey = ({ hash, key }: StorageItemKey): Buffer =>
   bytewise.encode([storageItemKeyPrefix, common.uInt160ToBuffer(hash), key]);
@@ -49,23 +87,251 @@ const serializeStorageItemKeyString = ({ hash, key }: StorageItemKey): string =>
   `${storageItemKeyPrefix}:` +
   `${common.uInt160ToString(hash)}:` +
   `${key.toString('hex')}`;
-export const getStorageItemKeyMin = ({ hash }: StorageItemsKey): Buffer =>
-  bytewise.encode(
-    hash == null
-      ? bytewise.sorts.array.bound.lower([storageItemKeyPrefix])
-      : bytewise.sorts.array.bound.lower([
+// bytewise escapes buffers one byte at a time, so the key of every item
+// under a prefix starts with the encoding of the prefix, less the buffer and
+// array terminators.
+const getStorageItemPrefixKey = (hash: UInt160, prefix: Buffer): Buffer => {
+  const key = bytewise.encode([
+    storageItemKeyPrefix,
+    common.uInt160ToBuffer(hash),
+    prefix,
+  ]);
+  return key.slice(0, key.length - 2);
+};
+export const getStorageItemKeyMin = ({
+  hash,
+  prefix,
+}: StorageItemsKey): Buffer => {
+  if (hash == null) {
+    return bytewise.encode(
+      bytewise.sorts.array.bound.lower([storageItemKeyPrefix]),
+    );
+  }
+
+  return prefix == null
+    ? bytewise.encode(
+        bytewise.sorts.array.bound.lower([
           storageItemKeyPrefix,
           common.uInt160ToBuffer(hash),
         ]),
-  );
-export const getStorageItemKeyMax = ({ hash }: StorageItemsKey): Buffer =>
-  bytewise.encode(
-    hash == null
-      ? bytewise.sorts.array.bound.upper([storageItemKeyPrefix])
-      : bytewise.sorts.array.bound.upper([
+      )
+    : getStorageItemPrefixKey(hash, prefix);
+};
+export const getStorageItemKeyMax = ({
+  hash,
+  prefix,
+}: StorageItemsKey): Buffer => {
+  if (hash == null) {
+    return bytewise.encode(
+      bytewise.sorts.array.bound.upper([storageItemKeyPrefix]),
+    );
+  }
+
+  return prefix == null
+    ? bytewise.encode(
+        bytewise.sorts.array.bound.upper([
           storageItemKeyPrefix,
           common.uInt160ToBuffer(hash),
         ]),
+      )
+    : Buffer.concat([
+        getStorageItemPrefixKey(hash, prefix),
+        Buffer.from([0xff]),
+      ]);
+};
+
+const serializeUnspentKey = ({
+  address,
+  asset,
+  hash,
+  index,
+}: UnspentKey): Buffer =>
+  bytewise.encode([
+    unspentKeyPrefix,
+    common.uInt160ToBuffer(address),
+    common.uInt256ToBuffer(asset),
+    common.uInt256ToBuffer(hash),
+    index,
+  ]);
+const serializeUnspentKeyString = ({
+  address,
+  asset,
+  hash,
+  index,
+}: UnspentKey): string =>
+  `${unspentKeyPrefix}:` +
+  `${common.uInt160ToString(address)}:` +
+  `${common.uInt256ToString(asset)}:` +
+  `${common.uInt256ToString(hash)}:` +
+  `${index}`;
+const getUnspentKeyPrefix = ({ address, asset }: UnspentsKey) =>
+  asset == null
+    ? [unspentKeyPrefix, common.uInt160ToBuffer(address)]
+    : [
+        unspentKeyPrefix,
+        common.uInt160ToBuffer(address),
+        common.uInt256ToBuffer(asset),
+      ];
+export const getUnspentKeyMin = (key: UnspentsKey): Buffer =>
+  bytewise.encode(bytewise.sorts.array.bound.lower(getUnspentKeyPrefix(key)));
+export const getUnspentKeyMax = (key: UnspentsKey): Buffer =>
+  bytewise.encode(bytewise.sorts.array.bound.upper(getUnspentKeyPrefix(key)));
+
+const serializeUnclaimedKey = ({
+  address,
+  hash,
+  index,
+}: UnclaimedKey): Buffer =>
+  bytewise.encode([
+    unclaimedKeyPrefix,
+    common.uInt160ToBuffer(address),
+    common.uInt256ToBuffer(hash),
+    index,
+  ]);
+const serializeUnclaimedKeyString = ({
+  address,
+  hash,
+  index,
+}: UnclaimedKey): string =>
+  `${unclaimedKeyPrefix}:` +
+  `${common.uInt160ToString(address)}:` +
+  `${common.uInt256ToString(hash)}:` +
+  `${index}`;
+export const getUnclaimedKeyMin = ({ address }: UnclaimedsKey): Buffer =>
+  bytewise.encode(
+    bytewise.sorts.array.bound.lower([
+      unclaimedKeyPrefix,
+      common.uInt160ToBuffer(address),
+    ]),
+  );
+export const getUnclaimedKeyMax = ({ address }: UnclaimedsKey): Buffer =>
+  bytewise.encode(
+    bytewise.sorts.array.bound.upper([
+      unclaimedKeyPrefix,
+      common.uInt160ToBuffer(address),
+    ]),
+  );
+
+const serializeAddressTransactionKey = ({
+  address,
+  blockIndex,
+  transactionIndex,
+}: AddressTransactionKey): Buffer =>
+  bytewise.encode([
+    addressTransactionKeyPrefix,
+    common.uInt160ToBuffer(address),
+    blockIndex,
+    transactionIndex,
+  ]);
+const serializeAddressTransactionKeyString = ({
+  address,
+  blockIndex,
+  transactionIndex,
+}: AddressTransactionKey): string =>
+  `${addressTransactionKeyPrefix}:` +
+  `${common.uInt160ToString(address)}:` +
+  `${blockIndex}:` +
+  `${transactionIndex}`;
+export const getAddressTransactionKeyMin = ({
+  address,
+}: AddressTransactionsKey): Buffer =>
+  bytewise.encode(
+    bytewise.sorts.array.bound.lower([
+      addressTransactionKeyPrefix,
+      common.uInt160ToBuffer(address),
+    ]),
+  );
+export const getAddressTransactionKeyMax = ({
+  address,
+  blockIndexStop,
+  transactionIndexStop,
+}: AddressTransactionsKey): Buffer =>
+  bytewise.encode(
+    bytewise.sorts.array.bound.upper([
+      addressTransactionKeyPrefix,
+      common.uInt160ToBuffer(address),
+      blockIndexStop == null ? Number.MAX_SAFE_INTEGER : blockIndexStop,
+      transactionIndexStop == null
+        ? Number.MAX_SAFE_INTEGER
+        : transactionIndexStop,
+    ]),
+  );
+
+const serializeNep5BalanceKey = ({ address, asset }: Nep5BalanceKey): Buffer =>
+  bytewise.encode([
+    nep5BalanceKeyPrefix,
+    common.uInt160ToBuffer(address),
+    common.uInt160ToBuffer(asset),
+  ]);
+const serializeNep5BalanceKeyString = ({
+  address,
+  asset,
+}: Nep5BalanceKey): string =>
+  `${nep5BalanceKeyPrefix}:` +
+  `${common.uInt160ToString(address)}:` +
+  `${common.uInt160ToString(asset)}`;
+export const getNep5BalanceKeyMin = ({ address }: Nep5BalancesKey): Buffer =>
+  bytewise.encode(
+    bytewise.sorts.array.bound.lower([
+      nep5BalanceKeyPrefix,
+      common.uInt160ToBuffer(address),
+    ]),
+  );
+export const getNep5BalanceKeyMax = ({ address }: Nep5BalancesKey): Buffer =>
+  bytewise.encode(
+    bytewise.sorts.array.bound.upper([
+      nep5BalanceKeyPrefix,
+      common.uInt160ToBuffer(address),
+    ]),
+  );
+
+const serializeNep5TransferKey = ({
+  address,
+  blockIndex,
+  transactionIndex,
+  index,
+}: Nep5TransferKey): Buffer =>
+  bytewise.encode([
+    nep5TransferKeyPrefix,
+    common.uInt160ToBuffer(address),
+    blockIndex,
+    transactionIndex,
+    index,
+  ]);
+const serializeNep5TransferKeyString = ({
+  address,
+  blockIndex,
+  transactionIndex,
+  index,
+}: Nep5TransferKey): string =>
+  `${nep5TransferKeyPrefix}:` +
+  `${common.uInt160ToString(address)}:` +
+  `${blockIndex}:` +
+  `${transactionIndex}:` +
+  `${index}`;
+export const getNep5TransferKeyMin = ({
+  address,
+  blockIndexStart,
+}: Nep5TransfersKey): Buffer =>
+  bytewise.encode(
+    bytewise.sorts.array.bound.lower(
+      [
+        nep5TransferKeyPrefix,
+        common.uInt160ToBuffer(address),
+        blockIndexStart,
+      ].filter(value => value != null),
+    ),
+  );
+export const getNep5TransferKeyMax = ({
+  address,
+  blockIndexStop,
+}: Nep5TransfersKey): Buffer =>
+  bytewise.encode(
+    bytewise.sorts.array.bound.upper([
+      nep5TransferKeyPrefix,
+      common.uInt160ToBuffer(address),
+      blockIndexStop == null ? Number.MAX_SAFE_INTEGER : blockIndexStop,
+    ]),
   );
 
 export const serializeActionKey = ({
@@ -172,6 +438,11 @@ export const typeKeyToSerializeKey = {
   storageItem: serializeStorageItemKey,
   validator: serializeValidatorKey,
   invocationData: createSerializeUInt256Key(invocationDataKeyPrefix),
+  unspent: serializeUnspentKey,
+  unclaimed: serializeUnclaimedKey,
+  addressTransaction: serializeAddressTransactionKey,
+  nep5Balance: serializeNep5BalanceKey,
+  nep5Transfer: serializeNep5TransferKey,
 };
 
 export const typeKeyToSerializeKeyString = {
@@ -190,4 +461,9 @@ export const typeKeyToSerializeKeyString = {
   storageItem: serializeStorageItemKeyString,
   validator: serializeValidatorKeyString,
   invocationData: createSerializeUInt256KeyString(invocationDataKeyPrefix),
+  unspent: serializeUnspentKeyString,
+  unclaimed: serializeUnclaimedKeyString,
+  addressTransaction: serializeAddressTransactionKeyString,
+  nep5Balance: serializeNep5BalanceKeyString,
+  nep5Transfer: serializeNep5TransferKeyString,
 };
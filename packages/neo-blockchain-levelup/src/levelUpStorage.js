@@ -19,24 +19,37 @@ import {
 import {
   type ChangeSet,
   type Storage,
+  AddressTransaction,
   BlockSystemFee,
+  Nep5Balance,
+  Nep5Transfer,
   TransactionSpentCoins,
+  Unclaimed,
+  Unspent,
 } from 'neo-blockchain-node-core';
 
-import { type LevelUp } from './types';
-import { KeyNotFoundError } from './errors';
+import { type LevelUp, type LevelUpChange, type StreamEntry } from './types';
+import { KeyNotFoundError, UndoDataNotFoundError } from './errors';
 
 import * as common from './common';
 import convertChange from './convertChange';
+import createOverlayDB, { addOverlayChanges } from './createOverlayDB';
 import * as keys from './keys';
 import * as read from './read';
+import streamToObservable from './streamToObservable';
 
-export default ({
+// Undo data is only kept for this many of the most recent blocks, which is
+// as deep as a fork can reorganize the chain.
+export const DEFAULT_UNDO_DEPTH = 2000;
+
+const levelUpStorage = ({
   db,
   context,
+  undoDepth = DEFAULT_UNDO_DEPTH,
 }: {|
   db: LevelUp,
   context: DeserializeWireContext,
+  undoDepth?: number,
 |}): Storage => {
   const getHash = async ({ hashOrIndex }: HeaderKey): Promise<UInt256> => {
     let hash = hashOrIndex;
@@ -55,6 +68,71 @@ export default ({
     return hash;
   };
 
+  const convertChangeSet = (changeSet: ChangeSet): Array<LevelUpChange> => {
+    const changesList = changeSet.map(change => convertChange(change));
+    return changesList.reduce((acc, converted) => {
+      acc.push(...converted);
+      return acc;
+    }, []);
+  };
+
+  const getUndoChanges = (
+    changes: Array<LevelUpChange>,
+  ): Promise<Array<LevelUpChange>> => {
+    const seen = new Set();
+    return Promise.all(
+      changes
+        .filter(({ key }) => {
+          const keyHex = key.toString('hex');
+          if (seen.has(keyHex)) {
+            return false;
+          }
+          seen.add(keyHex);
+
+          return true;
+        })
+        .map(async ({ key }): Promise<LevelUpChange> => {
+          try {
+            const value = await db.get(key);
+            return { type: 'put', key, value };
+          } catch (error) {
+            if (error.notFound) {
+              return { type: 'del', key };
+            }
+            throw error;
+          }
+        }),
+    );
+  };
+
+  const getBlockUndoChanges = async (
+    index: number,
+  ): Promise<Array<LevelUpChange>> => {
+    try {
+      const result = await db.get(keys.serializeBlockUndoKey(index));
+      return common.deserializeUndoChanges(result);
+    } catch (error) {
+      if (error.notFound) {
+        throw new UndoDataNotFoundError(index);
+      }
+      throw error;
+    }
+  };
+
+  // Undo newest first so that the oldest undo data wins for shared keys.
+  // Blocks are read one at a time so that only one block's undo data is
+  // deserialized at once.
+  const forEachUndoChangesSince = async (
+    toIndex: number,
+    currentIndex: number,
+    onChanges: (changes: Array<LevelUpChange>) => void,
+  ): Promise<void> => {
+    for (let index = currentIndex; index > toIndex; index -= 1) {
+      // eslint-disable-next-line
+      onChanges(await getBlockUndoChanges(index));
+    }
+  };
+
   const headerBase = read.createReadStorage({
     db,
     serializeKey: keys.typeKeyToSerializeKey.header,
@@ -134,6 +212,15 @@ export default ({
 
   return {
     header,
+    headerHash: read.createReadGetAllStorage({
+      db,
+      serializeKey: ({ index }) => keys.serializeHeaderIndexHashKey(index),
+      serializeKeyString: ({ index }) =>
+        keys.serializeHeaderIndexHashKeyString(index),
+      getMinKey: keys.getHeaderIndexHashKeyMin,
+      getMaxKey: keys.getHeaderIndexHashKeyMax,
+      deserializeValue: common.deserializeHeaderHash,
+    }),
     block,
     blockSystemFee: read.createReadStorage({
       db,
@@ -189,6 +276,52 @@ export default ({
         TransactionSpentCoins.deserializeWire({ context, buffer }),
     }),
     output,
+    unspent: read.createReadGetAllStorage({
+      db,
+      serializeKey: keys.typeKeyToSerializeKey.unspent,
+      serializeKeyString: keys.typeKeyToSerializeKeyString.unspent,
+      getMinKey: keys.getUnspentKeyMin,
+      getMaxKey: keys.getUnspentKeyMax,
+      deserializeValue: (buffer: Buffer) =>
+        Unspent.deserializeWire({ context, buffer }),
+    }),
+    unclaimed: read.createReadGetAllStorage({
+      db,
+      serializeKey: keys.typeKeyToSerializeKey.unclaimed,
+      serializeKeyString: keys.typeKeyToSerializeKeyString.unclaimed,
+      getMinKey: keys.getUnclaimedKeyMin,
+      getMaxKey: keys.getUnclaimedKeyMax,
+      deserializeValue: (buffer: Buffer) =>
+        Unclaimed.deserializeWire({ context, buffer }),
+    }),
+    addressTransaction: read.createReadGetAllStorage({
+      db,
+      serializeKey: keys.typeKeyToSerializeKey.addressTransaction,
+      serializeKeyString: keys.typeKeyToSerializeKeyString.addressTransaction,
+      getMinKey: keys.getAddressTransactionKeyMin,
+      getMaxKey: keys.getAddressTransactionKeyMax,
+      reverse: true,
+      deserializeValue: (buffer: Buffer) =>
+        AddressTransaction.deserializeWire({ context, buffer }),
+    }),
+    nep5Balance: read.createReadGetAllStorage({
+      db,
+      serializeKey: keys.typeKeyToSerializeKey.nep5Balance,
+      serializeKeyString: keys.typeKeyToSerializeKeyString.nep5Balance,
+      getMinKey: keys.getNep5BalanceKeyMin,
+      getMaxKey: keys.getNep5BalanceKeyMax,
+      deserializeValue: (buffer: Buffer) =>
+        Nep5Balance.deserializeWire({ context, buffer }),
+    }),
+    nep5Transfer: read.createReadGetAllStorage({
+      db,
+      serializeKey: keys.typeKeyToSerializeKey.nep5Transfer,
+      serializeKeyString: keys.typeKeyToSerializeKeyString.nep5Transfer,
+      getMinKey: keys.getNep5TransferKeyMin,
+      getMaxKey: keys.getNep5TransferKeyMax,
+      deserializeValue: (buffer: Buffer) =>
+        Nep5Transfer.deserializeWire({ context, buffer }),
+    }),
     contract: read.createReadStorage({
       db,
       serializeKey: keys.typeKeyToSerializeKey.contract,
@@ -237,12 +370,90 @@ export default ({
       await db.close();
     },
     async commit(changeSet: ChangeSet): Promise<void> {
-      const changesList = changeSet.map(change => convertChange(change));
-      const changes = changesList.reduce((acc, converted) => {
-        acc.push(...converted);
-        return acc;
-      }, []);
+      await db.batch(convertChangeSet(changeSet));
+    },
+    async commitBlock({
+      index,
+      changeSet,
+      undo,
+    }: {|
+      index: number,
+      changeSet: ChangeSet,
+      undo: boolean,
+    |}): Promise<void> {
+      const changes = convertChangeSet(changeSet);
+      if (undo) {
+        const undoChanges = await getUndoChanges(changes);
+        changes.push({
+          type: 'put',
+          key: keys.serializeBlockUndoKey(index),
+          value: common.serializeUndoChanges(undoChanges),
+        });
+      }
+      if (index >= undoDepth) {
+        changes.push({
+          type: 'del',
+          key: keys.serializeBlockUndoKey(index - undoDepth),
+        });
+      }
+      await db.batch(changes);
+    },
+    async rollback({ toIndex }: {| toIndex: number |}): Promise<void> {
+      const [hash, currentBlock, headerIndexEntries] = await Promise.all([
+        getHash({ hashOrIndex: toIndex }),
+        block.tryGetLatest(),
+        streamToObservable(() =>
+          db.createReadStream({
+            gte: keys.serializeHeaderIndexHashKey(toIndex + 1),
+            lte: keys.headerIndexHashMaxKey,
+          }),
+        )
+          .toArray()
+          .toPromise(),
+      ]);
+
+      const currentIndex = currentBlock == null ? toIndex : currentBlock.index;
+      const changes = [];
+      await forEachUndoChangesSince(toIndex, currentIndex, undoChanges => {
+        changes.push(...undoChanges);
+      });
+      for (let index = currentIndex; index > toIndex; index -= 1) {
+        changes.push({ type: 'del', key: keys.serializeBlockUndoKey(index) });
+      }
+      headerIndexEntries.forEach(({ key, value }: StreamEntry) => {
+        changes.push(
+          {
+            type: 'del',
+            key: keys.typeKeyToSerializeKey.header({
+              hash: common.deserializeHeaderHash(value),
+            }),
+          },
+          { type: 'del', key },
+        );
+      });
+      changes.push({
+        type: 'put',
+        key: keys.maxHeaderHashKey,
+        value: common.serializeHeaderHash(hash),
+      });
+
       await db.batch(changes);
     },
+    async createSnapshot(index: number): Promise<Storage> {
+      const currentBlock = await block.tryGetLatest();
+      const overlay = new Map();
+      if (currentBlock != null) {
+        await forEachUndoChangesSince(index, currentBlock.index, changes =>
+          addOverlayChanges(overlay, changes),
+        );
+      }
+
+      return levelUpStorage({
+        db: createOverlayDB({ db, overlay }),
+        context,
+      });
+    },
   };
 };
+
+export default levelUpStorage;
@@ -88,16 +88,19 @@ export function createAll<Value>({
   db,
   minKey,
   maxKey,
+  reverse,
   deserializeValue,
 }: {|
   db: LevelUp,
   minKey: Buffer,
   maxKey: Buffer,
+  reverse?: boolean,
   deserializeValue: (value: Buffer) => Value,
 |}): Observable<Value> {
   return streamToObservable(() => db.createValueStream({
     gte: minKey,
     lte: maxKey,
+    reverse: reverse === true,
   })).map(value => deserializeValue(value));
 };
 
@@ -136,6 +139,7 @@ export function createReadGetAllStorage<Key, Keys, Value>({
   serializeKeyString,
   getMinKey,
   getMaxKey,
+  reverse,
   deserializeValue,
 }: {|
   db: LevelUp,
@@ -143,6 +147,7 @@ export function createReadGetAllStorage<Key, Keys, Value>({
   serializeKeyString: SerializeKeyString<Key>,
   getMinKey: (keys: Keys) => Buffer,
   getMaxKey: (keys: Keys) => Buffer,
+  reverse?: boolean,
   deserializeValue: (value: Buffer) => Value,
 |}): ReadGetAllStorage<Key, Keys, Value> {
   const readStorage = createReadStorage({
@@ -159,6 +164,7 @@ export function createReadGetAllStorage<Key, Keys, Value>({
       db,
       minKey: getMinKey(keys),
       maxKey: getMaxKey(keys),
+      reverse,
       deserializeValue,
     }),
   };
@@ -2,7 +2,7 @@
 import { Observable } from 'rxjs';
 import { type Readable } from 'stream';
 
-export default (getStream: () => Readable): Observable<Buffer> =>
+export default <T>(getStream: () => Readable): Observable<T> =>
   Observable.create((observer) => {
     const stream = getStream();
     let done = false;
@@ -25,7 +25,7 @@ export default (getStream: () => Readable): Observable<Buffer> =>
       cleanup();
       observer.error(error);
     };
-    const onData = (data: Buffer) => observer.next(data);
+    const onData = (data: T) => observer.next(data);
 
     stream.once('error', onError);
     stream.once('end', onEnd);
@@ -7,10 +7,16 @@ export type LevelUpChange =
 export type StreamOptions = {|
   gte?: Buffer,
   lte?: Buffer,
+  reverse?: boolean,
+|};
+export type StreamEntry = {|
+  key: Buffer,
+  value: Buffer,
 |};
 export type LevelUp = {
   get: (key: Buffer) => Promise<Buffer>,
   close: () => Promise<void>,
   batch: (changes: Array<LevelUpChange>) => Promise<void>,
   createValueStream: (options: StreamOptions) => Readable,
+  createReadStream: (options: StreamOptions) => Readable,
 };
@@ -4,3 +4,17 @@ import testFunc from './test';
 
 export const main = mainFunc();
 export const test = testFunc();
+
+export { default as createPrivateNetSettings } from './privateNet';
+export { default as createSoloSettings } from './solo';
+export {
+  InvalidProtocolSeedError,
+  InvalidProtocolSystemFeeError,
+  createProtocol,
+  createProtocolSettings,
+  loadProtocol,
+  loadProtocolSettings,
+} from './protocol';
+
+export type { PrivateNetSettingsOptions } from './privateNet';
+export type { Protocol, ProtocolJSON, ProtocolSeed } from './protocol';
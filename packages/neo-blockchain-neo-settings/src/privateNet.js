@@ -0,0 +1,57 @@
+/* @flow */
+import type BN from 'bn.js';
+import {
+  TRANSACTION_TYPE,
+  type Checkpoint,
+  type ECPoint,
+  type Settings,
+  type TransactionType,
+  common,
+} from 'neo-blockchain-core';
+
+import createCommon from './common';
+
+export type PrivateNetSettingsOptions = {|
+  standbyValidators: Array<ECPoint>,
+  messageMagic: number,
+  addressVersion?: number,
+  fees?: { [type: TransactionType]: BN },
+  checkpoints?: Array<Checkpoint>,
+|};
+
+export const DEFAULT_FEES = {
+  [TRANSACTION_TYPE.ENROLLMENT]: common.fixed8FromDecimal(1000),
+  [TRANSACTION_TYPE.ISSUE]: common.fixed8FromDecimal(500),
+  [TRANSACTION_TYPE.PUBLISH]: common.fixed8FromDecimal(500),
+  [TRANSACTION_TYPE.REGISTER]: common.fixed8FromDecimal(10000),
+};
+
+export default ({
+  standbyValidators,
+  messageMagic,
+  addressVersion,
+  fees,
+  checkpoints,
+}: PrivateNetSettingsOptions): Settings => {
+  const commonSettings = createCommon({ standbyValidators });
+  return {
+    genesisBlock: commonSettings.genesisBlock,
+    governingToken: commonSettings.governingToken,
+    utilityToken: commonSettings.utilityToken,
+    decrementInterval: commonSettings.decrementInterval,
+    generationAmount: commonSettings.generationAmount,
+    fees: fees == null ? DEFAULT_FEES : fees,
+    messageMagic,
+    addressVersion:
+      addressVersion == null ? common.NEO_ADDRESS_VERSION : addressVersion,
+    standbyValidators,
+    vm: {
+      storageContext: {
+        v0: {
+          index: 0,
+        },
+      },
+    },
+    checkpoints: checkpoints == null ? [] : checkpoints,
+  };
+};
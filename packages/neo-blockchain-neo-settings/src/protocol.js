@@ -0,0 +1,129 @@
+/* @flow */
+import {
+  TRANSACTION_TYPE,
+  type Settings,
+  type TransactionType,
+  common,
+} from 'neo-blockchain-core';
+
+import fs from 'fs';
+
+import createPrivateNetSettings, { DEFAULT_FEES } from './privateNet';
+
+export type ProtocolJSON = {
+  ProtocolConfiguration: {
+    Magic: number,
+    AddressVersion?: number,
+    StandbyValidators: Array<string>,
+    SeedList?: Array<string>,
+    SystemFee?: { [name: string]: number },
+    SecondsPerBlock?: number,
+  },
+};
+
+export type ProtocolSeed = {| host: string, port: number |};
+
+// Settings plus the parts of protocol.json that configure the node rather than
+// the chain.
+export type Protocol = {|
+  settings: Settings,
+  seeds: Array<ProtocolSeed>,
+  secondsPerBlock?: number,
+|};
+
+export class InvalidProtocolSeedError extends Error {
+  seed: string;
+
+  constructor(seed: string) {
+    super(`Expected a host:port seed in SeedList, found: ${seed}`);
+    this.seed = seed;
+  }
+}
+
+export class InvalidProtocolSystemFeeError extends Error {
+  transactionName: string;
+
+  constructor(transactionName: string) {
+    super(`Unknown transaction type in SystemFee: ${transactionName}`);
+    this.transactionName = transactionName;
+  }
+}
+
+const TRANSACTION_NAME_TO_TYPE: { [name: string]: TransactionType } = {
+  MinerTransaction: TRANSACTION_TYPE.MINER,
+  IssueTransaction: TRANSACTION_TYPE.ISSUE,
+  ClaimTransaction: TRANSACTION_TYPE.CLAIM,
+  EnrollmentTransaction: TRANSACTION_TYPE.ENROLLMENT,
+  RegisterTransaction: TRANSACTION_TYPE.REGISTER,
+  ContractTransaction: TRANSACTION_TYPE.CONTRACT,
+  PublishTransaction: TRANSACTION_TYPE.PUBLISH,
+  InvocationTransaction: TRANSACTION_TYPE.INVOCATION,
+};
+
+const getFees = (systemFeeIn?: { [name: string]: number }) => {
+  const systemFee = systemFeeIn;
+  if (systemFee == null) {
+    return DEFAULT_FEES;
+  }
+
+  const fees = {};
+  Object.keys(systemFee).forEach(name => {
+    const type = TRANSACTION_NAME_TO_TYPE[name];
+    if (type == null) {
+      throw new InvalidProtocolSystemFeeError(name);
+    }
+    fees[type] = common.fixed8FromDecimal(String(systemFee[name]));
+  });
+
+  return fees;
+};
+
+export const createProtocolSettings = (protocol: ProtocolJSON): Settings => {
+  const config = protocol.ProtocolConfiguration;
+  return createPrivateNetSettings({
+    standbyValidators: config.StandbyValidators.map(value =>
+      common.stringToECPoint(value),
+    ),
+    messageMagic: config.Magic,
+    addressVersion: config.AddressVersion,
+    fees: getFees(config.SystemFee),
+  });
+};
+
+const parseSeed = (seed: string): ProtocolSeed => {
+  const index = seed.lastIndexOf(':');
+  const port = Number(seed.slice(index + 1));
+  if (index <= 0 || !Number.isInteger(port) || port <= 0) {
+    throw new InvalidProtocolSeedError(seed);
+  }
+
+  return { host: seed.slice(0, index), port };
+};
+
+export const createProtocol = (protocol: ProtocolJSON): Protocol => {
+  const config = protocol.ProtocolConfiguration;
+  return {
+    settings: createProtocolSettings(protocol),
+    seeds: (config.SeedList || []).map(parseSeed),
+    secondsPerBlock: config.SecondsPerBlock,
+  };
+};
+
+export const loadProtocol = async (path: string): Promise<Protocol> => {
+  const contents = await new Promise((resolve, reject) => {
+    fs.readFile(path, 'utf8', (error, data) => {
+      if (error != null) {
+        reject(error);
+      } else {
+        resolve(data);
+      }
+    });
+  });
+
+  return createProtocol(JSON.parse(contents));
+};
+
+export const loadProtocolSettings = async (path: string): Promise<Settings> => {
+  const protocol = await loadProtocol(path);
+  return protocol.settings;
+};
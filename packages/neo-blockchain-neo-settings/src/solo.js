@@ -0,0 +1,14 @@
+/* @flow */
+import { type ECPoint, type Settings } from 'neo-blockchain-core';
+
+import createPrivateNetSettings from './privateNet';
+
+export default ({
+  standbyValidator,
+}: {|
+  standbyValidator: ECPoint,
+|}): Settings =>
+  createPrivateNetSettings({
+    standbyValidators: [standbyValidator],
+    messageMagic: 56753,
+  });
@@ -15,7 +15,7 @@ import ConnectedPeer from './ConnectedPeer';
 import { type OnEvent } from './event';
 import type Peer from './Peer';
 import TCPPeer from './TCPPeer';
-import { UnsupportedEndpointType } from './errors';
+import { ReceiveMessageTimeoutError, UnsupportedEndpointType } from './errors';
 
 export type ListenTCP = {|
   port: number,
@@ -34,6 +34,8 @@ type NetworkOptions<Message, PeerData> = {|
   connectPeersDelayMS?: number,
   maxConnectedPeers?: number,
   socketTimeoutMS?: number,
+  badPeerExpiryMS?: number,
+  maxBadPeers?: number,
   negotiate: (peer: Peer<Message>) => Promise<NegotiateResult<PeerData>>,
   createMessageTransform: () => Duplex,
   onMessageReceived: (
@@ -55,10 +57,14 @@ export default class Network<Message, PeerData> {
   _maxConnectedPeers: number;
   _seeds$: Observable<Array<Endpoint>>;
   _socketTimeoutMS: number;
+  _badPeerExpiryMS: number;
+  _maxBadPeers: number;
 
   _connectedPeers: { [endpoint: Endpoint]: ConnectedPeer<Message, PeerData> };
   _connectingPeers: { [endpoint: Endpoint]: boolean };
   _unconnectedPeers: Set<Endpoint>;
+  // Endpoint to the time its ban expires, oldest ban first.
+  _badPeers: Map<Endpoint, number>;
 
   _listenTCP: ?ListenTCP;
   _tcpServer: ?net.Server;
@@ -83,10 +89,13 @@ export default class Network<Message, PeerData> {
     this._maxConnectedPeers = options.maxConnectedPeers || 10;
     this._seeds$ = options.seeds$;
     this._socketTimeoutMS = options.socketTimeoutMS || 1000 * 60;
+    this._badPeerExpiryMS = options.badPeerExpiryMS || 1000 * 60 * 60;
+    this._maxBadPeers = options.maxBadPeers || 1000;
 
     this._connectedPeers = {};
     this._connectingPeers = {};
     this._unconnectedPeers = new Set();
+    this._badPeers = new Map();
 
     this._listenTCP = options.listenTCP;
     this._tcpServer = null;
@@ -166,7 +175,7 @@ export default class Network<Message, PeerData> {
   }
 
   addEndpoint(endpoint: Endpoint): void {
-    if (!this._externalEndpoints.has(endpoint)) {
+    if (!this._externalEndpoints.has(endpoint) && !this._isBadPeer(endpoint)) {
       this._unconnectedPeers.add(endpoint);
     }
   }
@@ -183,6 +192,40 @@ export default class Network<Message, PeerData> {
     return utils.values(this._connectedPeers);
   }
 
+  get unconnectedPeers(): Array<Endpoint> {
+    return [...this._unconnectedPeers].filter(
+      endpoint => this._connectedPeers[endpoint] == null,
+    );
+  }
+
+  get badPeers(): Array<Endpoint> {
+    return [...this._badPeers.keys()].filter(endpoint =>
+      this._isBadPeer(endpoint),
+    );
+  }
+
+  _isBadPeer(endpoint: Endpoint): boolean {
+    const expiry = this._badPeers.get(endpoint);
+    if (expiry == null) {
+      return false;
+    }
+    if (expiry <= Date.now()) {
+      this._badPeers.delete(endpoint);
+      return false;
+    }
+
+    return true;
+  }
+
+  _addBadPeer(endpoint: Endpoint): void {
+    this._badPeers.delete(endpoint);
+    this._badPeers.set(endpoint, Date.now() + this._badPeerExpiryMS);
+    if (this._badPeers.size > this._maxBadPeers) {
+      const [oldest] = [...this._badPeers.keys()];
+      this._badPeers.delete(oldest);
+    }
+  }
+
   _startServer(): void {
     const listenTCP = this._listenTCP;
     if (listenTCP == null) {
@@ -319,12 +362,18 @@ export default class Network<Message, PeerData> {
       relay = result.relay;
     } catch (error) {
       peer.close();
+      this._unconnectedPeers.delete(peer.endpoint);
+      // Timeouts are usually transient, anything else is a protocol failure.
+      if (!(error instanceof ReceiveMessageTimeoutError)) {
+        this._addBadPeer(peer.endpoint);
+      }
       throw error;
     }
 
     if (peer.connected) {
       const connectedPeer = new ConnectedPeer({ peer, data, relay });
       this._connectedPeers[peer.endpoint] = connectedPeer;
+      this._badPeers.delete(peer.endpoint);
       connectedPeer.peer.streamData(message =>
         this.__onMessageReceived(connectedPeer, message),
       );
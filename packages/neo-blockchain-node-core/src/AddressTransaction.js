@@ -0,0 +1,87 @@
+/* @flow */
+import {
+  type BinaryWriter,
+  type Equatable,
+  type Equals,
+  type DeserializeWireBaseOptions,
+  type DeserializeWireOptions,
+  type SerializeWire,
+  type SerializableWire,
+  type UInt160,
+  type UInt256,
+  BinaryReader,
+  common,
+  createSerializeWire,
+  utils,
+} from 'neo-blockchain-core';
+
+export type AddressTransactionKey = {|
+  address: UInt160,
+  blockIndex: number,
+  transactionIndex: number,
+|};
+export type AddressTransactionsKey = {|
+  address: UInt160,
+  blockIndexStop?: number,
+  transactionIndexStop?: number,
+|};
+export type AddressTransactionAdd = {|
+  address: UInt160,
+  blockIndex: number,
+  transactionIndex: number,
+  hash: UInt256,
+|};
+
+export default class AddressTransaction
+  implements Equatable, SerializableWire<AddressTransaction> {
+  address: UInt160;
+  blockIndex: number;
+  transactionIndex: number;
+  hash: UInt256;
+
+  constructor({
+    address,
+    blockIndex,
+    transactionIndex,
+    hash,
+  }: AddressTransactionAdd) {
+    this.address = address;
+    this.blockIndex = blockIndex;
+    this.transactionIndex = transactionIndex;
+    this.hash = hash;
+  }
+
+  equals: Equals = utils.equals(
+    AddressTransaction,
+    (other) =>
+      common.uInt160Equal(this.address, other.address) &&
+      common.uInt256Equal(this.hash, other.hash),
+  );
+
+  serializeWireBase(writer: BinaryWriter): void {
+    writer.writeUInt160(this.address);
+    writer.writeUInt32LE(this.blockIndex);
+    writer.writeUInt32LE(this.transactionIndex);
+    writer.writeUInt256(this.hash);
+  }
+
+  serializeWire: SerializeWire = createSerializeWire(this.serializeWireBase.bind(this));
+
+  static deserializeWireBase(
+    { reader }: DeserializeWireBaseOptions,
+  ): AddressTransaction {
+    const address = reader.readUInt160();
+    const blockIndex = reader.readUInt32LE();
+    const transactionIndex = reader.readUInt32LE();
+    const hash = reader.readUInt256();
+
+    return new this({ address, blockIndex, transactionIndex, hash });
+  }
+
+  static deserializeWire(options: DeserializeWireOptions): this {
+    return this.deserializeWireBase({
+      context: options.context,
+      reader: new BinaryReader(options.buffer),
+    });
+  }
+}
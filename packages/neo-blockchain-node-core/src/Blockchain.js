@@ -1,4 +1,5 @@
 /* @flow */
+import type BN from 'bn.js';
 import type {
   Account,
   AccountKey,
@@ -12,6 +13,7 @@ import type {
   Block,
   BlockKey,
   DeserializeWireContext,
+  ECPoint,
   SerializeJSONContext,
   Contract,
   ContractKey,
@@ -29,18 +31,37 @@ import type {
   Settings,
   Transaction,
   TransactionKey,
+  UInt160,
+  UInt256,
   Validator,
   ValidatorKey,
 } from 'neo-blockchain-core';
 import { type Observable } from 'rxjs';
 
+import type AddressTransaction, {
+  AddressTransactionKey,
+  AddressTransactionsKey,
+} from './AddressTransaction';
 import type BlockSystemFee, { BlockSystemFeeKey } from './BlockSystemFee';
+import type Nep5Balance, {
+  Nep5BalanceKey,
+  Nep5BalancesKey,
+  Nep5BalanceUpdate,
+} from './Nep5Balance';
+import type Nep5Transfer, {
+  Nep5TransferKey,
+  Nep5TransfersKey,
+} from './Nep5Transfer';
 import type TransactionSpentCoins, {
   TransactionSpentCoinsKey,
   TransactionSpentCoinsUpdate,
 } from './TransactionSpentCoins';
+import type Unclaimed, { UnclaimedKey, UnclaimedsKey } from './Unclaimed';
+import type Unspent, { UnspentKey, UnspentsKey } from './Unspent';
 
 import { type Log } from './log';
+import type { ChangeSet } from './Storage';
+import type { OnStep } from './vm';
 
 export interface ReadStorage<Key, Value> {
   +get: (key: Key) => Promise<Value>;
@@ -85,6 +106,10 @@ interface ReadAllAddUpdateDeleteStorage<Key, Value, Update>
   > {}
 interface ReadGetAllAddStorage<Key, PartialKey, Value>
   extends ReadGetAllStorage<Key, PartialKey, Value>, AddStorage<Value> {}
+interface ReadGetAllAddDeleteStorage<Key, PartialKey, Value>
+  extends ReadGetAllStorage<Key, PartialKey, Value>, AddStorage<
+    Value,
+  >, DeleteStorage<Key> {}
 interface ReadGetAllAddUpdateDeleteStorage<Key, PartialKey, Value, Update>
   extends ReadGetAllStorage<Key, PartialKey, Value>, AddUpdateDeleteStorage<
     Key,
@@ -92,6 +117,23 @@ interface ReadGetAllAddUpdateDeleteStorage<Key, PartialKey, Value, Update>
     Update,
   > {}
 
+export type HeaderHashKey = {| index: number |};
+export type HeaderHashesKey = {| indexStart: number, indexStop: number |};
+
+export type ClaimableCoin = {|
+  hash: UInt256,
+  index: number,
+  value: BN,
+  startHeight: number,
+  endHeight: number,
+  amount: BN,
+|};
+
+export type UnclaimedGAS = {|
+  available: BN,
+  unavailable: BN,
+|};
+
 export type Blockchain = {
   +settings: Settings,
   +log: Log,
@@ -101,6 +143,8 @@ export type Blockchain = {
   +currentBlock: Block,
   +currentHeader: Header,
   +currentBlockIndex: number,
+  // Emits each block after it has been persisted.
+  +block$: Observable<Block>,
 
   +account: ReadAllStorage<AccountKey, Account>,
   +action: ReadGetAllStorage<ActionKey, ActionsKey, Action>,
@@ -108,12 +152,28 @@ export type Blockchain = {
   +block: ReadStorage<BlockKey, Block>,
   +blockSystemFee: ReadStorage<BlockSystemFeeKey, BlockSystemFee>,
   +header: ReadStorage<HeaderKey, Header>,
+  // Hashes of the persisted header chain, which may run ahead of currentBlock.
+  +headerHash: ReadGetAllStorage<HeaderHashKey, HeaderHashesKey, UInt256>,
   +transaction: ReadStorage<TransactionKey, Transaction>,
   +transactionSpentCoins: ReadStorage<
     TransactionSpentCoinsKey,
     TransactionSpentCoins,
   >,
   +output: ReadStorage<OutputKey, Output>,
+  +unspent: ReadGetAllStorage<UnspentKey, UnspentsKey, Unspent>,
+  +unclaimed: ReadGetAllStorage<UnclaimedKey, UnclaimedsKey, Unclaimed>,
+  // getAll emits newest first.
+  +addressTransaction: ReadGetAllStorage<
+    AddressTransactionKey,
+    AddressTransactionsKey,
+    AddressTransaction,
+  >,
+  +nep5Balance: ReadGetAllStorage<Nep5BalanceKey, Nep5BalancesKey, Nep5Balance>,
+  +nep5Transfer: ReadGetAllStorage<
+    Nep5TransferKey,
+    Nep5TransfersKey,
+    Nep5Transfer,
+  >,
   +contract: ReadStorage<ContractKey, Contract>,
   +storageItem: ReadGetAllStorage<StorageItemKey, StorageItemsKey, StorageItem>,
   +validator: ReadAllStorage<ValidatorKey, Validator>,
@@ -124,14 +184,27 @@ export type Blockchain = {
     unsafe?: boolean,
   |}) => Promise<void>,
   +persistHeaders: (headers: Array<Header>) => Promise<void>,
+  +rollback: (options: {| toIndex: number |}) => Promise<void>,
 
   +verifyBlock: (block: Block) => Promise<void>,
   +verifyTransaction: ({
     transaction: Transaction,
     memPool?: Array<Transaction>,
   }) => Promise<void>,
+  +getValidators: (transactions: Array<Transaction>) => Promise<Array<ECPoint>>,
+  +getClaimable: (address: UInt160) => Promise<Array<ClaimableCoin>>,
+  +getUnclaimedGAS: (address: UInt160) => Promise<UnclaimedGAS>,
 
-  +invokeScript: (script: Buffer) => Promise<InvocationResult>,
+  +invokeScript: (
+    script: Buffer,
+    options?: {| onStep?: OnStep, profile?: boolean |},
+  ) => Promise<InvocationResult>,
+  // Re-executes a persisted InvocationTransaction against the state right
+  // before it originally ran, reporting each VM step to onStep.
+  +traceTransaction: (
+    hash: UInt256,
+    onStep: OnStep,
+  ) => Promise<InvocationResult>,
 
   +stop: () => Promise<void>,
 };
@@ -156,6 +229,28 @@ export type WriteBlockchain = {
     TransactionSpentCoinsUpdate,
   >,
   +output: $PropertyType<Blockchain, 'output'>,
+  +unspent: ReadGetAllAddDeleteStorage<UnspentKey, UnspentsKey, Unspent>,
+  +unclaimed: ReadGetAllAddDeleteStorage<
+    UnclaimedKey,
+    UnclaimedsKey,
+    Unclaimed,
+  >,
+  +addressTransaction: ReadGetAllAddStorage<
+    AddressTransactionKey,
+    AddressTransactionsKey,
+    AddressTransaction,
+  >,
+  +nep5Balance: ReadGetAllAddUpdateDeleteStorage<
+    Nep5BalanceKey,
+    Nep5BalancesKey,
+    Nep5Balance,
+    Nep5BalanceUpdate,
+  >,
+  +nep5Transfer: ReadGetAllAddStorage<
+    Nep5TransferKey,
+    Nep5TransfersKey,
+    Nep5Transfer,
+  >,
   +contract: ReadAddDeleteStorage<ContractKey, Contract>,
   +storageItem: ReadGetAllAddUpdateDeleteStorage<
     StorageItemKey,
@@ -165,4 +260,6 @@ export type WriteBlockchain = {
   >,
   +validator: ReadAllAddStorage<ValidatorKey, Validator>,
   +invocationData: ReadAddStorage<InvocationDataKey, InvocationData>,
+
+  +getChangeSet: () => ChangeSet,
 };
@@ -0,0 +1,97 @@
+/* @flow */
+import type BN from 'bn.js';
+import {
+  type BinaryWriter,
+  type Equatable,
+  type Equals,
+  type DeserializeWireBaseOptions,
+  type DeserializeWireOptions,
+  type SerializeWire,
+  type SerializableWire,
+  type UInt160,
+  BinaryReader,
+  common,
+  createSerializeWire,
+  utils,
+} from 'neo-blockchain-core';
+
+export type Nep5BalanceKey = {|
+  address: UInt160,
+  asset: UInt160,
+|};
+export type Nep5BalancesKey = {|
+  address: UInt160,
+|};
+export type Nep5BalanceAdd = {|
+  address: UInt160,
+  asset: UInt160,
+  value: BN,
+  blockIndex: number,
+|};
+export type Nep5BalanceUpdate = {|
+  value: BN,
+  blockIndex: number,
+|};
+
+export default class Nep5Balance
+  implements Equatable, SerializableWire<Nep5Balance> {
+  address: UInt160;
+  asset: UInt160;
+  value: BN;
+  blockIndex: number;
+
+  constructor({
+    address,
+    asset,
+    value,
+    blockIndex,
+  }: Nep5BalanceAdd) {
+    this.address = address;
+    this.asset = asset;
+    this.value = value;
+    this.blockIndex = blockIndex;
+  }
+
+  equals: Equals = utils.equals(
+    Nep5Balance,
+    (other) =>
+      common.uInt160Equal(this.address, other.address) &&
+      common.uInt160Equal(this.asset, other.asset),
+  );
+
+  update({ value, blockIndex }: Nep5BalanceUpdate): Nep5Balance {
+    return new this.constructor({
+      address: this.address,
+      asset: this.asset,
+      value,
+      blockIndex,
+    });
+  }
+
+  serializeWireBase(writer: BinaryWriter): void {
+    writer.writeUInt160(this.address);
+    writer.writeUInt160(this.asset);
+    writer.writeVarBytesLE(utils.toSignedBuffer(this.value));
+    writer.writeUInt32LE(this.blockIndex);
+  }
+
+  serializeWire: SerializeWire = createSerializeWire(this.serializeWireBase.bind(this));
+
+  static deserializeWireBase(
+    { reader }: DeserializeWireBaseOptions,
+  ): Nep5Balance {
+    const address = reader.readUInt160();
+    const asset = reader.readUInt160();
+    const value = utils.fromSignedBuffer(reader.readVarBytesLE());
+    const blockIndex = reader.readUInt32LE();
+
+    return new this({ address, asset, value, blockIndex });
+  }
+
+  static deserializeWire(options: DeserializeWireOptions): this {
+    return this.deserializeWireBase({
+      context: options.context,
+      reader: new BinaryReader(options.buffer),
+    });
+  }
+}
@@ -0,0 +1,134 @@
+/* @flow */
+import type BN from 'bn.js';
+import {
+  type BinaryWriter,
+  type Equatable,
+  type Equals,
+  type DeserializeWireBaseOptions,
+  type DeserializeWireOptions,
+  type SerializeWire,
+  type SerializableWire,
+  type UInt160,
+  type UInt256,
+  BinaryReader,
+  common,
+  createSerializeWire,
+  utils,
+} from 'neo-blockchain-core';
+
+export type Nep5TransferKey = {|
+  address: UInt160,
+  blockIndex: number,
+  transactionIndex: number,
+  index: number,
+|};
+export type Nep5TransfersKey = {|
+  address: UInt160,
+  blockIndexStart?: number,
+  blockIndexStop?: number,
+|};
+// from is null for mints and to is null for burns.
+export type Nep5TransferAdd = {|
+  address: UInt160,
+  asset: UInt160,
+  blockIndex: number,
+  transactionIndex: number,
+  index: number,
+  transactionHash: UInt256,
+  from: ?UInt160,
+  to: ?UInt160,
+  value: BN,
+|};
+
+const readAddress = (address: UInt160): ?UInt160 =>
+  common.uInt160Equal(address, common.ZERO_UINT160) ? null : address;
+
+export default class Nep5Transfer
+  implements Equatable, SerializableWire<Nep5Transfer> {
+  address: UInt160;
+  asset: UInt160;
+  blockIndex: number;
+  transactionIndex: number;
+  index: number;
+  transactionHash: UInt256;
+  from: ?UInt160;
+  to: ?UInt160;
+  value: BN;
+
+  constructor({
+    address,
+    asset,
+    blockIndex,
+    transactionIndex,
+    index,
+    transactionHash,
+    from,
+    to,
+    value,
+  }: Nep5TransferAdd) {
+    this.address = address;
+    this.asset = asset;
+    this.blockIndex = blockIndex;
+    this.transactionIndex = transactionIndex;
+    this.index = index;
+    this.transactionHash = transactionHash;
+    this.from = from;
+    this.to = to;
+    this.value = value;
+  }
+
+  equals: Equals = utils.equals(
+    Nep5Transfer,
+    (other) =>
+      common.uInt160Equal(this.address, other.address) &&
+      common.uInt256Equal(this.transactionHash, other.transactionHash) &&
+      this.index === other.index,
+  );
+
+  serializeWireBase(writer: BinaryWriter): void {
+    writer.writeUInt160(this.address);
+    writer.writeUInt160(this.asset);
+    writer.writeUInt32LE(this.blockIndex);
+    writer.writeUInt32LE(this.transactionIndex);
+    writer.writeUInt32LE(this.index);
+    writer.writeUInt256(this.transactionHash);
+    writer.writeUInt160(this.from || common.ZERO_UINT160);
+    writer.writeUInt160(this.to || common.ZERO_UINT160);
+    writer.writeVarBytesLE(utils.toSignedBuffer(this.value));
+  }
+
+  serializeWire: SerializeWire = createSerializeWire(this.serializeWireBase.bind(this));
+
+  static deserializeWireBase(
+    { reader }: DeserializeWireBaseOptions,
+  ): Nep5Transfer {
+    const address = reader.readUInt160();
+    const asset = reader.readUInt160();
+    const blockIndex = reader.readUInt32LE();
+    const transactionIndex = reader.readUInt32LE();
+    const index = reader.readUInt32LE();
+    const transactionHash = reader.readUInt256();
+    const from = readAddress(reader.readUInt160());
+    const to = readAddress(reader.readUInt160());
+    const value = utils.fromSignedBuffer(reader.readVarBytesLE());
+
+    return new this({
+      address,
+      asset,
+      blockIndex,
+      transactionIndex,
+      index,
+      transactionHash,
+      from,
+      to,
+      value,
+    });
+  }
+
+  static deserializeWire(options: DeserializeWireOptions): this {
+    return this.deserializeWireBase({
+      context: options.context,
+      reader: new BinaryReader(options.buffer),
+    });
+  }
+}
@@ -1,8 +1,33 @@
 /* @flow */
-import type { Transaction, UInt256Hex } from 'neo-blockchain-core';
+import type BN from 'bn.js';
+import type { Block, Transaction, UInt256Hex } from 'neo-blockchain-core';
+import type { Observable } from 'rxjs/Observable';
+
+import type { Endpoint } from './Network';
+
+export type MemPoolChange =
+  | {| type: 'add', transaction: Transaction |}
+  | {| type: 'remove', transaction: Transaction |};
+
+export type MemPoolEntry = {|
+  transaction: Transaction,
+  networkFee: BN,
+  // Unix time in seconds at which the transaction entered the mem pool.
+  time: number,
+|};
 
 export interface Node {
+  relayBlock(block: Block): Promise<void>;
   relayTransaction(transaction: Transaction): Promise<void>;
+  generateBlocks(count: number): Promise<Array<Block>>;
   +connectedPeersCount: number;
+  +connectedPeers: Array<Endpoint>;
+  +unconnectedPeers: Array<Endpoint>;
+  +badPeers: Array<Endpoint>;
+  +userAgent: string;
+  +nonce: number;
+  +port: number;
   +memPool: { [hash: UInt256Hex]: Transaction };
+  +memPool$: Observable<MemPoolChange>;
+  getMemPoolEntries(): Array<MemPoolEntry>;
 }
@@ -19,9 +19,14 @@ import type {
   Validator,
 } from 'neo-blockchain-core';
 
+import type AddressTransaction from './AddressTransaction';
 import type BlockSystemFee from './BlockSystemFee';
+import type Nep5Balance, { Nep5BalanceKey } from './Nep5Balance';
+import type Nep5Transfer from './Nep5Transfer';
 import type { Blockchain, ReadStorage } from './Blockchain';
 import type TransactionSpentCoins from './TransactionSpentCoins';
+import type Unclaimed, { UnclaimedKey } from './Unclaimed';
+import type Unspent, { UnspentKey } from './Unspent';
 
 type OutputValue = {|
   hash: UInt256,
@@ -41,11 +46,19 @@ export type AddChange =
   | {| type: 'blockSystemFee', value: BlockSystemFee |}
   | {| type: 'transactionSpentCoins', value: TransactionSpentCoins |}
   | {| type: 'invocationData', value: InvocationData |}
-  | {| type: 'output', value: OutputValue |};
+  | {| type: 'output', value: OutputValue |}
+  | {| type: 'unspent', value: Unspent |}
+  | {| type: 'unclaimed', value: Unclaimed |}
+  | {| type: 'addressTransaction', value: AddressTransaction |}
+  | {| type: 'nep5Balance', value: Nep5Balance |}
+  | {| type: 'nep5Transfer', value: Nep5Transfer |};
 export type DeleteChange =
   | {| type: 'account', key: AccountKey |}
   | {| type: 'contract', key: ContractKey |}
-  | {| type: 'storageItem', key: StorageItemKey |};
+  | {| type: 'storageItem', key: StorageItemKey |}
+  | {| type: 'unspent', key: UnspentKey |}
+  | {| type: 'unclaimed', key: UnclaimedKey |}
+  | {| type: 'nep5Balance', key: Nep5BalanceKey |};
 export type Change =
   | {| type: 'add', change: AddChange |}
   | {| type: 'delete', change: DeleteChange |};
@@ -62,13 +75,29 @@ export type Storage = {
   block: LatestReadStorage<BlockKey, Block>,
   blockSystemFee: $PropertyType<Blockchain, 'blockSystemFee'>,
   header: LatestReadStorage<HeaderKey, Header>,
+  headerHash: $PropertyType<Blockchain, 'headerHash'>,
   transaction: $PropertyType<Blockchain, 'transaction'>,
   transactionSpentCoins: $PropertyType<Blockchain, 'transactionSpentCoins'>,
   output: $PropertyType<Blockchain, 'output'>,
+  unspent: $PropertyType<Blockchain, 'unspent'>,
+  unclaimed: $PropertyType<Blockchain, 'unclaimed'>,
+  addressTransaction: $PropertyType<Blockchain, 'addressTransaction'>,
+  nep5Balance: $PropertyType<Blockchain, 'nep5Balance'>,
+  nep5Transfer: $PropertyType<Blockchain, 'nep5Transfer'>,
   contract: $PropertyType<Blockchain, 'contract'>,
   storageItem: $PropertyType<Blockchain, 'storageItem'>,
   validator: $PropertyType<Blockchain, 'validator'>,
   invocationData: $PropertyType<Blockchain, 'invocationData'>,
   commit: (changeSet: ChangeSet) => Promise<void>,
+  // undo records the data needed to roll the block back. Storage only keeps
+  // it for a bounded number of recent blocks.
+  commitBlock: (options: {|
+    index: number,
+    changeSet: ChangeSet,
+    undo: boolean,
+  |}) => Promise<void>,
+  rollback: (options: {| toIndex: number |}) => Promise<void>,
+  // Read only view of storage as it was right after block index was persisted.
+  createSnapshot: (index: number) => Promise<Storage>,
   close: () => Promise<void>,
 };
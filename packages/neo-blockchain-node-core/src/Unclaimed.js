@@ -0,0 +1,85 @@
+/* @flow */
+import {
+  type BinaryWriter,
+  type Equatable,
+  type Equals,
+  type DeserializeWireBaseOptions,
+  type DeserializeWireOptions,
+  type SerializeWire,
+  type SerializableWire,
+  type UInt160,
+  type UInt256,
+  BinaryReader,
+  Output,
+  common,
+  createSerializeWire,
+  utils,
+} from 'neo-blockchain-core';
+
+export type UnclaimedKey = {|
+  address: UInt160,
+  hash: UInt256,
+  index: number,
+|};
+export type UnclaimedsKey = {|
+  address: UInt160,
+|};
+export type UnclaimedAdd = {|
+  hash: UInt256,
+  index: number,
+  output: Output,
+|};
+
+export default class Unclaimed
+  implements Equatable, SerializableWire<Unclaimed> {
+  hash: UInt256;
+  index: number;
+  output: Output;
+
+  constructor({
+    hash,
+    index,
+    output,
+  }: UnclaimedAdd) {
+    this.hash = hash;
+    this.index = index;
+    this.output = output;
+  }
+
+  get address(): UInt160 {
+    return this.output.address;
+  }
+
+  equals: Equals = utils.equals(
+    Unclaimed,
+    (other) =>
+      common.uInt256Equal(this.hash, other.hash) &&
+      this.index === other.index,
+  );
+
+  serializeWireBase(writer: BinaryWriter): void {
+    writer.writeUInt256(this.hash);
+    writer.writeUInt16LE(this.index);
+    this.output.serializeWireBase(writer);
+  }
+
+  serializeWire: SerializeWire = createSerializeWire(this.serializeWireBase.bind(this));
+
+  static deserializeWireBase(
+    options: DeserializeWireBaseOptions,
+  ): Unclaimed {
+    const { reader } = options;
+    const hash = reader.readUInt256();
+    const index = reader.readUInt16LE();
+    const output = Output.deserializeWireBase(options);
+
+    return new this({ hash, index, output });
+  }
+
+  static deserializeWire(options: DeserializeWireOptions): this {
+    return this.deserializeWireBase({
+      context: options.context,
+      reader: new BinaryReader(options.buffer),
+    });
+  }
+}
@@ -0,0 +1,91 @@
+/* @flow */
+import {
+  type BinaryWriter,
+  type Equatable,
+  type Equals,
+  type DeserializeWireBaseOptions,
+  type DeserializeWireOptions,
+  type SerializeWire,
+  type SerializableWire,
+  type UInt160,
+  type UInt256,
+  BinaryReader,
+  Output,
+  common,
+  createSerializeWire,
+  utils,
+} from 'neo-blockchain-core';
+
+export type UnspentKey = {|
+  address: UInt160,
+  asset: UInt256,
+  hash: UInt256,
+  index: number,
+|};
+export type UnspentsKey = {|
+  address: UInt160,
+  asset?: UInt256,
+|};
+export type UnspentAdd = {|
+  hash: UInt256,
+  index: number,
+  output: Output,
+|};
+
+export default class Unspent
+  implements Equatable, SerializableWire<Unspent> {
+  hash: UInt256;
+  index: number;
+  output: Output;
+
+  constructor({
+    hash,
+    index,
+    output,
+  }: UnspentAdd) {
+    this.hash = hash;
+    this.index = index;
+    this.output = output;
+  }
+
+  get address(): UInt160 {
+    return this.output.address;
+  }
+
+  get asset(): UInt256 {
+    return this.output.asset;
+  }
+
+  equals: Equals = utils.equals(
+    Unspent,
+    (other) =>
+      common.uInt256Equal(this.hash, other.hash) &&
+      this.index === other.index,
+  );
+
+  serializeWireBase(writer: BinaryWriter): void {
+    writer.writeUInt256(this.hash);
+    writer.writeUInt16LE(this.index);
+    this.output.serializeWireBase(writer);
+  }
+
+  serializeWire: SerializeWire = createSerializeWire(this.serializeWireBase.bind(this));
+
+  static deserializeWireBase(
+    options: DeserializeWireBaseOptions,
+  ): Unspent {
+    const { reader } = options;
+    const hash = reader.readUInt256();
+    const index = reader.readUInt16LE();
+    const output = Output.deserializeWireBase(options);
+
+    return new this({ hash, index, output });
+  }
+
+  static deserializeWire(options: DeserializeWireOptions): this {
+    return this.deserializeWireBase({
+      context: options.context,
+      reader: new BinaryReader(options.buffer),
+    });
+  }
+}
@@ -1,6 +1,11 @@
 /* @flow */
+export { default as AddressTransaction } from './AddressTransaction';
 export { default as BlockSystemFee } from './BlockSystemFee';
+export { default as Nep5Balance } from './Nep5Balance';
+export { default as Nep5Transfer } from './Nep5Transfer';
 export { default as TransactionSpentCoins } from './TransactionSpentCoins';
+export { default as Unclaimed } from './Unclaimed';
+export { default as Unspent } from './Unspent';
 export { default as finalize } from './finalize';
 export { default as neverComplete } from './neverComplete';
 
@@ -10,12 +15,32 @@ export { NULL_ACTION, TRIGGER_TYPE } from './vm';
 
 export type {
   Blockchain,
+  ClaimableCoin,
+  HeaderHashKey,
+  HeaderHashesKey,
+  UnclaimedGAS,
   ReadStorage,
   ReadAllStorage,
   ReadGetAllStorage,
   WriteBlockchain,
 } from './Blockchain';
+export type {
+  AddressTransactionAdd,
+  AddressTransactionKey,
+  AddressTransactionsKey,
+} from './AddressTransaction';
 export type { BlockSystemFeeKey } from './BlockSystemFee';
+export type {
+  Nep5BalanceAdd,
+  Nep5BalanceKey,
+  Nep5BalancesKey,
+  Nep5BalanceUpdate,
+} from './Nep5Balance';
+export type {
+  Nep5TransferAdd,
+  Nep5TransferKey,
+  Nep5TransfersKey,
+} from './Nep5Transfer';
 export type {
   LogLevel,
   LogValue,
@@ -26,12 +51,14 @@ export type {
   Profile,
 } from './log';
 export type { Endpoint, EndpointConfig } from './Network';
-export type { Node } from './Node';
+export type { MemPoolChange, MemPoolEntry, Node } from './Node';
 export type {
   TransactionSpentCoinsAdd,
   TransactionSpentCoinsKey,
   TransactionSpentCoinsUpdate,
 } from './TransactionSpentCoins';
+export type { UnclaimedAdd, UnclaimedKey, UnclaimedsKey } from './Unclaimed';
+export type { UnspentAdd, UnspentKey, UnspentsKey } from './Unspent';
 export type {
   AddChange,
   Change,
@@ -45,6 +72,7 @@ export type {
   OnStep,
   OnStepInput,
   Script,
+  StorageChange,
   TriggerType,
   VM,
   VMContext,
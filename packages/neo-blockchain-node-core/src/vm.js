@@ -2,8 +2,11 @@
 import type BN from 'bn.js';
 import {
   type ContractParameter,
+  type InvocationProfile,
   type OpCode,
   type ScriptContainer,
+  type StorageItem,
+  type StorageItemKey,
   type UInt160,
   type UInt256,
   common,
@@ -41,6 +44,9 @@ export type ExecuteScriptsResult = {|
   stackAlt: Array<ContractParameter>,
   gasLeft: BN,
 |};
+export type StorageChange =
+  | {| type: 'add', item: StorageItem |}
+  | {| type: 'delete', key: StorageItemKey |};
 export type VMContext = {|
   script: Script,
   scriptHash: UInt160,
@@ -50,9 +56,12 @@ export type VMContext = {|
   stackAlt: Array<ContractParameter>,
   done: boolean,
   gasLeft: BN,
+  // Storage items written by the invocation so far.
+  storageChanges: Array<StorageChange>,
 |};
 export type OnStepInput = {| context: VMContext, opCode: OpCode |};
-export type OnStep = (input: OnStepInput) => void;
+// Execution waits on the returned promise, so a hook may pause the VM.
+export type OnStep = (input: OnStepInput) => void | Promise<void>;
 export type ExecuteScripts = (input: {|
   scripts: Array<Script>,
   blockchain: WriteBlockchain,
@@ -62,6 +71,9 @@ export type ExecuteScripts = (input: {|
   gas: BN,
   // eslint-disable-next-line
   onStep?: OnStep,
+  // When set, opcode and syscall counts, fees and timings are aggregated into
+  // it as execution proceeds, so a faulted execution is still profiled.
+  profile?: InvocationProfile,
 |}) => Promise<ExecuteScriptsResult>;
 
 export type VM = {|
@@ -0,0 +1,297 @@
+/* @flow */
+import {
+  type Block,
+  type DeserializeWireOptions,
+  type Input,
+  type Transaction,
+  type UInt256Hex,
+  BinaryReader,
+  BinaryWriter,
+  ClaimTransaction,
+  common,
+  deserializeTransactionWire,
+  utils,
+} from 'neo-blockchain-core';
+import BN from 'bn.js';
+import {
+  type Blockchain,
+  type MemPoolChange,
+  type MemPoolEntry,
+} from 'neo-blockchain-node-core';
+import type { Observable } from 'rxjs/Observable';
+import { Subject } from 'rxjs/Subject';
+
+import { MemPoolConflictError, MemPoolFullError } from './errors';
+
+type Entry = {|
+  transaction: Transaction,
+  networkFee: BN,
+  time: number,
+  free: boolean,
+  sequence: number,
+|};
+
+export type SerializedEntry = {|
+  transaction: Transaction,
+  time: number,
+|};
+
+const DEFAULT_MAX_SIZE = 30000;
+// Transactions paying less than 0.001 GAS in network fees are treated as free
+// and are always evicted before paid transactions.
+const LOW_PRIORITY_THRESHOLD = new BN(100000);
+
+const getInputKey = (input: Input): string =>
+  `${common.uInt256ToHex(input.hash)}:${input.index}`;
+
+const getSpentInputs = (transaction: Transaction): Array<Input> =>
+  transaction instanceof ClaimTransaction
+    ? transaction.inputs.concat(transaction.claims)
+    : transaction.inputs;
+
+// Orders entries from lowest to highest priority. Fee per byte is compared by
+// cross multiplying so no precision is lost, and ties are broken by arrival so
+// newer transactions have lower priority.
+const compareEntries = (a: Entry, b: Entry): number => {
+  const result = a.networkFee
+    .muln(b.transaction.size)
+    .cmp(b.networkFee.muln(a.transaction.size));
+  return result === 0 ? b.sequence - a.sequence : result;
+};
+
+const getSortedIndex = (entries: Array<Entry>, entry: Entry): number => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    // eslint-disable-next-line
+    const mid = (low + high) >>> 1;
+    if (compareEntries(entries[mid], entry) < 0) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+};
+
+export default class MemPool {
+  _blockchain: Blockchain;
+  _maxSize: number;
+
+  _transactions: { [hash: UInt256Hex]: Transaction };
+  _entries: { [hash: UInt256Hex]: Entry };
+  _spentInputs: { [input: string]: Transaction };
+  _free: Array<Entry>;
+  _paid: Array<Entry>;
+  _sequence: number;
+
+  _reverifyQueue: Promise<void>;
+  _reverifyPending: boolean;
+
+  _change$: Subject<MemPoolChange>;
+  change$: Observable<MemPoolChange>;
+
+  constructor({
+    blockchain,
+    maxSize,
+  }: {|
+    blockchain: Blockchain,
+    maxSize?: number,
+  |}) {
+    this._blockchain = blockchain;
+    this._maxSize = maxSize == null ? DEFAULT_MAX_SIZE : maxSize;
+
+    this._transactions = {};
+    this._entries = {};
+    this._spentInputs = {};
+    this._free = [];
+    this._paid = [];
+    this._sequence = 0;
+
+    this._reverifyQueue = Promise.resolve();
+    this._reverifyPending = false;
+
+    this._change$ = new Subject();
+    this.change$ = this._change$.asObservable();
+  }
+
+  get transactions(): { [hash: UInt256Hex]: Transaction } {
+    return this._transactions;
+  }
+
+  get size(): number {
+    return this._free.length + this._paid.length;
+  }
+
+  get entries(): Array<MemPoolEntry> {
+    return utils
+      .values(this._entries)
+      .map(({ transaction, networkFee, time }) => ({
+        transaction,
+        networkFee,
+        time,
+      }));
+  }
+
+  has(hash: UInt256Hex): boolean {
+    return this._entries[hash] != null;
+  }
+
+  assertNoConflicts(transaction: Transaction): void {
+    for (const input of getSpentInputs(transaction)) {
+      const spender = this._spentInputs[getInputKey(input)];
+      if (spender != null && spender.hashHex !== transaction.hashHex) {
+        throw new MemPoolConflictError(transaction, input);
+      }
+    }
+  }
+
+  async add(transaction: Transaction, time?: number): Promise<void> {
+    const { settings } = this._blockchain;
+    const networkFee = await transaction.getNetworkFee({
+      getOutput: this._blockchain.output.get,
+      governingToken: settings.governingToken,
+      utilityToken: settings.utilityToken,
+      fees: settings.fees,
+    });
+    if (this.has(transaction.hashHex)) {
+      return;
+    }
+
+    this.assertNoConflicts(transaction);
+    const entry = {
+      transaction,
+      networkFee,
+      time: time == null ? Math.round(Date.now() / 1000) : time,
+      free: networkFee.lt(LOW_PRIORITY_THRESHOLD),
+      sequence: this._sequence,
+    };
+    this._sequence += 1;
+
+    if (this.size >= this._maxSize) {
+      const evict = this._getEvictionCandidate(entry);
+      if (evict == null) {
+        throw new MemPoolFullError(transaction);
+      }
+      this.remove(evict.transaction.hashHex);
+    }
+
+    const entries = entry.free ? this._free : this._paid;
+    entries.splice(getSortedIndex(entries, entry), 0, entry);
+    this._entries[transaction.hashHex] = entry;
+    this._transactions[transaction.hashHex] = transaction;
+    for (const input of getSpentInputs(transaction)) {
+      this._spentInputs[getInputKey(input)] = transaction;
+    }
+    this._change$.next({ type: 'add', transaction });
+  }
+
+  remove(hash: UInt256Hex): void {
+    const entry = this._entries[hash];
+    if (entry == null) {
+      return;
+    }
+
+    const entries = entry.free ? this._free : this._paid;
+    entries.splice(getSortedIndex(entries, entry), 1);
+    delete this._entries[hash];
+    delete this._transactions[hash];
+    for (const input of getSpentInputs(entry.transaction)) {
+      const key = getInputKey(input);
+      if (this._spentInputs[key] === entry.transaction) {
+        delete this._spentInputs[key];
+      }
+    }
+    this._change$.next({ type: 'remove', transaction: entry.transaction });
+  }
+
+  // Removes the block's transactions along with anything spending the same
+  // inputs, then re-verifies what remains in the background.
+  onPersistBlock(block: Block): void {
+    for (const transaction of block.transactions) {
+      this.remove(transaction.hashHex);
+      for (const input of getSpentInputs(transaction)) {
+        const spender = this._spentInputs[getInputKey(input)];
+        if (spender != null) {
+          this.remove(spender.hashHex);
+        }
+      }
+    }
+
+    if (this.size > 0 && !this._reverifyPending) {
+      this._reverifyPending = true;
+      this._reverifyQueue = this._reverifyQueue.then(() => {
+        this._reverifyPending = false;
+        return this._reverify();
+      });
+    }
+  }
+
+  serializeWire(): Buffer {
+    const writer = new BinaryWriter();
+    writer.writeArray(utils.values(this._entries), entry => {
+      writer.writeUInt32LE(entry.time);
+      writer.writeVarBytesLE(entry.transaction.serializeWire());
+    });
+
+    return writer.toBuffer();
+  }
+
+  static deserializeWire({
+    context,
+    buffer,
+  }: DeserializeWireOptions): Array<SerializedEntry> {
+    const reader = new BinaryReader(buffer);
+    return reader.readArray(() => {
+      const time = reader.readUInt32LE();
+      const transaction = deserializeTransactionWire({
+        context,
+        buffer: reader.readVarBytesLE(),
+      });
+
+      return { transaction, time };
+    });
+  }
+
+  _getEvictionCandidate(entry: Entry): ?Entry {
+    const candidate = this._free.length > 0 ? this._free[0] : this._paid[0];
+    if (
+      candidate == null ||
+      (entry.free && !candidate.free) ||
+      (entry.free === candidate.free && compareEntries(candidate, entry) > 0)
+    ) {
+      return null;
+    }
+
+    return candidate;
+  }
+
+  async _reverify(): Promise<void> {
+    const entries = this._paid
+      .slice()
+      .reverse()
+      .concat(this._free.slice().reverse());
+    const verified = [];
+    for (const { transaction } of entries) {
+      if (this.has(transaction.hashHex)) {
+        try {
+          // eslint-disable-next-line
+          await this._blockchain.verifyTransaction({
+            transaction,
+            memPool: verified,
+          });
+          verified.push(transaction);
+        } catch (error) {
+          this._blockchain.log({
+            event: 'MEM_POOL_TRANSACTION_INVALIDATED',
+            level: 'debug',
+            hash: common.uInt256ToString(transaction.hash),
+            error,
+          });
+          this.remove(transaction.hashHex);
+        }
+      }
+    }
+  }
+}
@@ -10,8 +10,10 @@ import {
 import {
   TRANSACTION_TYPE,
   type Block,
+  type ECPoint,
   type Header,
   type Transaction,
+  type UInt256,
   type UInt256Hex,
   MerkleTree,
   RegisterTransaction,
@@ -22,6 +24,8 @@ import {
 import {
   type Blockchain,
   type Endpoint,
+  type MemPoolChange,
+  type MemPoolEntry,
   type Node as INode,
   createEndpoint,
   getEndpointConfig,
@@ -31,9 +35,18 @@ import type { Observable } from 'rxjs/Observable';
 import { ScalingBloem } from 'bloem';
 
 import _ from 'lodash';
+import fs from 'fs';
 import net from 'net';
 
 import { COMMAND } from './Command';
+import {
+  type ConsensusOptions,
+  type SoloOptions,
+  Consensus,
+  Solo,
+  getValidators,
+  verifyConsensusPayload,
+} from './consensus';
 import {
   INVENTORY_TYPE,
   SERVICES,
@@ -48,8 +61,9 @@ import {
   NetworkAddress,
   VersionPayload,
 } from './payload';
+import MemPool from './MemPool';
 import Message, { type MessageValue, MessageTransform } from './Message';
-import { NegotiationError } from './errors';
+import { NegotiationError, SoloDisabledError } from './errors';
 import { type PeerData } from './PeerData';
 
 import pkg from '../package.json';
@@ -62,6 +76,9 @@ type NodeOptions = {|
   connectPeersDelayMS?: number,
   maxConnectedPeers?: number,
   socketTimeoutMS?: number,
+  memPoolPath?: string,
+  consensus?: ConsensusOptions,
+  solo?: SoloOptions,
 |};
 
 const createPeerBloomFilter = ({
@@ -85,7 +102,6 @@ const createScalingBloomFilter = () =>
     scaling: 4,
   });
 
-const MEM_POOL_SIZE = 30000;
 const GET_ADDR_PEER_COUNT = 200;
 const GET_BLOCKS_COUNT = 500;
 // Assume that we get 500 back, but if not, at least request every 10 seconds
@@ -93,6 +109,7 @@ const GET_BLOCKS_BUFFER = GET_BLOCKS_COUNT / 3;
 const GET_BLOCKS_TIME_MS = 10000;
 const GET_BLOCKS_THROTTLE_MS = 500;
 const GET_BLOCKS_CLOSE_COUNT = 2;
+const GET_FORK_HEADERS_DEPTH = 1000;
 const LOCAL_HOST_ADDRESSES = new Set(['0.0.0.0', 'localhost', '127.0.0.1']);
 
 export default class Node implements INode {
@@ -106,7 +123,10 @@ export default class Node implements INode {
   _nonce: number;
   _userAgent: string;
 
-  memPool: { [hash: UInt256Hex]: Transaction };
+  _memPool: MemPool;
+  _memPoolPath: ?string;
+  _memPoolLoad: Promise<void>;
+  memPool$: Observable<MemPoolChange>;
   _knownBlockHashes: ScalingBloem;
   _tempKnownBlockHashes: Set<UInt256Hex>;
   _knownTransactionHashes: ScalingBloem;
@@ -117,7 +137,16 @@ export default class Node implements INode {
   _getBlocksRequestsIndex: ?number;
   _getBlocksRequestTime: ?number;
   _getBlocksRequestsCount: number;
+  _getHeadersRequestTime: ?number;
+  _getForkHeadersRequestTime: ?number;
   _bestPeer: ?ConnectedPeer<Message, PeerData>;
+  _consensus: ?Consensus;
+  _solo: ?Solo;
+  _consensusPayloads: { [hash: UInt256Hex]: ConsensusPayload };
+  _consensusValidators: ?{|
+    hash: UInt256Hex,
+    validators: Array<ECPoint>,
+  |};
 
   constructor(options: NodeOptions) {
     this._blockchain = options.blockchain;
@@ -143,7 +172,10 @@ export default class Node implements INode {
     this._nonce = Math.floor(Math.random() * utils.UINT_MAX_NUMBER);
     this._userAgent = `NEO:neo-blockchain-js:${pkg.version}`;
 
-    this.memPool = {};
+    this._memPool = new MemPool({ blockchain: this._blockchain });
+    this._memPoolPath = options.memPoolPath;
+    this._memPoolLoad = Promise.resolve();
+    this.memPool$ = this._memPool.change$;
     this._knownBlockHashes = createScalingBloomFilter();
     this._tempKnownBlockHashes = new Set();
     this._knownTransactionHashes = createScalingBloomFilter();
@@ -153,12 +185,65 @@ export default class Node implements INode {
     this._getBlocksRequestsIndex = null;
     this._getBlocksRequestTime = null;
     this._getBlocksRequestsCount = 1;
+    this._getHeadersRequestTime = null;
+    this._getForkHeadersRequestTime = null;
+
+    this._consensus =
+      options.consensus == null
+        ? null
+        : new Consensus({
+            blockchain: this._blockchain,
+            options: options.consensus,
+            getMemPool: () => this.memPool,
+            relayConsensusPayload: this._relayConsensusPayload.bind(this),
+            relayBlock: this.relayBlock.bind(this),
+            requestTransactions: this._requestTransactions.bind(this),
+          });
+    this._consensusPayloads = {};
+    this._consensusValidators = null;
+    this._solo =
+      options.solo == null
+        ? null
+        : new Solo({
+            blockchain: this._blockchain,
+            options: options.solo,
+            getMemPool: () => this.memPool,
+            relayBlock: this.relayBlock.bind(this),
+          });
+  }
+
+  get memPool(): { [hash: UInt256Hex]: Transaction } {
+    return this._memPool.transactions;
   }
 
   get connectedPeersCount(): number {
     return this._network.connectedPeers.length;
   }
 
+  get connectedPeers(): Array<Endpoint> {
+    return this._network.connectedPeers.map(peer => peer.endpoint);
+  }
+
+  get unconnectedPeers(): Array<Endpoint> {
+    return this._network.unconnectedPeers;
+  }
+
+  get badPeers(): Array<Endpoint> {
+    return this._network.badPeers;
+  }
+
+  get userAgent(): string {
+    return this._userAgent;
+  }
+
+  get nonce(): number {
+    return this._nonce;
+  }
+
+  get port(): number {
+    return this._externalPort;
+  }
+
   start(): void {
     if (this._started) {
       return;
@@ -173,15 +258,29 @@ export default class Node implements INode {
       this._started = false;
       throw error;
     }
+
+    if (this._consensus != null) {
+      this._consensus.start();
+    }
+    if (this._solo != null) {
+      this._solo.start();
+    }
+    this._memPoolLoad = this._loadMemPool();
   }
 
-  stop(): void {
+  async stop(): Promise<void> {
     if (this._stopped) {
       return;
     }
     this._stopped = true;
 
     this._blockchain.log({ event: 'NODE_STOP' });
+    if (this._consensus != null) {
+      this._consensus.stop();
+    }
+    if (this._solo != null) {
+      this._solo.stop();
+    }
     try {
       this._network.stop();
       this._started = false;
@@ -189,12 +288,20 @@ export default class Node implements INode {
       this._stopped = false;
       throw error;
     }
+    await this._saveMemPool();
   }
 
-  async relayTransaction(transaction: Transaction): Promise<void> {
+  getMemPoolEntries(): Array<MemPoolEntry> {
+    return this._memPool.entries;
+  }
+
+  async relayTransaction(
+    transaction: Transaction,
+    memPoolTime?: number,
+  ): Promise<void> {
     if (
       transaction.type === TRANSACTION_TYPE.MINER ||
-      this.memPool[transaction.hashHex] != null ||
+      this._memPool.has(transaction.hashHex) ||
       this._tempKnownTransactionHashes.has(transaction.hashHex)
     ) {
       return;
@@ -215,19 +322,22 @@ export default class Node implements INode {
           hash: transaction.hash,
         });
         if (foundTransaction == null) {
+          this._memPool.assertNoConflicts(transaction);
           await this._blockchain.verifyTransaction({
             transaction,
             memPool: utils.values(this.memPool),
           });
-          this.memPool[transaction.hashHex] = transaction;
+          await this._memPool.add(transaction, memPoolTime);
           this._knownTransactionHashes.add(transaction.hash);
           this._relayTransaction(transaction);
+          if (this._consensus != null) {
+            this._consensus.onTransactionReceived(transaction);
+          }
           this._blockchain.log({
             event: 'RELAY_TRANSACTION_SUCCESS',
             level: 'debug',
             hash,
           });
-          await this._trimMemPool();
         }
       } catch (error) {
         this._blockchain.log({ event: 'RELAY_TRANSACTION_ERROR', hash, error });
@@ -240,6 +350,19 @@ export default class Node implements INode {
     }
   }
 
+  async relayBlock(block: Block): Promise<void> {
+    await this._persistBlock(block, true);
+  }
+
+  async generateBlocks(count: number): Promise<Array<Block>> {
+    const solo = this._solo;
+    if (solo == null) {
+      throw new SoloDisabledError();
+    }
+
+    return solo.generateBlocks(count);
+  }
+
   _relay(message: Message): void {
     this._blockchain.log({
       event: 'RELAY_MESSAGE',
@@ -265,6 +388,28 @@ export default class Node implements INode {
     }
   }
 
+  _relayConsensusPayload(payload: ConsensusPayload): void {
+    this._consensusPayloads[payload.hashHex] = payload;
+    this._relay(
+      this._createMessage({
+        command: COMMAND.INV,
+        payload: new InvPayload({
+          type: INVENTORY_TYPE.CONSENSUS,
+          hashes: [payload.hash],
+        }),
+      }),
+    );
+  }
+
+  _requestTransactions(hashes: Array<UInt256>): void {
+    this._relay(
+      this._createMessage({
+        command: COMMAND.GET_DATA,
+        payload: new InvPayload({ type: INVENTORY_TYPE.TRANSACTION, hashes }),
+      }),
+    );
+  }
+
   _sendMessage(
     peer: Peer<Message> | ConnectedPeer<Message, PeerData>,
     message: Message,
@@ -375,7 +520,10 @@ export default class Node implements INode {
     const peer = this._bestPeer;
     const block = this._blockchain.currentBlock;
     if (peer != null && block.index < peer.data.startHeight) {
-      if (this._getBlocksRequestsCount > GET_BLOCKS_CLOSE_COUNT) {
+      const header = this._blockchain.currentHeader;
+      if (header.index <= block.index) {
+        this._requestHeaders(peer);
+      } else if (this._getBlocksRequestsCount > GET_BLOCKS_CLOSE_COUNT) {
         this._blockchain.log({
           event: 'REQUEST_BLOCKS_CLOSE_PEER',
           level: 'debug',
@@ -405,15 +553,18 @@ export default class Node implements INode {
           this._getBlocksRequestsIndex = block.index;
         }
         this._getBlocksRequestTime = Date.now();
-        this._sendMessage(
+        this._requestBlockData(
           peer,
-          this._createMessage({
-            command: COMMAND.GET_BLOCKS,
-            payload: new GetBlocksPayload({
-              hashStart: [block.hash],
-            }),
-          }),
-        );
+          block.index + 1,
+          Math.min(header.index, block.index + GET_BLOCKS_COUNT),
+        ).catch(error => {
+          this._blockchain.log({
+            event: 'REQUEST_BLOCKS_ERROR',
+            peer: peer.endpoint,
+            index: block.index,
+            error,
+          });
+        });
       } else {
         this._blockchain.log({
           event: 'REQUEST_BLOCKS_SKIP_REQUEST',
@@ -427,6 +578,86 @@ export default class Node implements INode {
     }
   }, GET_BLOCKS_THROTTLE_MS);
 
+  async _requestBlockData(
+    peer: ConnectedPeer<Message, PeerData>,
+    startIndex: number,
+    endIndex: number,
+  ): Promise<void> {
+    const headerHashes = await this._blockchain.headerHash
+      .getAll({ indexStart: startIndex, indexStop: endIndex })
+      .toArray()
+      .toPromise();
+    const hashes = headerHashes.filter(
+      hash =>
+        !this._knownBlockHashes.has(hash) &&
+        !this._tempKnownBlockHashes.has(common.uInt256ToHex(hash)),
+    );
+    if (hashes.length > 0) {
+      this._sendMessage(
+        peer,
+        this._createMessage({
+          command: COMMAND.GET_DATA,
+          payload: new InvPayload({ type: INVENTORY_TYPE.BLOCK, hashes }),
+        }),
+      );
+    }
+  }
+
+  _requestHeaders(peer: ConnectedPeer<Message, PeerData>): void {
+    const getHeadersRequestTime = this._getHeadersRequestTime;
+    if (
+      getHeadersRequestTime == null ||
+      Date.now() - getHeadersRequestTime > GET_BLOCKS_TIME_MS
+    ) {
+      this._sendGetHeaders(peer);
+    }
+  }
+
+  async _requestForkHeaders(
+    peer: ConnectedPeer<Message, PeerData>,
+  ): Promise<void> {
+    const getForkHeadersRequestTime = this._getForkHeadersRequestTime;
+    if (
+      getForkHeadersRequestTime != null &&
+      Date.now() - getForkHeadersRequestTime <= GET_BLOCKS_TIME_MS
+    ) {
+      return;
+    }
+
+    this._getForkHeadersRequestTime = Date.now();
+    const header = await this._blockchain.header.get({
+      hashOrIndex: Math.max(
+        0,
+        this._blockchain.currentHeader.index - GET_FORK_HEADERS_DEPTH,
+      ),
+    });
+    this._blockchain.log({
+      event: 'REQUEST_FORK_HEADERS',
+      level: 'debug',
+      peer: peer.endpoint,
+      index: header.index,
+    });
+    this._sendGetHeaders(peer, header.hash);
+  }
+
+  _sendGetHeaders(
+    peer: ConnectedPeer<Message, PeerData>,
+    hash?: UInt256,
+  ): void {
+    this._getHeadersRequestTime = Date.now();
+    this._sendMessage(
+      peer,
+      this._createMessage({
+        command: COMMAND.GET_HEADERS,
+        payload: new GetBlocksPayload({
+          hashStart: [
+            hash == null ? this._blockchain.currentHeader.hash : hash,
+          ],
+        }),
+      }),
+    );
+  }
+
   _resetRequestBlocks(): void {
     this._getBlocksRequestsIndex = null;
     this._getBlocksRequestsCount = 0;
@@ -498,7 +729,9 @@ export default class Node implements INode {
           this._onBlockMessageReceived(message.value.payload).catch(onError);
           break;
         case COMMAND.CONSENSUS:
-          this._onConsensusMessageReceived(message.value.payload);
+          this._onConsensusMessageReceived(message.value.payload).catch(
+            onError,
+          );
           break;
         case COMMAND.FILTER_ADD:
           this._onFilterAddMessageReceived(peer, message.value.payload);
@@ -588,6 +821,10 @@ export default class Node implements INode {
       level: 'debug',
       index: block.index,
     });
+    await this._persistBlock(block);
+  }
+
+  async _persistBlock(block: Block, relay?: boolean): Promise<void> {
     if (
       this._blockchain.currentBlockIndex >= block.index ||
       this._tempKnownBlockHashes.has(block.hashHex)
@@ -609,9 +846,16 @@ export default class Node implements INode {
             index: block.index,
           });
           await this._blockchain.persistBlock({ block });
+          this._pruneConsensusPayloads();
+          if (this._consensus != null) {
+            this._consensus.onPersistBlock();
+          }
+          if (this._solo != null) {
+            this._solo.onPersistBlock();
+          }
 
           const peer = this._bestPeer;
-          if (peer != null && block.index > peer.data.startHeight) {
+          if (relay || (peer != null && block.index > peer.data.startHeight)) {
             this._relay(
               this._createMessage({
                 command: COMMAND.INV,
@@ -627,18 +871,62 @@ export default class Node implements INode {
         this._knownBlockHashes.add(block.hash);
         this._knownHeaderHashes.add(block.hash);
         for (const transaction of block.transactions) {
-          delete this.memPool[transaction.hashHex];
           this._knownTransactionHashes.add(transaction.hash);
         }
+        this._memPool.onPersistBlock(block);
       } finally {
         this._tempKnownBlockHashes.delete(block.hashHex);
       }
     }
   }
 
-  // TODO: Implement
-  // eslint-disable-next-line
-  _onConsensusMessageReceived(consensus: ConsensusPayload): void {}
+  async _onConsensusMessageReceived(payload: ConsensusPayload): Promise<void> {
+    if (
+      payload.blockIndex !== this._blockchain.currentBlockIndex + 1 ||
+      this._consensusPayloads[payload.hashHex] != null
+    ) {
+      return;
+    }
+
+    const validators = await this._getConsensusValidators();
+    if (!verifyConsensusPayload({ payload, validators })) {
+      this._blockchain.log({
+        event: 'CONSENSUS_PAYLOAD_INVALID',
+        level: 'debug',
+        index: payload.blockIndex,
+        validatorIndex: payload.validatorIndex,
+      });
+      return;
+    }
+
+    if (this._consensusPayloads[payload.hashHex] == null) {
+      this._relayConsensusPayload(payload);
+      if (this._consensus != null) {
+        this._consensus.onConsensusPayloadReceived(payload);
+      }
+    }
+  }
+
+  async _getConsensusValidators(): Promise<Array<ECPoint>> {
+    const { hashHex } = this._blockchain.currentBlock;
+    const consensusValidators = this._consensusValidators;
+    if (consensusValidators != null && consensusValidators.hash === hashHex) {
+      return consensusValidators.validators;
+    }
+
+    const validators = await getValidators(this._blockchain);
+    this._consensusValidators = { hash: hashHex, validators };
+
+    return validators;
+  }
+
+  _pruneConsensusPayloads(): void {
+    const { currentBlockIndex } = this._blockchain;
+    this._consensusPayloads = _.pickBy(
+      this._consensusPayloads,
+      payload => payload.blockIndex > currentBlockIndex,
+    );
+  }
 
   // eslint-disable-next-line
   _onFilterAddMessageReceived(
@@ -764,7 +1052,18 @@ export default class Node implements INode {
         );
         break;
       case 0xe0: // Consensus
-        // TODO: Implement
+        getData.hashes.forEach(hash => {
+          const payload = this._consensusPayloads[common.uInt256ToHex(hash)];
+          if (payload != null) {
+            this._sendMessage(
+              peer,
+              this._createMessage({
+                command: COMMAND.CONSENSUS,
+                payload,
+              }),
+            );
+          }
+        });
         break;
       default:
         // eslint-disable-next-line
@@ -799,6 +1098,7 @@ export default class Node implements INode {
         !this._knownHeaderHashes.has(header.hash) &&
         !this._tempKnownHeaderHashes.has(header.hashHex),
     );
+    const { currentBlockIndex } = this._blockchain;
     if (headers.length > 0) {
       for (const header of headers) {
         this._tempKnownHeaderHashes.add(header.hashHex);
@@ -815,17 +1115,22 @@ export default class Node implements INode {
       }
     }
 
+    // The blockchain rolled back onto a fork.
+    if (this._blockchain.currentBlockIndex < currentBlockIndex) {
+      this._knownBlockHashes = createScalingBloomFilter();
+      this._resetRequestBlocks();
+    }
+
     if (this._blockchain.currentHeader.index < peer.data.startHeight) {
-      this._sendMessage(
-        peer,
-        this._createMessage({
-          command: COMMAND.GET_HEADERS,
-          payload: new GetBlocksPayload({
-            hashStart: [this._blockchain.currentHeader.hash],
-          }),
-        }),
-      );
+      // An empty response means the peer does not know our best header, so
+      // it is most likely on a fork.
+      if (headersPayload.headers.length === 0) {
+        await this._requestForkHeaders(peer);
+      } else {
+        this._sendGetHeaders(peer);
+      }
     }
+    this._requestBlocks();
   }
 
   _onInvMessageReceived(
@@ -849,8 +1154,9 @@ export default class Node implements INode {
         );
         break;
       case 0xe0: // Consensus
-        // TODO: Implement
-        hashes = [];
+        hashes = inv.hashes.filter(
+          hash => this._consensusPayloads[common.uInt256ToHex(hash)] == null,
+        );
         break;
       default:
         // eslint-disable-next-line
@@ -944,32 +1250,84 @@ export default class Node implements INode {
     return headers;
   }
 
-  async _trimMemPool(): Promise<void> {
-    const memPool = utils.values(this.memPool);
-    if (memPool.length > MEM_POOL_SIZE) {
-      const transactionAndFee = await Promise.all(
-        memPool.map(async transaction => {
-          const networkFee = await transaction.getNetworkFee({
-            getOutput: this._blockchain.output.get,
-            governingToken: this._blockchain.settings.governingToken,
-            utilityToken: this._blockchain.settings.utilityToken,
-            fees: this._blockchain.settings.fees,
-          });
-          return [transaction, networkFee];
-        }),
-      );
-      const hashesToRemove = _.take(
-        _.sortBy(
-          transactionAndFee,
-          // TODO: Might be a bug since we're converting to number
-          ([transaction, networkFee]) =>
-            networkFee.divn(transaction.size).toNumber(),
-        ),
-        // eslint-disable-next-line
-      ).map(([transaction, _]) => transaction.hashHex);
-      for (const hash of hashesToRemove) {
-        delete this.memPool[hash];
+  // Transactions saved on the previous stop are verified again before they
+  // re-enter the mem pool and are relayed.
+  async _loadMemPool(): Promise<void> {
+    const memPoolPath = this._memPoolPath;
+    if (memPoolPath == null) {
+      return;
+    }
+
+    try {
+      const buffer = await new Promise((resolve, reject) => {
+        fs.readFile(memPoolPath, (error, data) => {
+          if (error != null && error.code === 'ENOENT') {
+            resolve(null);
+          } else if (error != null) {
+            reject(error);
+          } else {
+            resolve(data);
+          }
+        });
+      });
+      if (buffer == null) {
+        return;
       }
+
+      const entries = MemPool.deserializeWire({
+        context: this._blockchain.deserializeWireContext,
+        buffer,
+      });
+      this._blockchain.log({ event: 'MEM_POOL_LOAD', count: entries.length });
+      for (const { transaction, time } of entries) {
+        try {
+          // eslint-disable-next-line
+          await this.relayTransaction(transaction, time);
+        } catch (error) {
+          // Already logged by relayTransaction.
+        }
+      }
+    } catch (error) {
+      this._blockchain.log({ event: 'MEM_POOL_LOAD_ERROR', error });
+    }
+  }
+
+  async _saveMemPool(): Promise<void> {
+    const memPoolPath = this._memPoolPath;
+    if (memPoolPath == null) {
+      return;
+    }
+
+    await this._memPoolLoad;
+    try {
+      const buffer = this._memPool.serializeWire();
+      // Write next to the saved mem pool and rename over it so that a crash
+      // mid-write never leaves a truncated file behind.
+      const tmpPath = `${memPoolPath}.tmp`;
+      await new Promise((resolve, reject) => {
+        fs.writeFile(tmpPath, buffer, error => {
+          if (error != null) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+      await new Promise((resolve, reject) => {
+        fs.rename(tmpPath, memPoolPath, error => {
+          if (error != null) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+      this._blockchain.log({
+        event: 'MEM_POOL_SAVE',
+        count: this._memPool.size,
+      });
+    } catch (error) {
+      this._blockchain.log({ event: 'MEM_POOL_SAVE_ERROR', error });
     }
   }
 
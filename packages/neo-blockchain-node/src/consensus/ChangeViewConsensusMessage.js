@@ -0,0 +1,45 @@
+/* @flow */
+import {
+  type BinaryWriter,
+  type DeserializeWireBaseOptions,
+  InvalidFormatError,
+} from 'neo-blockchain-core';
+
+import { CONSENSUS_MESSAGE_TYPE } from './ConsensusMessageType';
+import ConsensusMessageBase from './ConsensusMessageBase';
+
+export type ChangeViewConsensusMessageAdd = {|
+  viewNumber: number;
+  newViewNumber: number;
+|};
+
+export default class ChangeViewConsensusMessage
+  extends ConsensusMessageBase<typeof CONSENSUS_MESSAGE_TYPE.CHANGE_VIEW> {
+  newViewNumber: number;
+
+  constructor({ viewNumber, newViewNumber }: ChangeViewConsensusMessageAdd) {
+    super({ type: CONSENSUS_MESSAGE_TYPE.CHANGE_VIEW, viewNumber });
+    this.newViewNumber = newViewNumber;
+  }
+
+  serializeWireBase(writer: BinaryWriter): void {
+    super.serializeWireBase(writer);
+    writer.writeUInt8(this.newViewNumber);
+  }
+
+  static deserializeWireBase(options: DeserializeWireBaseOptions): this {
+    const { reader } = options;
+    const { type, viewNumber } =
+      super.deserializeConsensusMessageBaseWireBase(options);
+    if (type !== CONSENSUS_MESSAGE_TYPE.CHANGE_VIEW) {
+      throw new InvalidFormatError();
+    }
+
+    const newViewNumber = reader.readUInt8();
+    if (newViewNumber === 0) {
+      throw new InvalidFormatError();
+    }
+
+    return new this({ viewNumber, newViewNumber });
+  }
+}
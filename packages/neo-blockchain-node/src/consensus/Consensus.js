@@ -0,0 +1,600 @@
+/* @flow */
+import {
+  type Block,
+  type PrivateKey,
+  type Transaction,
+  type UInt256,
+  type UInt256Hex,
+  TRANSACTION_TYPE,
+  common,
+  crypto,
+  utils,
+} from 'neo-blockchain-core';
+import type { Blockchain } from 'neo-blockchain-node-core';
+
+import _ from 'lodash';
+
+import ChangeViewConsensusMessage from './ChangeViewConsensusMessage';
+import ConsensusContext, {
+  CONSENSUS_STATE,
+  CONSENSUS_VERSION,
+} from './ConsensusContext';
+import { CONSENSUS_MESSAGE_TYPE } from './ConsensusMessageType';
+import type { ConsensusPayload } from '../payload';
+import PrepareRequestConsensusMessage from './PrepareRequestConsensusMessage';
+import PrepareResponseConsensusMessage from './PrepareResponseConsensusMessage';
+import { deserializeWire as deserializeConsensusMessageWire } from './ConsensusMessage';
+import {
+  DEFAULT_MAX_TRANSACTIONS_PER_BLOCK,
+  DEFAULT_SECONDS_PER_BLOCK,
+  createProposal,
+  getNetworkFee,
+  getValidators,
+} from './common';
+
+export type ConsensusOptions = {|
+  privateKey: PrivateKey,
+  secondsPerBlock?: number,
+  maxTransactionsPerBlock?: number,
+|};
+
+type ConsensusAdd = {|
+  blockchain: Blockchain,
+  options: ConsensusOptions,
+  getMemPool: () => { [hash: UInt256Hex]: Transaction },
+  relayConsensusPayload: (payload: ConsensusPayload) => void,
+  relayBlock: (block: Block) => Promise<void>,
+  requestTransactions: (hashes: Array<UInt256>) => void,
+|};
+
+const MAX_TIMESTAMP_DRIFT_SECONDS = 10 * 60;
+// setTimeout fires immediately for delays that do not fit in 32 bits.
+const MAX_TIMEOUT_MS = 2147483647;
+
+export default class Consensus {
+  _blockchain: Blockchain;
+  _context: ConsensusContext;
+  _secondsPerBlock: number;
+  _maxTransactionsPerBlock: number;
+  _getMemPool: () => { [hash: UInt256Hex]: Transaction };
+  _relayConsensusPayload: (payload: ConsensusPayload) => void;
+  _relayBlock: (block: Block) => Promise<void>;
+  _requestTransactions: (hashes: Array<UInt256>) => void;
+
+  _started: boolean;
+  _queue: Promise<void>;
+  _timer: ?number;
+  _timerID: number;
+  _blockReceivedTime: number;
+
+  constructor({
+    blockchain,
+    options,
+    getMemPool,
+    relayConsensusPayload,
+    relayBlock,
+    requestTransactions,
+  }: ConsensusAdd) {
+    this._blockchain = blockchain;
+    this._context = new ConsensusContext({ privateKey: options.privateKey });
+    this._secondsPerBlock =
+      options.secondsPerBlock == null
+        ? DEFAULT_SECONDS_PER_BLOCK
+        : options.secondsPerBlock;
+    this._maxTransactionsPerBlock =
+      options.maxTransactionsPerBlock == null
+        ? DEFAULT_MAX_TRANSACTIONS_PER_BLOCK
+        : options.maxTransactionsPerBlock;
+    this._getMemPool = getMemPool;
+    this._relayConsensusPayload = relayConsensusPayload;
+    this._relayBlock = relayBlock;
+    this._requestTransactions = requestTransactions;
+
+    this._started = false;
+    this._queue = Promise.resolve();
+    this._timer = null;
+    this._timerID = 0;
+    this._blockReceivedTime = Date.now();
+  }
+
+  start(): void {
+    if (this._started) {
+      return;
+    }
+    this._started = true;
+
+    this._blockchain.log({ event: 'CONSENSUS_START' });
+    this._blockReceivedTime = Date.now();
+    this._enqueue(() => this._initializeConsensus(0));
+  }
+
+  stop(): void {
+    if (!this._started) {
+      return;
+    }
+    this._started = false;
+
+    this._blockchain.log({ event: 'CONSENSUS_STOP' });
+    this._clearTimer();
+  }
+
+  onPersistBlock(): void {
+    this._blockReceivedTime = Date.now();
+    this._enqueue(() => this._initializeConsensus(0));
+  }
+
+  onTransactionReceived(transaction: Transaction): void {
+    this._enqueue(() => this._onTransactionReceived(transaction));
+  }
+
+  onConsensusPayloadReceived(payload: ConsensusPayload): void {
+    this._enqueue(() => this._onConsensusPayloadReceived(payload));
+  }
+
+  _enqueue(func: () => Promise<void>): void {
+    this._queue = this._queue
+      .then(() => (this._started ? func() : Promise.resolve()))
+      .catch(error => {
+        this._blockchain.log({ event: 'CONSENSUS_ERROR', error });
+      });
+  }
+
+  _setTimer(timeoutMS: number): void {
+    this._clearTimer();
+    const timerID = this._timerID;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._enqueue(() => this._onTimeout(timerID));
+    }, Math.min(Math.max(0, timeoutMS), MAX_TIMEOUT_MS));
+  }
+
+  _clearTimer(): void {
+    this._timerID += 1;
+    if (this._timer != null) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  _getViewTimeoutMS(viewNumber: number): number {
+    return this._secondsPerBlock * 1000 * 2 ** (viewNumber + 1);
+  }
+
+  async _initializeConsensus(viewNumber: number): Promise<void> {
+    const context = this._context;
+    if (viewNumber === 0) {
+      const block = this._blockchain.currentBlock;
+      const validators = await getValidators(this._blockchain);
+      context.reset({
+        previousHash: block.hash,
+        blockIndex: block.index + 1,
+        validators,
+      });
+    } else {
+      context.changeView(viewNumber);
+    }
+
+    if (context.myIndex < 0) {
+      this._clearTimer();
+      return;
+    }
+
+    this._blockchain.log({
+      event: 'CONSENSUS_INITIALIZE',
+      index: context.blockIndex,
+      view: viewNumber,
+      primaryIndex: context.primaryIndex,
+      myIndex: context.myIndex,
+    });
+    if (context.myIndex === context.primaryIndex) {
+      // eslint-disable-next-line
+      context.state |= CONSENSUS_STATE.PRIMARY;
+      this._setTimer(
+        this._secondsPerBlock * 1000 - (Date.now() - this._blockReceivedTime),
+      );
+    } else {
+      context.state = CONSENSUS_STATE.BACKUP;
+      this._setTimer(this._getViewTimeoutMS(viewNumber));
+    }
+  }
+
+  async _onTimeout(timerID: number): Promise<void> {
+    const context = this._context;
+    if (timerID !== this._timerID) {
+      return;
+    }
+
+    this._blockchain.log({
+      event: 'CONSENSUS_TIMEOUT',
+      level: 'debug',
+      index: context.blockIndex,
+      view: context.viewNumber,
+    });
+    if (
+      context.hasState(CONSENSUS_STATE.PRIMARY) &&
+      !context.hasState(CONSENSUS_STATE.REQUEST_SENT)
+    ) {
+      // eslint-disable-next-line
+      context.state |= CONSENSUS_STATE.REQUEST_SENT;
+      if (!context.hasState(CONSENSUS_STATE.SIGNATURE_SENT)) {
+        await createProposal({
+          blockchain: this._blockchain,
+          context,
+          memPool: this._getMemPool(),
+          maxTransactionsPerBlock: this._maxTransactionsPerBlock,
+        });
+        context.signatures[context.myIndex] = context.signHeader();
+        // eslint-disable-next-line
+        context.state |= CONSENSUS_STATE.SIGNATURE_SENT;
+      }
+      this._blockchain.log({
+        event: 'CONSENSUS_SEND_PREPARE_REQUEST',
+        index: context.blockIndex,
+        view: context.viewNumber,
+      });
+      this._relayConsensusPayload(context.makePrepareRequest());
+      this._setTimer(this._getViewTimeoutMS(context.viewNumber));
+      // With a single validator the primary's signature is enough.
+      await this._checkSignatures();
+    } else if (
+      context.hasState(CONSENSUS_STATE.PRIMARY) ||
+      context.hasState(CONSENSUS_STATE.BACKUP)
+    ) {
+      await this._requestChangeView();
+    }
+  }
+
+  async _requestChangeView(): Promise<void> {
+    const context = this._context;
+    // eslint-disable-next-line
+    context.state |= CONSENSUS_STATE.VIEW_CHANGING;
+    context.expectedView[context.myIndex] += 1;
+    const newViewNumber = context.expectedView[context.myIndex];
+    this._blockchain.log({
+      event: 'CONSENSUS_REQUEST_CHANGE_VIEW',
+      index: context.blockIndex,
+      view: context.viewNumber,
+      newView: newViewNumber,
+    });
+    this._setTimer(this._getViewTimeoutMS(newViewNumber));
+    this._relayConsensusPayload(context.makeChangeView());
+    await this._checkExpectedView(newViewNumber);
+  }
+
+  async _checkExpectedView(viewNumber: number): Promise<void> {
+    const context = this._context;
+    if (context.viewNumber === viewNumber) {
+      return;
+    }
+
+    if (
+      context.expectedView.filter(value => value === viewNumber).length >=
+      context.M
+    ) {
+      await this._initializeConsensus(viewNumber);
+    }
+  }
+
+  async _onConsensusPayloadReceived(payload: ConsensusPayload): Promise<void> {
+    const context = this._context;
+    if (
+      context.myIndex < 0 ||
+      context.hasState(CONSENSUS_STATE.BLOCK_SENT) ||
+      payload.validatorIndex === context.myIndex ||
+      payload.validatorIndex >= context.validators.length ||
+      payload.version !== CONSENSUS_VERSION ||
+      payload.blockIndex !== context.blockIndex ||
+      !common.uInt256Equal(payload.previousHash, context.previousHash)
+    ) {
+      return;
+    }
+
+    let message;
+    try {
+      message = deserializeConsensusMessageWire({
+        context: this._blockchain.deserializeWireContext,
+        buffer: payload.data,
+      });
+    } catch (error) {
+      this._blockchain.log({
+        event: 'CONSENSUS_INVALID_MESSAGE',
+        index: payload.blockIndex,
+        validatorIndex: payload.validatorIndex,
+        error,
+      });
+      return;
+    }
+
+    if (
+      message.viewNumber !== context.viewNumber &&
+      message.type !== CONSENSUS_MESSAGE_TYPE.CHANGE_VIEW
+    ) {
+      return;
+    }
+
+    // Message types are plain numbers to Flow, so we refine by class.
+    if (message instanceof ChangeViewConsensusMessage) {
+      await this._onChangeViewReceived(payload, message);
+    } else if (message instanceof PrepareRequestConsensusMessage) {
+      await this._onPrepareRequestReceived(payload, message);
+    } else if (message instanceof PrepareResponseConsensusMessage) {
+      await this._onPrepareResponseReceived(payload, message);
+    }
+  }
+
+  async _onChangeViewReceived(
+    payload: ConsensusPayload,
+    message: ChangeViewConsensusMessage,
+  ): Promise<void> {
+    const context = this._context;
+    if (message.newViewNumber <= context.expectedView[payload.validatorIndex]) {
+      return;
+    }
+
+    this._blockchain.log({
+      event: 'CONSENSUS_CHANGE_VIEW_RECEIVED',
+      index: payload.blockIndex,
+      validatorIndex: payload.validatorIndex,
+      view: message.viewNumber,
+      newView: message.newViewNumber,
+    });
+    context.expectedView[payload.validatorIndex] = message.newViewNumber;
+    await this._checkExpectedView(message.newViewNumber);
+  }
+
+  async _onPrepareRequestReceived(
+    payload: ConsensusPayload,
+    message: PrepareRequestConsensusMessage,
+  ): Promise<void> {
+    const context = this._context;
+    if (
+      context.hasState(CONSENSUS_STATE.REQUEST_RECEIVED) ||
+      payload.validatorIndex !== context.primaryIndex
+    ) {
+      return;
+    }
+
+    const previousHeader = await this._blockchain.header.get({
+      hashOrIndex: context.previousHash,
+    });
+    if (
+      payload.timestamp <= previousHeader.timestamp ||
+      payload.timestamp >
+        Math.round(Date.now() / 1000) + MAX_TIMESTAMP_DRIFT_SECONDS
+    ) {
+      this._blockchain.log({
+        event: 'CONSENSUS_INVALID_TIMESTAMP',
+        index: payload.blockIndex,
+        validatorIndex: payload.validatorIndex,
+        timestamp: payload.timestamp,
+      });
+      return;
+    }
+
+    this._blockchain.log({
+      event: 'CONSENSUS_PREPARE_REQUEST_RECEIVED',
+      index: payload.blockIndex,
+      validatorIndex: payload.validatorIndex,
+      view: message.viewNumber,
+      transactions: message.transactionHashes.length,
+    });
+    // eslint-disable-next-line
+    context.state |= CONSENSUS_STATE.REQUEST_RECEIVED;
+    context.setProposal({
+      timestamp: payload.timestamp,
+      nonce: message.nonce,
+      nextConsensus: message.nextConsensus,
+      transactionHashes: message.transactionHashes,
+    });
+    if (
+      !context.verifyHeaderSignature(payload.validatorIndex, message.signature)
+    ) {
+      return;
+    }
+
+    context.signatures = context.validators.map(() => null);
+    context.signatures[payload.validatorIndex] = message.signature;
+    if (message.transactionHashes.length > this._maxTransactionsPerBlock) {
+      this._blockchain.log({
+        event: 'CONSENSUS_TOO_MANY_TRANSACTIONS',
+        index: payload.blockIndex,
+        transactions: message.transactionHashes.length,
+      });
+      await this._requestChangeView();
+      return;
+    }
+
+    const memPool = this._getMemPool();
+    for (const hash of message.transactionHashes.slice(1)) {
+      const transaction = memPool[common.uInt256ToHex(hash)];
+      if (
+        transaction != null &&
+        // eslint-disable-next-line
+        !await this._addTransaction(transaction, false)
+      ) {
+        return;
+      }
+    }
+    if (!await this._addTransaction(message.minerTransaction, true)) {
+      return;
+    }
+
+    const missingHashes = message.transactionHashes.filter(
+      hash => context.transactions[common.uInt256ToHex(hash)] == null,
+    );
+    if (missingHashes.length > 0) {
+      this._blockchain.log({
+        event: 'CONSENSUS_REQUEST_TRANSACTIONS',
+        index: payload.blockIndex,
+        count: missingHashes.length,
+      });
+      this._requestTransactions(missingHashes);
+    }
+  }
+
+  async _onPrepareResponseReceived(
+    payload: ConsensusPayload,
+    message: PrepareResponseConsensusMessage,
+  ): Promise<void> {
+    const context = this._context;
+    if (
+      context.signatures[payload.validatorIndex] != null ||
+      !context.verifyHeaderSignature(payload.validatorIndex, message.signature)
+    ) {
+      return;
+    }
+
+    this._blockchain.log({
+      event: 'CONSENSUS_PREPARE_RESPONSE_RECEIVED',
+      index: payload.blockIndex,
+      validatorIndex: payload.validatorIndex,
+      view: message.viewNumber,
+    });
+    context.signatures[payload.validatorIndex] = message.signature;
+    await this._checkSignatures();
+  }
+
+  async _onTransactionReceived(transaction: Transaction): Promise<void> {
+    const context = this._context;
+    const { transactionHashes } = context;
+    if (
+      transaction.type === TRANSACTION_TYPE.MINER ||
+      transactionHashes == null ||
+      !context.hasState(CONSENSUS_STATE.BACKUP) ||
+      !context.hasState(CONSENSUS_STATE.REQUEST_RECEIVED) ||
+      context.hasState(CONSENSUS_STATE.SIGNATURE_SENT) ||
+      context.hasState(CONSENSUS_STATE.VIEW_CHANGING) ||
+      context.hasState(CONSENSUS_STATE.BLOCK_SENT) ||
+      context.transactions[transaction.hashHex] != null ||
+      !transactionHashes.some(hash =>
+        common.uInt256Equal(hash, transaction.hash),
+      )
+    ) {
+      return;
+    }
+
+    await this._addTransaction(transaction, true);
+  }
+
+  async _addTransaction(
+    transaction: Transaction,
+    verify: boolean,
+  ): Promise<boolean> {
+    const context = this._context;
+    const { transactionHashes } = context;
+    if (transactionHashes == null) {
+      return false;
+    }
+
+    let valid =
+      (await this._blockchain.transaction.tryGet({
+        hash: transaction.hash,
+      })) == null;
+    if (valid && verify) {
+      try {
+        await this._blockchain.verifyTransaction({
+          transaction,
+          memPool: utils.values(context.transactions),
+        });
+      } catch (error) {
+        valid = false;
+      }
+    }
+    if (!valid) {
+      this._blockchain.log({
+        event: 'CONSENSUS_INVALID_TRANSACTION',
+        index: context.blockIndex,
+        hash: common.uInt256ToString(transaction.hash),
+      });
+      await this._requestChangeView();
+      return false;
+    }
+
+    context.transactions[transaction.hashHex] = transaction;
+    if (_.size(context.transactions) === transactionHashes.length) {
+      const transactions = utils.values(context.transactions);
+      const minerTransaction = transactions.find(
+        value => value.type === TRANSACTION_TYPE.MINER,
+      );
+      const networkFee = await getNetworkFee(this._blockchain, transactions);
+      if (
+        minerTransaction == null ||
+        !networkFee.eq(
+          minerTransaction.outputs.reduce(
+            (acc, output) => acc.add(output.value),
+            utils.ZERO,
+          ),
+        )
+      ) {
+        this._blockchain.log({
+          event: 'CONSENSUS_INVALID_MINER_TRANSACTION',
+          index: context.blockIndex,
+        });
+        await this._requestChangeView();
+        return false;
+      }
+
+      const validators = await this._blockchain.getValidators(transactions);
+      if (
+        !common.uInt160Equal(
+          crypto.getConsensusAddress(validators),
+          context.nextConsensus,
+        )
+      ) {
+        this._blockchain.log({
+          event: 'CONSENSUS_INVALID_NEXT_CONSENSUS',
+          index: context.blockIndex,
+        });
+        await this._requestChangeView();
+        return false;
+      }
+
+      const signature = context.signHeader();
+      if (signature != null) {
+        context.signatures[context.myIndex] = signature;
+        // eslint-disable-next-line
+        context.state |= CONSENSUS_STATE.SIGNATURE_SENT;
+        this._blockchain.log({
+          event: 'CONSENSUS_SEND_PREPARE_RESPONSE',
+          index: context.blockIndex,
+          view: context.viewNumber,
+        });
+        this._relayConsensusPayload(context.makePrepareResponse(signature));
+        await this._checkSignatures();
+      }
+    }
+
+    return true;
+  }
+
+  async _checkSignatures(): Promise<void> {
+    const context = this._context;
+    if (
+      context.signatures.filter(signature => signature != null).length <
+      context.M
+    ) {
+      return;
+    }
+
+    const block = context.makeBlock();
+    if (block == null) {
+      return;
+    }
+
+    // eslint-disable-next-line
+    context.state |= CONSENSUS_STATE.BLOCK_SENT;
+    this._blockchain.log({
+      event: 'CONSENSUS_RELAY_BLOCK',
+      index: block.index,
+      hash: common.uInt256ToString(block.hash),
+    });
+    this._relayBlock(block).catch(error => {
+      this._blockchain.log({
+        event: 'CONSENSUS_RELAY_BLOCK_ERROR',
+        index: block.index,
+        hash: common.uInt256ToString(block.hash),
+        error,
+      });
+    });
+  }
+}
@@ -0,0 +1,314 @@
+/* @flow */
+import {
+  type ECPoint,
+  type PrivateKey,
+  type Transaction,
+  type UInt160,
+  type UInt256,
+  type UInt256Hex,
+  Block,
+  Header,
+  MerkleTree,
+  MinerTransaction,
+  ScriptBuilder,
+  Witness,
+  common,
+  crypto,
+  utils,
+} from 'neo-blockchain-core';
+import type BN from 'bn.js';
+
+import ChangeViewConsensusMessage from './ChangeViewConsensusMessage';
+import { ConsensusPayload } from '../payload';
+import { type ConsensusMessage } from './ConsensusMessage';
+import PrepareRequestConsensusMessage from './PrepareRequestConsensusMessage';
+import PrepareResponseConsensusMessage from './PrepareResponseConsensusMessage';
+
+export const CONSENSUS_STATE = {
+  INITIAL: 0x00,
+  PRIMARY: 0x01,
+  BACKUP: 0x02,
+  REQUEST_SENT: 0x04,
+  REQUEST_RECEIVED: 0x08,
+  SIGNATURE_SENT: 0x10,
+  BLOCK_SENT: 0x20,
+  VIEW_CHANGING: 0x40,
+};
+
+export const CONSENSUS_VERSION = 0;
+
+export default class ConsensusContext {
+  state: number;
+  previousHash: UInt256;
+  blockIndex: number;
+  viewNumber: number;
+  validators: Array<ECPoint>;
+  myIndex: number;
+  primaryIndex: number;
+  timestamp: number;
+  nonce: BN;
+  nextConsensus: UInt160;
+  transactionHashes: ?Array<UInt256>;
+  transactions: { [hash: UInt256Hex]: Transaction };
+  signatures: Array<?Buffer>;
+  expectedView: Array<number>;
+
+  _privateKey: PrivateKey;
+  _publicKey: ECPoint;
+  _header: ?Header;
+
+  constructor({ privateKey }: {| privateKey: PrivateKey |}) {
+    this._privateKey = privateKey;
+    this._publicKey = crypto.getPublicKey(privateKey);
+
+    this.state = CONSENSUS_STATE.INITIAL;
+    this.previousHash = common.ZERO_UINT256;
+    this.blockIndex = 0;
+    this.viewNumber = 0;
+    this.validators = [];
+    this.myIndex = -1;
+    this.primaryIndex = 0;
+    this.timestamp = 0;
+    this.nonce = utils.ZERO;
+    this.nextConsensus = common.ZERO_UINT160;
+    this.transactionHashes = null;
+    this.transactions = {};
+    this.signatures = [];
+    this.expectedView = [];
+    this._header = null;
+  }
+
+  get M(): number {
+    return (
+      this.validators.length - Math.floor((this.validators.length - 1) / 3)
+    );
+  }
+
+  get privateKey(): PrivateKey {
+    return this._privateKey;
+  }
+
+  hasState(state: number): boolean {
+    // eslint-disable-next-line
+    return (this.state & state) !== 0;
+  }
+
+  reset({
+    previousHash,
+    blockIndex,
+    validators,
+  }: {|
+    previousHash: UInt256,
+    blockIndex: number,
+    validators: Array<ECPoint>,
+  |}): void {
+    this.state = CONSENSUS_STATE.INITIAL;
+    this.previousHash = previousHash;
+    this.blockIndex = blockIndex;
+    this.viewNumber = 0;
+    this.validators = validators;
+    this.myIndex = validators.findIndex(validator =>
+      common.ecPointEqual(validator, this._publicKey),
+    );
+    this.primaryIndex = this.getPrimaryIndex(0);
+    this.transactionHashes = null;
+    this.transactions = {};
+    this.signatures = validators.map(() => null);
+    this.expectedView = validators.map(() => 0);
+    this._header = null;
+  }
+
+  changeView(viewNumber: number): void {
+    // eslint-disable-next-line
+    this.state &= CONSENSUS_STATE.SIGNATURE_SENT;
+    this.viewNumber = viewNumber;
+    this.primaryIndex = this.getPrimaryIndex(viewNumber);
+    if (this.state === CONSENSUS_STATE.INITIAL) {
+      this.transactionHashes = null;
+      this.signatures = this.validators.map(() => null);
+    }
+    this._header = null;
+  }
+
+  getPrimaryIndex(viewNumber: number): number {
+    const primaryIndex =
+      (this.blockIndex - viewNumber) % this.validators.length;
+
+    return primaryIndex >= 0
+      ? primaryIndex
+      : primaryIndex + this.validators.length;
+  }
+
+  setProposal({
+    timestamp,
+    nonce,
+    nextConsensus,
+    transactionHashes,
+  }: {|
+    timestamp: number,
+    nonce: BN,
+    nextConsensus: UInt160,
+    transactionHashes: Array<UInt256>,
+  |}): void {
+    this.timestamp = timestamp;
+    this.nonce = nonce;
+    this.nextConsensus = nextConsensus;
+    this.transactionHashes = transactionHashes;
+    this.transactions = {};
+    this._header = null;
+  }
+
+  makeHeader(): ?Header {
+    const { transactionHashes } = this;
+    if (transactionHashes == null) {
+      return null;
+    }
+
+    if (this._header == null) {
+      this._header = new Header({
+        previousHash: this.previousHash,
+        merkleRoot: MerkleTree.computeRoot(transactionHashes),
+        timestamp: this.timestamp,
+        index: this.blockIndex,
+        consensusData: this.nonce,
+        nextConsensus: this.nextConsensus,
+        script: new Witness({
+          invocation: Buffer.alloc(0, 0),
+          verification: Buffer.alloc(0, 0),
+        }),
+      });
+    }
+
+    return this._header;
+  }
+
+  signHeader(): ?Buffer {
+    const header = this.makeHeader();
+    if (header == null) {
+      return null;
+    }
+
+    return crypto.sign({
+      message: header.message,
+      privateKey: this._privateKey,
+    });
+  }
+
+  verifyHeaderSignature(validatorIndex: number, signature: Buffer): boolean {
+    const header = this.makeHeader();
+    if (header == null) {
+      return false;
+    }
+
+    try {
+      return crypto.verify({
+        message: header.message,
+        signature,
+        publicKey: common.ecPointToBuffer(this.validators[validatorIndex]),
+      });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  makeBlock(): ?Block {
+    const { transactionHashes } = this;
+    if (transactionHashes == null) {
+      return null;
+    }
+
+    const transactions = transactionHashes.map(
+      hash => this.transactions[common.uInt256ToHex(hash)],
+    );
+    if (transactions.some(transaction => transaction == null)) {
+      return null;
+    }
+
+    const builder = new ScriptBuilder();
+    let count = 0;
+    for (const signature of this.signatures) {
+      if (signature != null && count < this.M) {
+        builder.emitPush(signature);
+        count += 1;
+      }
+    }
+
+    return new Block({
+      previousHash: this.previousHash,
+      timestamp: this.timestamp,
+      index: this.blockIndex,
+      consensusData: this.nonce,
+      nextConsensus: this.nextConsensus,
+      script: new Witness({
+        invocation: builder.build(),
+        verification: crypto.createMultiSignatureRedeemScript(
+          this.M,
+          this.validators,
+        ),
+      }),
+      transactions,
+    });
+  }
+
+  makePayload(message: ConsensusMessage): ConsensusPayload {
+    const payload = new ConsensusPayload({
+      version: CONSENSUS_VERSION,
+      previousHash: this.previousHash,
+      blockIndex: this.blockIndex,
+      validatorIndex: this.myIndex,
+      timestamp: this.timestamp,
+      data: message.serializeWire(),
+      script: new Witness({
+        invocation: Buffer.alloc(0, 0),
+        verification: Buffer.alloc(0, 0),
+      }),
+    });
+
+    return payload.clone(
+      crypto.createWitness(payload.message, this._privateKey),
+    );
+  }
+
+  makeChangeView(): ConsensusPayload {
+    return this.makePayload(
+      new ChangeViewConsensusMessage({
+        viewNumber: this.viewNumber,
+        newViewNumber: this.expectedView[this.myIndex],
+      }),
+    );
+  }
+
+  makePrepareRequest(): ConsensusPayload {
+    const { transactionHashes } = this;
+    const signature = this.signatures[this.myIndex];
+    if (transactionHashes == null || signature == null) {
+      throw new Error('Cannot make a prepare request without a proposal.');
+    }
+    const minerTransaction = this.transactions[
+      common.uInt256ToHex(transactionHashes[0])
+    ];
+    if (!(minerTransaction instanceof MinerTransaction)) {
+      throw new Error('Expected a miner transaction.');
+    }
+
+    return this.makePayload(
+      new PrepareRequestConsensusMessage({
+        viewNumber: this.viewNumber,
+        nonce: this.nonce,
+        nextConsensus: this.nextConsensus,
+        transactionHashes,
+        minerTransaction,
+        signature,
+      }),
+    );
+  }
+
+  makePrepareResponse(signature: Buffer): ConsensusPayload {
+    return this.makePayload(
+      new PrepareResponseConsensusMessage({
+        viewNumber: this.viewNumber,
+        signature,
+      }),
+    );
+  }
+}
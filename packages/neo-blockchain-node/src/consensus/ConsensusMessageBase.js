@@ -0,0 +1,60 @@
+/* @flow */
+import {
+  type BinaryWriter,
+  type DeserializeWireBaseOptions,
+  type DeserializeWireOptions,
+  type SerializeWire,
+  BinaryReader,
+  createSerializeWire,
+} from 'neo-blockchain-core';
+
+import {
+  type ConsensusMessageType,
+  assertConsensusMessageType,
+} from './ConsensusMessageType';
+
+export type ConsensusMessageBaseAdd<Type: ConsensusMessageType> = {|
+  type: Type;
+  viewNumber: number;
+|};
+
+export default class ConsensusMessageBase<Type: ConsensusMessageType> {
+  type: Type;
+  viewNumber: number;
+
+  constructor({ type, viewNumber }: ConsensusMessageBaseAdd<Type>) {
+    this.type = type;
+    this.viewNumber = viewNumber;
+  }
+
+  serializeWireBase(writer: BinaryWriter): void {
+    writer.writeUInt8(this.type);
+    writer.writeUInt8(this.viewNumber);
+  }
+
+  serializeWire: SerializeWire = createSerializeWire(this.serializeWireBase.bind(this));
+
+  static deserializeConsensusMessageBaseWireBase({
+    reader,
+  }: DeserializeWireBaseOptions): {|
+    type: ConsensusMessageType,
+    viewNumber: number,
+  |} {
+    const type = assertConsensusMessageType(reader.readUInt8());
+    const viewNumber = reader.readUInt8();
+
+    return { type, viewNumber };
+  }
+
+  // eslint-disable-next-line
+  static deserializeWireBase(options: DeserializeWireBaseOptions): this {
+    throw new Error('Not Implemented');
+  }
+
+  static deserializeWire(options: DeserializeWireOptions): this {
+    return this.deserializeWireBase({
+      context: options.context,
+      reader: new BinaryReader(options.buffer),
+    });
+  }
+}
@@ -0,0 +1,34 @@
+/* @flow */
+export const CONSENSUS_MESSAGE_TYPE = {
+  CHANGE_VIEW: 0x00,
+  PREPARE_REQUEST: 0x20,
+  PREPARE_RESPONSE: 0x21,
+};
+export type ConsensusMessageType =
+  0x00 |
+  0x20 |
+  0x21;
+
+export class InvalidConsensusMessageTypeError extends Error {
+  consensusMessageType: number;
+
+  constructor(consensusMessageType: number) {
+    super(`Expected consensus message type, found: ${consensusMessageType}`);
+    this.consensusMessageType = consensusMessageType;
+  }
+}
+
+export const assertConsensusMessageType = (
+  consensusMessageType: number,
+): ConsensusMessageType => {
+  switch (consensusMessageType) {
+    case CONSENSUS_MESSAGE_TYPE.CHANGE_VIEW:
+      return CONSENSUS_MESSAGE_TYPE.CHANGE_VIEW;
+    case CONSENSUS_MESSAGE_TYPE.PREPARE_REQUEST:
+      return CONSENSUS_MESSAGE_TYPE.PREPARE_REQUEST;
+    case CONSENSUS_MESSAGE_TYPE.PREPARE_RESPONSE:
+      return CONSENSUS_MESSAGE_TYPE.PREPARE_RESPONSE;
+    default:
+      throw new InvalidConsensusMessageTypeError(consensusMessageType);
+  }
+};
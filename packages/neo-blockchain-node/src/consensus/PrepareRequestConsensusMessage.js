@@ -0,0 +1,97 @@
+/* @flow */
+import {
+  type BinaryWriter,
+  type DeserializeWireBaseOptions,
+  type UInt160,
+  type UInt256,
+  InvalidFormatError,
+  MinerTransaction,
+  common,
+} from 'neo-blockchain-core';
+import type BN from 'bn.js';
+
+import _ from 'lodash';
+
+import { CONSENSUS_MESSAGE_TYPE } from './ConsensusMessageType';
+import ConsensusMessageBase from './ConsensusMessageBase';
+
+export type PrepareRequestConsensusMessageAdd = {|
+  viewNumber: number;
+  nonce: BN;
+  nextConsensus: UInt160;
+  transactionHashes: Array<UInt256>;
+  minerTransaction: MinerTransaction;
+  signature: Buffer;
+|};
+
+export default class PrepareRequestConsensusMessage
+  extends ConsensusMessageBase<typeof CONSENSUS_MESSAGE_TYPE.PREPARE_REQUEST> {
+  nonce: BN;
+  nextConsensus: UInt160;
+  transactionHashes: Array<UInt256>;
+  minerTransaction: MinerTransaction;
+  signature: Buffer;
+
+  constructor({
+    viewNumber,
+    nonce,
+    nextConsensus,
+    transactionHashes,
+    minerTransaction,
+    signature,
+  }: PrepareRequestConsensusMessageAdd) {
+    super({ type: CONSENSUS_MESSAGE_TYPE.PREPARE_REQUEST, viewNumber });
+    this.nonce = nonce;
+    this.nextConsensus = nextConsensus;
+    this.transactionHashes = transactionHashes;
+    this.minerTransaction = minerTransaction;
+    this.signature = signature;
+  }
+
+  serializeWireBase(writer: BinaryWriter): void {
+    super.serializeWireBase(writer);
+    writer.writeUInt64LE(this.nonce);
+    writer.writeUInt160(this.nextConsensus);
+    writer.writeArray(this.transactionHashes, (value) => {
+      writer.writeUInt256(value);
+    });
+    this.minerTransaction.serializeWireBase(writer);
+    writer.writeBytes(this.signature);
+  }
+
+  static deserializeWireBase(options: DeserializeWireBaseOptions): this {
+    const { reader } = options;
+    const { type, viewNumber } =
+      super.deserializeConsensusMessageBaseWireBase(options);
+    if (type !== CONSENSUS_MESSAGE_TYPE.PREPARE_REQUEST) {
+      throw new InvalidFormatError();
+    }
+
+    const nonce = reader.readUInt64LE();
+    const nextConsensus = reader.readUInt160();
+    const transactionHashes = reader.readArray(() => reader.readUInt256());
+    if (
+      transactionHashes.length === 0 ||
+      _.uniqBy(transactionHashes, (hash) => common.uInt256ToHex(hash))
+        .length !== transactionHashes.length
+    ) {
+      throw new InvalidFormatError();
+    }
+
+    const minerTransaction = MinerTransaction.deserializeWireBase(options);
+    if (!common.uInt256Equal(minerTransaction.hash, transactionHashes[0])) {
+      throw new InvalidFormatError();
+    }
+
+    const signature = reader.readBytes(64);
+
+    return new this({
+      viewNumber,
+      nonce,
+      nextConsensus,
+      transactionHashes,
+      minerTransaction,
+      signature,
+    });
+  }
+}
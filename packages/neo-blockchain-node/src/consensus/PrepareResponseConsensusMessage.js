@@ -0,0 +1,42 @@
+/* @flow */
+import {
+  type BinaryWriter,
+  type DeserializeWireBaseOptions,
+  InvalidFormatError,
+} from 'neo-blockchain-core';
+
+import { CONSENSUS_MESSAGE_TYPE } from './ConsensusMessageType';
+import ConsensusMessageBase from './ConsensusMessageBase';
+
+export type PrepareResponseConsensusMessageAdd = {|
+  viewNumber: number;
+  signature: Buffer;
+|};
+
+export default class PrepareResponseConsensusMessage
+  extends ConsensusMessageBase<typeof CONSENSUS_MESSAGE_TYPE.PREPARE_RESPONSE> {
+  signature: Buffer;
+
+  constructor({ viewNumber, signature }: PrepareResponseConsensusMessageAdd) {
+    super({ type: CONSENSUS_MESSAGE_TYPE.PREPARE_RESPONSE, viewNumber });
+    this.signature = signature;
+  }
+
+  serializeWireBase(writer: BinaryWriter): void {
+    super.serializeWireBase(writer);
+    writer.writeBytes(this.signature);
+  }
+
+  static deserializeWireBase(options: DeserializeWireBaseOptions): this {
+    const { reader } = options;
+    const { type, viewNumber } =
+      super.deserializeConsensusMessageBaseWireBase(options);
+    if (type !== CONSENSUS_MESSAGE_TYPE.PREPARE_RESPONSE) {
+      throw new InvalidFormatError();
+    }
+
+    const signature = reader.readBytes(64);
+
+    return new this({ viewNumber, signature });
+  }
+}
@@ -0,0 +1,191 @@
+/* @flow */
+import {
+  type Block,
+  type PrivateKey,
+  type Transaction,
+  type UInt256Hex,
+  common,
+} from 'neo-blockchain-core';
+import type { Blockchain } from 'neo-blockchain-node-core';
+
+import ConsensusContext from './ConsensusContext';
+import {
+  InvalidSoloValidatorError,
+  SoloBlockNotPersistedError,
+} from '../errors';
+import {
+  DEFAULT_MAX_TRANSACTIONS_PER_BLOCK,
+  DEFAULT_SECONDS_PER_BLOCK,
+  createProposal,
+  getValidators,
+} from './common';
+
+export type SoloOptions = {|
+  privateKey: PrivateKey,
+  secondsPerBlock?: number,
+  maxTransactionsPerBlock?: number,
+|};
+
+type SoloAdd = {|
+  blockchain: Blockchain,
+  options: SoloOptions,
+  getMemPool: () => { [hash: UInt256Hex]: Transaction },
+  relayBlock: (block: Block) => Promise<void>,
+|};
+
+export default class Solo {
+  _blockchain: Blockchain;
+  _privateKey: PrivateKey;
+  _secondsPerBlock: number;
+  _maxTransactionsPerBlock: number;
+  _getMemPool: () => { [hash: UInt256Hex]: Transaction };
+  _relayBlock: (block: Block) => Promise<void>;
+
+  _started: boolean;
+  _queue: Promise<void>;
+  _timer: ?number;
+
+  constructor({ blockchain, options, getMemPool, relayBlock }: SoloAdd) {
+    this._blockchain = blockchain;
+    this._privateKey = options.privateKey;
+    this._secondsPerBlock =
+      options.secondsPerBlock == null
+        ? DEFAULT_SECONDS_PER_BLOCK
+        : options.secondsPerBlock;
+    this._maxTransactionsPerBlock =
+      options.maxTransactionsPerBlock == null
+        ? DEFAULT_MAX_TRANSACTIONS_PER_BLOCK
+        : options.maxTransactionsPerBlock;
+    this._getMemPool = getMemPool;
+    this._relayBlock = relayBlock;
+
+    this._started = false;
+    this._queue = Promise.resolve();
+    this._timer = null;
+  }
+
+  start(): void {
+    if (this._started) {
+      return;
+    }
+    this._started = true;
+
+    this._blockchain.log({
+      event: 'SOLO_START',
+      secondsPerBlock: this._secondsPerBlock,
+    });
+    this._setTimer();
+  }
+
+  stop(): void {
+    if (!this._started) {
+      return;
+    }
+    this._started = false;
+
+    this._blockchain.log({ event: 'SOLO_STOP' });
+    this._clearTimer();
+  }
+
+  onPersistBlock(): void {
+    if (this._started) {
+      this._setTimer();
+    }
+  }
+
+  generateBlocks(count: number): Promise<Array<Block>> {
+    return this._enqueue(async () => {
+      const blocks = [];
+      for (let i = 0; i < count; i += 1) {
+        // eslint-disable-next-line
+        blocks.push(await this._produceBlock());
+      }
+
+      return blocks;
+    });
+  }
+
+  _enqueue<T>(func: () => Promise<T>): Promise<T> {
+    const result = this._queue.then(func);
+    this._queue = result.then(() => {}, () => {});
+
+    return result;
+  }
+
+  _setTimer(): void {
+    this._clearTimer();
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.generateBlocks(1)
+        .catch(() => {
+          // Errors are logged when producing the block.
+        })
+        .then(() => {
+          if (this._started && this._timer == null) {
+            this._setTimer();
+          }
+        });
+    }, this._secondsPerBlock * 1000);
+  }
+
+  _clearTimer(): void {
+    if (this._timer != null) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  async _produceBlock(): Promise<Block> {
+    const { currentBlock } = this._blockchain;
+    try {
+      const context = new ConsensusContext({ privateKey: this._privateKey });
+      context.reset({
+        previousHash: currentBlock.hash,
+        blockIndex: currentBlock.index + 1,
+        validators: await getValidators(this._blockchain),
+      });
+      if (context.myIndex < 0 || context.M !== 1) {
+        throw new InvalidSoloValidatorError();
+      }
+
+      await createProposal({
+        blockchain: this._blockchain,
+        context,
+        memPool: this._getMemPool(),
+        maxTransactionsPerBlock: this._maxTransactionsPerBlock,
+      });
+      context.signatures[context.myIndex] = context.signHeader();
+      const block = context.makeBlock();
+      if (block == null) {
+        throw new Error('Failed to create block.');
+      }
+
+      await this._relayBlock(block);
+      // The node skips blocks at a height it already persisted, so check
+      // that ours made it rather than assuming it did.
+      const persistedBlock = await this._blockchain.block.tryGet({
+        hashOrIndex: block.hash,
+      });
+      if (persistedBlock == null) {
+        throw new SoloBlockNotPersistedError(block);
+      }
+
+      this._blockchain.log({
+        event: 'SOLO_PRODUCE_BLOCK_SUCCESS',
+        index: block.index,
+        hash: common.uInt256ToString(block.hash),
+        transactions: block.transactions.length,
+      });
+
+      return block;
+    } catch (error) {
+      this._blockchain.log({
+        event: 'SOLO_PRODUCE_BLOCK_ERROR',
+        index: currentBlock.index + 1,
+        error,
+      });
+
+      throw error;
+    }
+  }
+}
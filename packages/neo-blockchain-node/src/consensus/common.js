@@ -0,0 +1,148 @@
+/* @flow */
+import {
+  type ECPoint,
+  type Transaction,
+  type UInt256Hex,
+  MinerTransaction,
+  Output,
+  common,
+  crypto,
+  utils,
+} from 'neo-blockchain-core';
+import BN from 'bn.js';
+import type { Blockchain } from 'neo-blockchain-node-core';
+
+import type ConsensusContext from './ConsensusContext';
+import type { ConsensusPayload } from '../payload';
+
+export const DEFAULT_SECONDS_PER_BLOCK = 15;
+export const DEFAULT_MAX_TRANSACTIONS_PER_BLOCK = 500;
+
+// Validators sorted by public key, which determines their index in consensus
+// payloads and the order of signatures in the block's multi-signature script.
+export const getValidators = async (
+  blockchain: Blockchain,
+): Promise<Array<ECPoint>> =>
+  crypto.sortKeys(await blockchain.getValidators([]));
+
+export const verifyConsensusPayload = ({
+  payload,
+  validators,
+}: {|
+  payload: ConsensusPayload,
+  validators: Array<ECPoint>,
+|}): boolean => {
+  const validator = validators[payload.validatorIndex];
+  if (validator == null) {
+    return false;
+  }
+
+  const { invocation, verification } = payload.script;
+  if (
+    !verification.equals(crypto.createVerificationScript(validator)) ||
+    invocation.length !== 65 ||
+    invocation[0] !== 0x40
+  ) {
+    return false;
+  }
+
+  try {
+    return crypto.verify({
+      message: payload.message,
+      signature: invocation.slice(1),
+      publicKey: common.ecPointToBuffer(validator),
+    });
+  } catch (error) {
+    return false;
+  }
+};
+
+// Sum of the network fees paid by the transactions, which the miner
+// transaction must pay out exactly.
+export const getNetworkFee = async (
+  blockchain: Blockchain,
+  transactions: Array<Transaction>,
+): Promise<BN> => {
+  const { settings } = blockchain;
+  const networkFees = await Promise.all(
+    transactions.map(transaction =>
+      transaction.getNetworkFee({
+        getOutput: blockchain.output.get,
+        governingToken: settings.governingToken,
+        utilityToken: settings.utilityToken,
+        fees: settings.fees,
+      }),
+    ),
+  );
+
+  return networkFees.reduce((acc, value) => acc.add(value), utils.ZERO);
+};
+
+// Fills the context with a new block proposal built from the mem pool, paying
+// the network fee to the proposing validator.
+export const createProposal = async ({
+  blockchain,
+  context,
+  memPool,
+  maxTransactionsPerBlock,
+}: {|
+  blockchain: Blockchain,
+  context: ConsensusContext,
+  memPool: { [hash: UInt256Hex]: Transaction },
+  maxTransactionsPerBlock: number,
+|}): Promise<void> => {
+  const { settings } = blockchain;
+  const previousHeader = await blockchain.header.get({
+    hashOrIndex: context.previousHash,
+  });
+
+  const transactions = [];
+  for (const transaction of utils.values(memPool)) {
+    if (transactions.length >= maxTransactionsPerBlock - 1) {
+      break;
+    }
+
+    try {
+      // eslint-disable-next-line
+      await blockchain.verifyTransaction({
+        transaction,
+        memPool: transactions,
+      });
+      transactions.push(transaction);
+    } catch (error) {
+      // Skip transactions invalidated since they entered the mem pool.
+    }
+  }
+
+  const networkFee = await getNetworkFee(blockchain, transactions);
+  const minerNonce = utils.randomUInt();
+  const minerTransaction = new MinerTransaction({
+    nonce: minerNonce,
+    outputs: networkFee.gt(utils.ZERO)
+      ? [
+          new Output({
+            asset: settings.utilityToken.hash,
+            value: networkFee,
+            address: crypto.privateKeyToScriptHash(context.privateKey),
+          }),
+        ]
+      : [],
+  });
+  const blockTransactions = [minerTransaction].concat(transactions);
+  const validators = await blockchain.getValidators(blockTransactions);
+
+  context.setProposal({
+    timestamp: Math.max(
+      Math.round(Date.now() / 1000),
+      previousHeader.timestamp + 1,
+    ),
+    // The low 32 bits of the block nonce are the miner transaction nonce.
+    nonce: new BN(utils.randomUInt()).ushln(32).add(new BN(minerNonce)),
+    nextConsensus: crypto.getConsensusAddress(validators),
+    transactionHashes: blockTransactions.map(transaction => transaction.hash),
+  });
+  for (const transaction of blockTransactions) {
+    // eslint-disable-next-line
+    context.transactions[transaction.hashHex] = transaction;
+  }
+};
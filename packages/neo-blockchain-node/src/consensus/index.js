@@ -0,0 +1,7 @@
+/* @flow */
+export { default as Consensus } from './Consensus';
+export { default as Solo } from './Solo';
+export { getValidators, verifyConsensusPayload } from './common';
+
+export type { ConsensusOptions } from './Consensus';
+export type { SoloOptions } from './Solo';
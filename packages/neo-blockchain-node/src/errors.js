@@ -1,4 +1,13 @@
 /* @flow */
+import {
+  type Block,
+  type Input,
+  type Transaction,
+  type VerifyErrorCode,
+  VERIFY_ERROR_CODE,
+  common,
+} from 'neo-blockchain-core';
+
 import type Message from './Message';
 
 // eslint-disable-next-line
@@ -12,3 +21,51 @@ export class NegotiationError extends Error {
     this.messageObj = message;
   }
 }
+
+export class SoloDisabledError extends Error {
+  constructor() {
+    super('Solo block production is not enabled on this node.');
+  }
+}
+
+export class InvalidSoloValidatorError extends Error {
+  constructor() {
+    super('Solo block production requires the key of the only validator.');
+  }
+}
+
+export class SoloBlockNotPersistedError extends Error {
+  constructor(block: Block) {
+    super(
+      `Produced block ${common.uInt256ToString(block.hash)} at index ${
+        block.index
+      } was not persisted.`,
+    );
+  }
+}
+
+export class MemPoolConflictError extends Error {
+  code: VerifyErrorCode = VERIFY_ERROR_CODE.DOUBLE_SPEND;
+
+  constructor(transaction: Transaction, input: Input) {
+    super(
+      `Transaction ${common.uInt256ToString(
+        transaction.hash,
+      )} spends input ${common.uInt256ToString(input.hash)}:${
+        input.index
+      } which is already spent in the mem pool.`,
+    );
+  }
+}
+
+export class MemPoolFullError extends Error {
+  code: VerifyErrorCode = VERIFY_ERROR_CODE.INSUFFICIENT_FEE;
+
+  constructor(transaction: Transaction) {
+    super(
+      `Mem pool is full and transaction ${common.uInt256ToString(
+        transaction.hash,
+      )} does not pay enough to replace an existing transaction.`,
+    );
+  }
+}
@@ -2,3 +2,5 @@
 import Node from './Node';
 
 export default Node;
+
+export type { ConsensusOptions, SoloOptions } from './consensus';
@@ -6,10 +6,14 @@ import {
   type SerializeWire,
   type SerializableWire,
   type UInt256,
+  type UInt256Hex,
   BinaryReader,
   InvalidFormatError,
   Witness,
+  common,
   createSerializeWire,
+  crypto,
+  utils,
 } from 'neo-blockchain-core';
 
 export type ConsensusPayloadAdd = {|
@@ -50,13 +54,47 @@ export default class ConsensusPayload
     this.script = script;
   }
 
-  serializeWireBase(writer: BinaryWriter): void {
+  _hash = utils.lazy(() => crypto.hash256(this.message));
+  _hashHex = utils.lazy(() => common.uInt256ToHex(this.hash));
+  _message = utils.lazy(() => this.serializeUnsigned());
+
+  get hash(): UInt256 {
+    return this._hash();
+  }
+
+  get hashHex(): UInt256Hex {
+    return this._hashHex();
+  }
+
+  get message(): Buffer {
+    return this._message();
+  }
+
+  clone(script: Witness): ConsensusPayload {
+    return new this.constructor({
+      version: this.version,
+      previousHash: this.previousHash,
+      blockIndex: this.blockIndex,
+      validatorIndex: this.validatorIndex,
+      timestamp: this.timestamp,
+      data: this.data,
+      script,
+    });
+  }
+
+  serializeUnsignedBase(writer: BinaryWriter): void {
     writer.writeUInt32LE(this.version);
     writer.writeUInt256(this.previousHash);
     writer.writeUInt32LE(this.blockIndex);
     writer.writeUInt16LE(this.validatorIndex);
     writer.writeUInt32LE(this.timestamp);
     writer.writeVarBytesLE(this.data);
+  }
+
+  serializeUnsigned: SerializeWire = createSerializeWire(this.serializeUnsignedBase.bind(this));
+
+  serializeWireBase(writer: BinaryWriter): void {
+    this.serializeUnsignedBase(writer);
     writer.writeUInt8(1);
     this.script.serializeWireBase(writer);
   }
@@ -0,0 +1,344 @@
+/* @flow */
+import {
+  ATTRIBUTE_USAGE,
+  type Action,
+  type Block,
+  type Transaction,
+  type UInt160,
+  JSONHelper,
+  LogAction,
+  NotificationAction,
+  UInt160Attribute,
+  common,
+  crypto,
+} from 'neo-blockchain-core';
+import {
+  type Blockchain,
+  type Log,
+  type MemPoolChange,
+  type Node,
+} from 'neo-blockchain-node-core';
+import WebSocket from 'ws';
+
+import { concatMap } from 'rxjs/operators';
+import { defer } from 'rxjs/observable/defer';
+import http from 'http';
+import https from 'https';
+
+import { RPCError } from './errors';
+
+const PATH = '/ws';
+
+type Topic = 'block' | 'mempool' | 'notification' | 'log';
+type Filter = {|
+  contract: ?UInt160,
+  address: ?UInt160,
+|};
+type Subscription = {|
+  topic: Topic,
+  filter: Filter,
+|};
+type Client = {|
+  socket: WebSocket,
+  subscriptions: Map<string, Subscription>,
+|};
+
+export type WebSocketServer = {|
+  close: () => Promise<void>,
+|};
+
+const TOPICS = new Set(['block', 'mempool', 'notification', 'log']);
+const MAX_SUBSCRIPTIONS_PER_CLIENT = 100;
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const send = (client: Client, value: Object) => {
+  if (client.socket.readyState === WebSocket.OPEN) {
+    client.socket.send(JSON.stringify({ jsonrpc: '2.0', ...value }));
+  }
+};
+
+const getTransactionAddresses = (
+  transaction: Transaction,
+  inputAddresses: Array<UInt160>,
+): Array<UInt160> =>
+  transaction.outputs
+    .map(output => output.address)
+    .concat(inputAddresses)
+    .concat(
+      transaction.attributes
+        .map(
+          attribute =>
+            attribute instanceof UInt160Attribute &&
+            attribute.usage === ATTRIBUTE_USAGE.SCRIPT
+              ? attribute.value
+              : null,
+        )
+        .filter(Boolean),
+    );
+
+const matchesAction = (filter: Filter, action: Action) => {
+  const { contract, address } = filter;
+  return (
+    (contract == null || common.uInt160Equal(contract, action.scriptHash)) &&
+    (address == null ||
+      common.uInt160Equal(address, action.scriptHash) ||
+      (action instanceof NotificationAction &&
+        action.args.some(arg => {
+          try {
+            return common.uInt160Equal(
+              common.bufferToUInt160(arg.asBuffer()),
+              address,
+            );
+          } catch (error) {
+            return false;
+          }
+        })))
+  );
+};
+
+const matchesTransaction = (filter: Filter, addresses: Array<UInt160>) => {
+  const { address } = filter;
+  return (
+    address == null ||
+    addresses.some(transactionAddress =>
+      common.uInt160Equal(transactionAddress, address),
+    )
+  );
+};
+
+// Serves JSON-RPC subscribe/unsubscribe over WebSockets. Subscribers receive
+// {"method": "subscription", "params": {"subscription": id, "result": value}}
+// messages for new blocks, mempool changes and contract actions. The filter
+// param accepts a contract script hash and/or an address; mempool
+// subscriptions only filter by address.
+export default ({
+  server,
+  blockchain,
+  node,
+  log,
+}: {|
+  server: http.Server | https.Server,
+  blockchain: Blockchain,
+  node: Node,
+  log: Log,
+|}): WebSocketServer => {
+  const clients = new Set();
+  let nextID = 0;
+
+  const readFilter = (value: mixed): Filter => {
+    if (value == null) {
+      return { contract: null, address: null };
+    }
+    if (typeof value !== 'object') {
+      throw new RPCError(INVALID_PARAMS, 'Invalid filter');
+    }
+
+    try {
+      return {
+        contract:
+          value.contract == null
+            ? null
+            : JSONHelper.readUInt160((value.contract: $FlowFixMe)),
+        address:
+          value.address == null
+            ? null
+            : crypto.addressToScriptHash({
+                addressVersion: blockchain.settings.addressVersion,
+                address: (value.address: $FlowFixMe),
+              }),
+      };
+    } catch (error) {
+      throw new RPCError(INVALID_PARAMS, 'Invalid filter');
+    }
+  };
+
+  const handlers = {
+    subscribe: (client: Client, params: Array<mixed>) => {
+      const topic = params[0];
+      if (typeof topic !== 'string' || !TOPICS.has(topic)) {
+        throw new RPCError(INVALID_PARAMS, 'Unknown topic');
+      }
+
+      const filter = readFilter(params[1]);
+      if (topic === 'mempool' && filter.contract != null) {
+        throw new RPCError(
+          INVALID_PARAMS,
+          'The mempool topic does not filter by contract',
+        );
+      }
+      if (client.subscriptions.size >= MAX_SUBSCRIPTIONS_PER_CLIENT) {
+        throw new RPCError(INVALID_REQUEST, 'Too many subscriptions');
+      }
+
+      const id = `${nextID}`;
+      nextID += 1;
+      client.subscriptions.set(id, { topic: (topic: $FlowFixMe), filter });
+
+      return id;
+    },
+    unsubscribe: (client: Client, params: Array<mixed>) =>
+      client.subscriptions.delete(`${(params[0]: $FlowFixMe)}`),
+  };
+
+  const onMessage = (client: Client, data: string) => {
+    let request;
+    try {
+      request = JSON.parse(data);
+    } catch (error) {
+      send(client, {
+        id: null,
+        error: { code: PARSE_ERROR, message: 'Parse error' },
+      });
+      return;
+    }
+
+    const id = request == null || request.id == null ? null : request.id;
+    try {
+      if (
+        request == null ||
+        typeof request !== 'object' ||
+        typeof request.method !== 'string'
+      ) {
+        throw new RPCError(INVALID_REQUEST, 'Invalid request');
+      }
+
+      const handler = handlers[request.method];
+      if (handler == null) {
+        throw new RPCError(METHOD_NOT_FOUND, 'Method not found');
+      }
+
+      const params = Array.isArray(request.params) ? request.params : [];
+      send(client, { id, result: handler(client, params) });
+    } catch (error) {
+      send(client, {
+        id,
+        error: {
+          code: error instanceof RPCError ? error.code : INVALID_REQUEST,
+          message: error.message,
+        },
+      });
+    }
+  };
+
+  const publish = (
+    topic: Topic,
+    matches: (filter: Filter) => boolean,
+    result: Object,
+  ) => {
+    clients.forEach(client => {
+      client.subscriptions.forEach((subscription, subscriptionID) => {
+        if (subscription.topic === topic && matches(subscription.filter)) {
+          send(client, {
+            method: 'subscription',
+            params: { subscription: subscriptionID, result },
+          });
+        }
+      });
+    });
+  };
+
+  const hasSubscribers = (topics: Array<Topic>) =>
+    [...clients].some(client =>
+      [...client.subscriptions.values()].some(subscription =>
+        topics.includes(subscription.topic),
+      ),
+    );
+
+  const onBlock = async (block: Block) => {
+    const context = blockchain.serializeJSONContext;
+    try {
+      if (hasSubscribers(['block'])) {
+        const json = await block.serializeJSON(context);
+        publish('block', () => true, json);
+      }
+
+      if (hasSubscribers(['notification', 'log'])) {
+        const actions = await blockchain.action
+          .getAll({ blockIndexStart: block.index, blockIndexStop: block.index })
+          .toArray()
+          .toPromise();
+        actions.forEach(action => {
+          publish(
+            action instanceof LogAction ? 'log' : 'notification',
+            filter => matchesAction(filter, action),
+            action.serializeJSON(context),
+          );
+        });
+      }
+    } catch (error) {
+      log({ event: 'WEB_SOCKET_PUBLISH_ERROR', index: block.index, error });
+    }
+  };
+
+  // Inputs spending outputs that are still in the mem pool have no stored
+  // output to read the address from.
+  const getInputAddresses = async (
+    transaction: Transaction,
+  ): Promise<Array<UInt160>> => {
+    const outputs = await Promise.all(
+      transaction.inputs.map(input => blockchain.output.tryGet(input)),
+    );
+    const addresses = [];
+    outputs.forEach(output => {
+      if (output != null) {
+        addresses.push(output.address);
+      }
+    });
+
+    return addresses;
+  };
+
+  const onMemPoolChange = async (change: MemPoolChange) => {
+    const { transaction } = change;
+    try {
+      if (hasSubscribers(['mempool'])) {
+        const addresses = getTransactionAddresses(
+          transaction,
+          await getInputAddresses(transaction),
+        );
+        publish('mempool', filter => matchesTransaction(filter, addresses), {
+          type: change.type,
+          txid: JSONHelper.writeUInt256(transaction.hash),
+          hex: transaction.serializeWire().toString('hex'),
+        });
+      }
+    } catch (error) {
+      log({
+        event: 'WEB_SOCKET_PUBLISH_ERROR',
+        hash: common.uInt256ToString(transaction.hash),
+        error,
+      });
+    }
+  };
+
+  const subscription = blockchain.block$
+    .pipe(concatMap(block => defer(() => onBlock(block))))
+    .subscribe();
+  subscription.add(
+    node.memPool$
+      .pipe(concatMap(change => defer(() => onMemPoolChange(change))))
+      .subscribe(),
+  );
+
+  const webSocketServer = new WebSocket.Server({ server, path: PATH });
+  webSocketServer.on('connection', socket => {
+    const client = { socket, subscriptions: new Map() };
+    clients.add(client);
+    socket.on('message', data => onMessage(client, data));
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', error => {
+      log({ event: 'WEB_SOCKET_CLIENT_ERROR', error });
+    });
+  });
+
+  return {
+    close: async () => {
+      subscription.unsubscribe();
+      await new Promise(resolve => webSocketServer.close(() => resolve()));
+    },
+  };
+};
@@ -1,7 +1,11 @@
 /* @flow */
 export { default as rpcServer$ } from './rpcServer$';
 
-export type { CreateLogForContext, CreateProfile } from './middleware';
+export type {
+  CreateLogForContext,
+  CreateProfile,
+  TraceTransactionOptions,
+} from './middleware';
 export type {
   Environment as RPCServerEnvironment,
   Options as RPCServerOptions,
@@ -9,3 +9,4 @@ export { default as rpc } from './rpc';
 export type { ServerMiddleware } from './common';
 export type { CreateLogForContext, CreateProfile } from './context';
 export type { Options as ReadyHealthCheckOptions } from './readyHealthCheck';
+export type { TraceTransactionOptions } from './rpc';
@@ -1,14 +1,28 @@
 /* @flow */
+import BN from 'bn.js';
 import {
+  type ContractParameterJSON,
+  type ScriptBuilderParam,
+  type UInt256,
   Account,
+  Block,
+  InvocationResultSuccess,
   JSONHelper,
+  NotificationAction,
+  ScriptBuilder,
   common,
   crypto,
   deserializeTransactionWire,
   utils,
 } from 'neo-blockchain-core';
-import { type Blockchain, type Node } from 'neo-blockchain-node-core';
+import {
+  type Blockchain,
+  type Endpoint,
+  type Node,
+  getEndpointConfig,
+} from 'neo-blockchain-node-core';
 import type { GetActionsFilter } from 'neo-blockchain-client';
+import { Tracer } from 'neo-blockchain-vm';
 import { type Context } from 'koa';
 
 import _ from 'lodash';
@@ -23,12 +37,34 @@ import { RPCError, RPCUnknownError } from '../errors';
 import bodyParser from './bodyParser';
 import { simpleMiddleware } from './common';
 
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+const MAX_GENERATE_BLOCKS = 1000;
+const DEFAULT_TRACE_LIMIT = 1000;
+const MAX_TRACE_LIMIT = 10000;
+// Keyed by VerifyErrorCode. Anything else is reported as INVALID.
+const SEND_TRANSACTION_ERROR = {
+  INVALID: -500,
+  ALREADY_IN_POOL: -501,
+  DOUBLE_SPEND: -502,
+  INVALID_WITNESS: -503,
+  INSUFFICIENT_FEE: -504,
+};
+
+// maxDepth is the number of blocks a traced transaction may be behind the
+// current block.
+export type TraceTransactionOptions = {|
+  maxDepth: number,
+|};
+
 export default ({
   blockchain,
   node,
+  traceTransaction,
 }: {|
   blockchain: Blockchain,
   node: Node,
+  traceTransaction?: TraceTransactionOptions,
 |}) => {
   const checkHeight = (height: number) => {
     if (height < 0 && height > blockchain.currentBlockIndex) {
@@ -37,6 +73,125 @@ export default ({
     }
   };
 
+  const toScriptBuilderParam = (
+    param: ContractParameterJSON,
+  ): ScriptBuilderParam => {
+    switch (param.type) {
+      case 'Signature':
+        return JSONHelper.readBuffer(param.value);
+      case 'Boolean':
+        return param.value;
+      case 'Integer':
+        return new BN(param.value, 10);
+      case 'Hash160':
+        return JSONHelper.readUInt160(param.value);
+      case 'Hash256':
+        return common.uInt256ToBuffer(JSONHelper.readUInt256(param.value));
+      case 'ByteArray':
+        return JSONHelper.readBuffer(param.value);
+      case 'PublicKey':
+        return common.ecPointToBuffer(JSONHelper.readECPoint(param.value));
+      case 'String':
+        return param.value;
+      case 'Array':
+        return param.value.map(value => toScriptBuilderParam(value));
+      default:
+        // eslint-disable-next-line
+        throw server.error(-102, `Invalid parameter type: ${param.type}`);
+    }
+  };
+
+  const invokeScript = async (script: Buffer) => {
+    const result = await blockchain.invokeScript(script);
+    const json = result.serializeJSON(blockchain.serializeJSONContext);
+    if (json.type === 'Error') {
+      return {
+        script: JSONHelper.writeBuffer(script),
+        state: 'FAULT, BREAK',
+        gas_consumed: json.gasConsumed,
+        stack: [],
+      };
+    }
+
+    return {
+      script: JSONHelper.writeBuffer(script),
+      state: 'HALT, BREAK',
+      gas_consumed: json.gasConsumed,
+      stack: json.stack,
+    };
+  };
+
+  const readAddress = (address: string) => {
+    try {
+      return crypto.addressToScriptHash({
+        addressVersion: blockchain.settings.addressVersion,
+        address,
+      });
+    } catch (error) {
+      // eslint-disable-next-line
+      throw server.error(-100, 'Invalid address');
+    }
+  };
+
+  const readAsset = (asset: string) => {
+    try {
+      return JSONHelper.readUInt256(asset);
+    } catch (error) {
+      // eslint-disable-next-line
+      throw server.error(-100, 'Invalid asset');
+    }
+  };
+
+  const readHistoryCursor = (cursor: string) => {
+    const [blockIndex, transactionIndex] = cursor.split(':').map(Number);
+    if (!Number.isInteger(blockIndex) || !Number.isInteger(transactionIndex)) {
+      // eslint-disable-next-line
+      throw server.error(-100, 'Invalid cursor');
+    }
+
+    return { blockIndex, transactionIndex };
+  };
+
+  const readNep5TransferCursor = (cursor: string) => {
+    const [blockIndex, transactionIndex, index] = cursor.split(':').map(Number);
+    if (
+      !Number.isInteger(blockIndex) ||
+      !Number.isInteger(transactionIndex) ||
+      !Number.isInteger(index)
+    ) {
+      // eslint-disable-next-line
+      throw server.error(-100, 'Invalid cursor');
+    }
+
+    return { blockIndex, transactionIndex, index };
+  };
+
+  // TransactionSpentCoins is written for every persisted transaction and its
+  // startHeight is the index of the containing block.
+  const getTransactionHeight = async (hash: UInt256): Promise<?number> => {
+    const spentCoins = await blockchain.transactionSpentCoins.tryGet({ hash });
+    return spentCoins == null ? null : spentCoins.startHeight;
+  };
+
+  const getBlockChainInfo = async (index: number) => {
+    const nextHeader = await blockchain.header.tryGet({
+      hashOrIndex: index + 1,
+    });
+
+    return {
+      confirmations: blockchain.currentBlockIndex - index + 1,
+      nextblockhash:
+        nextHeader == null
+          ? undefined
+          : JSONHelper.writeUInt256(nextHeader.hash),
+    };
+  };
+
+  const toPeerJSON = (endpoint: Endpoint) => {
+    const { host, port } = getEndpointConfig(endpoint);
+    return { address: host, port };
+  };
+
   let server;
   const handlers = {
     getaccountstate: async args => {
@@ -76,21 +231,37 @@ export default ({
       }
 
       if (args[1]) {
-        const json = await block.serializeJSON(blockchain.serializeJSONContext);
-        // TODO: Integrate into serializeJSON
-        // json.confirmations = blockchain.currentBlockIndex - block.index + 1;
-        // const nextBlock = await blockchain.block.tryGet({
-        //   hashOrIndex: block.index + 1,
-        // });
-        // if (nextBlock != null) {
-        //   json.nextblockhash = JSONHelper.writeUInt256(nextBlock.hash);
-        // }
+        const [json, chainInfo] = await Promise.all([
+          block.serializeJSON(blockchain.serializeJSONContext),
+          getBlockChainInfo(block.index),
+        ]);
 
-        return json;
+        return { ...json, ...chainInfo };
       }
 
       return block.serializeWire().toString('hex');
     },
+    getblockheader: async args => {
+      let hashOrIndex = args[0];
+      if (typeof args[0] === 'string') {
+        hashOrIndex = JSONHelper.readUInt256(args[0]);
+      }
+
+      const header = await blockchain.header.tryGet({ hashOrIndex });
+      if (header == null) {
+        throw server.error(-100, 'Unknown block');
+      }
+
+      if (args[1]) {
+        const chainInfo = await getBlockChainInfo(header.index);
+        return {
+          ...header.serializeJSON(blockchain.serializeJSONContext),
+          ...chainInfo,
+        };
+      }
+
+      return header.serializeWire().toString('hex');
+    },
     getblockcount: async () => blockchain.currentBlockIndex + 1,
     getblockhash: async args => {
       const height = args[0];
@@ -117,10 +288,24 @@ export default ({
 
       return contract.serializeJSON(blockchain.serializeJSONContext);
     },
-    getrawmempool: async () =>
-      utils
+    getrawmempool: async args => {
+      if (args[0]) {
+        return node
+          .getMemPoolEntries()
+          .reduce((acc, { transaction, networkFee, time }) => {
+            acc[JSONHelper.writeUInt256(transaction.hash)] = {
+              size: transaction.size,
+              fee: JSONHelper.writeFixed8(networkFee),
+              time,
+            };
+            return acc;
+          }, {});
+      }
+
+      return utils
         .values(node.memPool)
-        .map(transaction => JSONHelper.writeUInt256(transaction.hash)),
+        .map(transaction => JSONHelper.writeUInt256(transaction.hash));
+    },
     getrawtransaction: async args => {
       const hash = JSONHelper.readUInt256(args[0]);
 
@@ -133,22 +318,126 @@ export default ({
       }
 
       if (args[1]) {
-        const json = await transaction.serializeJSON(
-          blockchain.serializeJSONContext,
-        );
-        // TODO: We just don't support this...
-        // if (height != null) {
-        //   const header = await blockchain.header.get({ hashOrIndex: height });
-        //   json.blockhash = JSONHelper.writeUInt256(header.hash);
-        //   json.confirmations = blockchain.currentBlockIndex - header.index + 1;
-        //   json.blocktime = header.timestamp;
-        // }
+        const [json, height] = await Promise.all([
+          transaction.serializeJSON(blockchain.serializeJSONContext),
+          getTransactionHeight(hash),
+        ]);
+        if (height == null) {
+          return json;
+        }
 
-        return json;
+        const header = await blockchain.header.get({ hashOrIndex: height });
+        return {
+          ...json,
+          blockhash: JSONHelper.writeUInt256(header.hash),
+          confirmations: blockchain.currentBlockIndex - header.index + 1,
+          blocktime: header.timestamp,
+        };
       }
 
       return transaction.serializeWire().toString('hex');
     },
+    getapplicationlog: async (args: [string]) => {
+      const hash = JSONHelper.readUInt256(args[0]);
+      const data = await blockchain.invocationData.tryGet({ hash });
+      if (data == null) {
+        throw server.error(-100, 'Unknown transaction');
+      }
+
+      const { result } = data;
+      const actions = await blockchain.action
+        .getAll({
+          blockIndexStart: data.blockIndex,
+          transactionIndexStart: data.transactionIndex,
+          blockIndexStop: data.blockIndex,
+          transactionIndexStop: data.transactionIndex,
+        })
+        .toArray()
+        .toPromise();
+      const context = blockchain.serializeJSONContext;
+
+      return {
+        txid: JSONHelper.writeUInt256(hash),
+        vmstate: result instanceof InvocationResultSuccess ? 'HALT' : 'FAULT',
+        gas_consumed: JSONHelper.writeFixed8(result.gasConsumed),
+        stack:
+          result instanceof InvocationResultSuccess
+            ? result.stack.map(item => item.serializeJSON(context))
+            : [],
+        notifications: actions
+          .map(
+            action =>
+              action instanceof NotificationAction
+                ? {
+                    contract: JSONHelper.writeUInt160(action.scriptHash),
+                    state: {
+                      type: 'Array',
+                      value: action.args.map(arg => arg.serializeJSON(context)),
+                    },
+                  }
+                : null,
+          )
+          .filter(Boolean),
+      };
+    },
+    tracetransaction: async (args: [string, number | void, number | void]) => {
+      if (traceTransaction == null) {
+        throw server.error(-32601, 'Method not found');
+      }
+      const hash = JSONHelper.readUInt256(args[0]);
+      const start = args[1] == null ? 0 : args[1];
+      if (!Number.isInteger(start) || start < 0) {
+        throw server.error(-100, 'Invalid start');
+      }
+      const limit = args[2] == null ? DEFAULT_TRACE_LIMIT : args[2];
+      if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_TRACE_LIMIT) {
+        throw server.error(-100, 'Invalid limit');
+      }
+      const data = await blockchain.invocationData.tryGet({ hash });
+      if (data == null) {
+        throw server.error(-100, 'Unknown transaction');
+      }
+      if (
+        blockchain.currentBlockIndex - data.blockIndex >
+        traceTransaction.maxDepth
+      ) {
+        throw server.error(-100, 'Transaction is too old to trace');
+      }
+
+      const tracer = new Tracer({ start, limit });
+      let result;
+      try {
+        result = await blockchain.traceTransaction(hash, tracer.onStep);
+      } catch (error) {
+        if (error.undoDataNotFound) {
+          throw server.error(-100, 'Undo data is not available to trace');
+        }
+
+        throw error;
+      }
+      if (result instanceof InvocationResultSuccess) {
+        tracer.finish(result.stack);
+      }
+      const context = blockchain.serializeJSONContext;
+      const next = start + limit;
+
+      return {
+        txid: JSONHelper.writeUInt256(hash),
+        result: result.serializeJSON(context),
+        ...tracer.serializeJSON(context),
+        next: tracer.stepCount > next ? next : null,
+      };
+    },
+    gettransactionheight: async (args: [string]) => {
+      const height = await getTransactionHeight(
+        JSONHelper.readUInt256(args[0]),
+      );
+      if (height == null) {
+        throw server.error(-100, 'Unknown transaction');
+      }
+
+      return height;
+    },
     getstorage: async args => {
       const hash = JSONHelper.readUInt160(args[0]);
       const key = Buffer.from(args[1], 'hex');
@@ -163,21 +452,225 @@ export default ({
         ? null
         : output.serializeJSON(blockchain.serializeJSONContext, index);
     },
-    invoke: async () => {
-      // TODO: Implement me
-      throw server.error(-101, 'Not implemented');
+    getunspents: async (args: [string, string | void]) => {
+      const address = readAddress(args[0]);
+      const asset = args[1] == null ? undefined : readAsset(args[1]);
+
+      const unspents = await blockchain.unspent
+        .getAll({ address, asset })
+        .toArray()
+        .toPromise();
+      const balance = utils
+        .values(
+          _.groupBy(unspents, unspent => common.uInt256ToHex(unspent.asset)),
+        )
+        .map(assetUnspents => ({
+          asset_hash: JSONHelper.writeUInt256(assetUnspents[0].asset),
+          amount: JSONHelper.writeFixed8(
+            assetUnspents.reduce(
+              (acc, unspent) => acc.add(unspent.output.value),
+              utils.ZERO,
+            ),
+          ),
+          unspent: assetUnspents.map(unspent => ({
+            txid: JSONHelper.writeUInt256(unspent.hash),
+            n: unspent.index,
+            value: JSONHelper.writeFixed8(unspent.output.value),
+          })),
+        }));
+
+      return { address: args[0], balance };
+    },
+    getclaimable: async (args: [string]) => {
+      const claimable = await blockchain.getClaimable(readAddress(args[0]));
+
+      return {
+        address: args[0],
+        claimable: claimable.map(coin => ({
+          txid: JSONHelper.writeUInt256(coin.hash),
+          n: coin.index,
+          value: JSONHelper.writeFixed8(coin.value),
+          start_height: coin.startHeight,
+          end_height: coin.endHeight,
+          unclaimed: JSONHelper.writeFixed8(coin.amount),
+        })),
+        unclaimed: JSONHelper.writeFixed8(
+          claimable.reduce((acc, coin) => acc.add(coin.amount), utils.ZERO),
+        ),
+      };
+    },
+    getunclaimedgas: async (args: [string]) => {
+      const { available, unavailable } = await blockchain.getUnclaimedGAS(
+        readAddress(args[0]),
+      );
+
+      return {
+        available: JSONHelper.writeFixed8(available),
+        unavailable: JSONHelper.writeFixed8(unavailable),
+      };
+    },
+    getaddresshistory: async (args: [string, string | void, number | void]) => {
+      const address = readAddress(args[0]);
+      const limit = args[2] == null ? DEFAULT_HISTORY_LIMIT : args[2];
+      if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_HISTORY_LIMIT) {
+        throw server.error(-100, 'Invalid limit');
+      }
+      const cursor = args[1] == null ? null : readHistoryCursor(args[1]);
+
+      // Cursors are inclusive upper bounds, so the entry the previous page
+      // ended on has to be skipped.
+      const addressTransactions = await blockchain.addressTransaction
+        .getAll({
+          address,
+          blockIndexStop: cursor == null ? undefined : cursor.blockIndex,
+          transactionIndexStop:
+            cursor == null ? undefined : cursor.transactionIndex,
+        })
+        .filter(
+          value =>
+            cursor == null ||
+            value.blockIndex !== cursor.blockIndex ||
+            value.transactionIndex !== cursor.transactionIndex,
+        )
+        .take(limit + 1)
+        .toArray()
+        .toPromise();
+      const page = addressTransactions.slice(0, limit);
+      const last = page[page.length - 1];
+
+      return {
+        address: args[0],
+        transactions: page.map(value => ({
+          txid: JSONHelper.writeUInt256(value.hash),
+          block_index: value.blockIndex,
+          transaction_index: value.transactionIndex,
+        })),
+        next:
+          addressTransactions.length > limit
+            ? `${last.blockIndex}:${last.transactionIndex}`
+            : null,
+      };
+    },
+    getnep5balances: async (args: [string]) => {
+      const balances = await blockchain.nep5Balance
+        .getAll({ address: readAddress(args[0]) })
+        .toArray()
+        .toPromise();
+
+      return {
+        address: args[0],
+        balance: balances.map(balance => ({
+          asset_hash: JSONHelper.writeUInt160(balance.asset),
+          amount: balance.value.toString(10),
+          last_updated_block: balance.blockIndex,
+        })),
+      };
+    },
+    getnep5transfers: async (
+      args: [
+        string,
+        number | void,
+        number | void,
+        string | void,
+        number | void,
+      ],
+    ) => {
+      const address = readAddress(args[0]);
+      const limit = args[4] == null ? DEFAULT_HISTORY_LIMIT : args[4];
+      if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_HISTORY_LIMIT) {
+        throw server.error(-100, 'Invalid limit');
+      }
+      const cursor = args[3] == null ? null : readNep5TransferCursor(args[3]);
+
+      // Cursors are exclusive lower bounds.
+      let blockIndexStart = args[1] == null ? undefined : args[1];
+      if (
+        cursor != null &&
+        (blockIndexStart == null || blockIndexStart < cursor.blockIndex)
+      ) {
+        blockIndexStart = cursor.blockIndex;
+      }
+      const result = await blockchain.nep5Transfer
+        .getAll({
+          address,
+          blockIndexStart,
+          blockIndexStop: args[2] == null ? undefined : args[2],
+        })
+        .filter(
+          value =>
+            cursor == null ||
+            value.blockIndex > cursor.blockIndex ||
+            (value.blockIndex === cursor.blockIndex &&
+              (value.transactionIndex > cursor.transactionIndex ||
+                (value.transactionIndex === cursor.transactionIndex &&
+                  value.index > cursor.index))),
+        )
+        .take(limit + 1)
+        .toArray()
+        .toPromise();
+      const transfers = result.slice(0, limit);
+      const last = transfers[transfers.length - 1];
+      const toTransferJSON = (transfer, transferAddress) => ({
+        asset_hash: JSONHelper.writeUInt160(transfer.asset),
+        transfer_address:
+          transferAddress == null
+            ? null
+            : crypto.scriptHashToAddress({
+                addressVersion: blockchain.settings.addressVersion,
+                scriptHash: transferAddress,
+              }),
+        amount: transfer.value.toString(10),
+        block_index: transfer.blockIndex,
+        transaction_index: transfer.transactionIndex,
+        tx_hash: JSONHelper.writeUInt256(transfer.transactionHash),
+      });
+
+      return {
+        address: args[0],
+        sent: transfers
+          .filter(
+            transfer =>
+              transfer.from != null &&
+              common.uInt160Equal(transfer.from, address),
+          )
+          .map(transfer => toTransferJSON(transfer, transfer.to)),
+        received: transfers
+          .filter(
+            transfer =>
+              transfer.to != null && common.uInt160Equal(transfer.to, address),
+          )
+          .map(transfer => toTransferJSON(transfer, transfer.from)),
+        next:
+          result.length > limit
+            ? `${last.blockIndex}:${last.transactionIndex}:${last.index}`
+            : null,
+      };
     },
-    invokefunction: async () => {
-      // TODO: Implement me
-      throw server.error(-101, 'Not implemented');
+    invoke: async (args: [string, Array<ContractParameterJSON>]) => {
+      const scriptHash = JSONHelper.readUInt160(args[0]);
+      const params = (args[1] || []).map(param => toScriptBuilderParam(param));
+      const script = new ScriptBuilder()
+        .emitAppCallParams(scriptHash, ...params)
+        .build();
+      return invokeScript(script);
     },
-    invokescript: async () => {
-      // TODO: Implement me
-      throw server.error(-101, 'Not implemented');
+    invokefunction: async (
+      args: [string, string, Array<ContractParameterJSON>],
+    ) => {
+      const scriptHash = JSONHelper.readUInt160(args[0]);
+      const params = (args[2] || []).map(param => toScriptBuilderParam(param));
+      const script = new ScriptBuilder()
+        .emitAppCall(scriptHash, args[1], ...params)
+        .build();
+      return invokeScript(script);
     },
-    invokescriptv2: async (args: [string]) => {
+    invokescript: async (args: [string]) =>
+      invokeScript(JSONHelper.readBuffer(args[0])),
+    invokescriptv2: async (args: [string, ?boolean]) => {
       const script = JSONHelper.readBuffer(args[0]);
-      const result = await blockchain.invokeScript(script);
+      const result = await blockchain.invokeScript(script, {
+        profile: !!args[1],
+      });
       return result.serializeJSON(blockchain.serializeJSONContext);
     },
     sendrawtransaction: async args => {
@@ -185,16 +678,89 @@ export default ({
         context: blockchain.deserializeWireContext,
         buffer: JSONHelper.readBuffer(args[0]),
       });
+      if (node.memPool[transaction.hashHex] != null) {
+        throw server.error(
+          SEND_TRANSACTION_ERROR.ALREADY_IN_POOL,
+          'Transaction already exists in mempool',
+        );
+      }
+
       try {
         await node.relayTransaction(transaction);
         return true;
       } catch (error) {
-        return false;
+        const code = _.has(SEND_TRANSACTION_ERROR, error.code)
+          ? SEND_TRANSACTION_ERROR[error.code]
+          : SEND_TRANSACTION_ERROR.INVALID;
+        throw server.error(code, error.message);
       }
     },
-    submitblock: async () => {
-      // TODO: Implement me
-      throw server.error(-101, 'Not implemented');
+    submitblock: async (args: [string]) => {
+      let block;
+      try {
+        block = Block.deserializeWire({
+          context: blockchain.deserializeWireContext,
+          buffer: JSONHelper.readBuffer(args[0]),
+        });
+      } catch (error) {
+        throw server.error(-500, `Invalid block format: ${error.message}`);
+      }
+
+      const foundBlock = await blockchain.block.tryGet({
+        hashOrIndex: block.hash,
+      });
+      if (foundBlock != null) {
+        throw server.error(-501, 'Block already exists');
+      }
+
+      if (block.index !== blockchain.currentBlockIndex + 1) {
+        throw server.error(
+          -503,
+          `Block height out of order. Expected ` +
+            `${blockchain.currentBlockIndex + 1}, found ${block.index}`,
+        );
+      }
+
+      try {
+        await blockchain.verifyBlock(block);
+      } catch (error) {
+        throw server.error(-502, `Block verification failed: ${error.message}`);
+      }
+
+      try {
+        await node.relayBlock(block);
+      } catch (error) {
+        throw server.error(-504, `Block was not persisted: ${error.message}`);
+      }
+      // relayBlock resolves without persisting when the node persisted
+      // another block at the same height in the meantime.
+      const persistedBlock = await blockchain.block.tryGet({
+        hashOrIndex: block.hash,
+      });
+      if (persistedBlock == null) {
+        throw server.error(-504, 'Block was not persisted');
+      }
+
+      return true;
+    },
+    generateblocks: async (args: [number | void]) => {
+      const count = args[0] == null ? 1 : args[0];
+      if (
+        !Number.isInteger(count) ||
+        count <= 0 ||
+        count > MAX_GENERATE_BLOCKS
+      ) {
+        throw server.error(-100, 'Invalid count');
+      }
+
+      let blocks;
+      try {
+        blocks = await node.generateBlocks(count);
+      } catch (error) {
+        throw server.error(-600, `Block generation failed: ${error.message}`);
+      }
+
+      return blocks.map(block => JSONHelper.writeUInt256(block.hash));
     },
     validateaddress: async args => {
       let scriptHash;
@@ -209,10 +775,16 @@ export default ({
 
       return { address: args[0], isvalid: scriptHash != null };
     },
-    getpeers: async () => {
-      // TODO: Implement me
-      throw server.error(-101, 'Not implemented');
-    },
+    getpeers: async () => ({
+      connected: node.connectedPeers.map(toPeerJSON),
+      unconnected: node.unconnectedPeers.map(toPeerJSON),
+      bad: node.badPeers.map(toPeerJSON),
+    }),
+    getversion: async () => ({
+      port: node.port,
+      nonce: node.nonce,
+      useragent: node.userAgent,
+    }),
     getactions: async (
       args: [
         {
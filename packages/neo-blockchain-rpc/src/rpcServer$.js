@@ -24,6 +24,7 @@ import {
   type CreateLogForContext,
   type CreateProfile,
   type ReadyHealthCheckOptions,
+  type TraceTransactionOptions,
   context,
   cors,
   liveHealthCheck,
@@ -32,6 +33,9 @@ import {
   readyHealthCheck,
   rpc,
 } from './middleware';
+import createWebSocketServer, {
+  type WebSocketServer,
+} from './createWebSocketServer';
 
 export type ServerOptions = {|
   keepAliveTimeout: number,
@@ -60,6 +64,7 @@ export type Environment = {|
     port: number,
     host: string,
   |},
+  traceTransaction?: TraceTransactionOptions,
 |};
 
 export type Options = {|
@@ -74,6 +79,7 @@ type Listener = (
 type HandleServerResult<T: http.Server | https.Server> = {|
   server: ?T,
   listener: ?Listener,
+  webSocketServer: ?WebSocketServer,
   app: Koa,
 |};
 
@@ -83,6 +89,7 @@ async function handleServer<
 >({
   log,
   createServer,
+  createWebSocketServer: createWebSocketServerForServer,
   options,
   app,
   keepAliveTimeout,
@@ -90,16 +97,23 @@ async function handleServer<
 }: {|
   log: Log,
   createServer: (options: TOptions) => T,
+  createWebSocketServer: (server: T) => WebSocketServer,
   options?: ?TOptions,
   app: Koa,
   keepAliveTimeout: number,
   prevResult: ?HandleServerResult<T>,
 |}): Promise<HandleServerResult<T>> {
-  const { app: prevApp, listener: prevListener, server: prevServer } =
+  const {
+    app: prevApp,
+    listener: prevListener,
+    server: prevServer,
+    webSocketServer: prevWebSocketServer,
+  } =
     prevResult || {};
 
   let server = prevServer;
   let listener = prevListener;
+  let webSocketServer = prevWebSocketServer;
   if (options != null) {
     const startServer = server == null;
     const safeServer = server == null ? createServer(options) : server;
@@ -118,6 +132,7 @@ async function handleServer<
     server.keepAliveTimeout = keepAliveTimeout;
 
     if (startServer) {
+      webSocketServer = createWebSocketServerForServer(safeServer);
       const { host, port } = options;
       await new Promise(resolve =>
         safeServer.listen(port, host, 511, () => resolve()),
@@ -126,12 +141,16 @@ async function handleServer<
     }
   }
 
-  return { server, listener, app };
+  return { server, listener, webSocketServer, app };
 }
 
 const finalizeServer = async (
   result: ?HandleServerResult<http.Server | https.Server>,
 ) => {
+  if (result != null && result.webSocketServer != null) {
+    await result.webSocketServer.close();
+  }
+
   if (result != null && result.server != null) {
     const { server } = result;
     await new Promise(resolve => server.close(() => resolve()));
@@ -172,7 +191,11 @@ export default ({
         readyHealthCheck({ blockchain, options: readyHealthCheckOptions }),
         logger,
         cors,
-        rpc({ blockchain, node }),
+        rpc({
+          blockchain,
+          node,
+          traceTransaction: environment.traceTransaction,
+        }),
       ];
 
       for (const middleware of middlewares) {
@@ -198,6 +221,8 @@ export default ({
           handleServer({
             log,
             createServer,
+            createWebSocketServer: server =>
+              createWebSocketServer({ server, blockchain, node, log }),
             options,
             app,
             keepAliveTimeout,
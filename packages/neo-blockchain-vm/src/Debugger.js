@@ -0,0 +1,204 @@
+/* @flow */
+import {
+  type OnStepInput,
+  type StorageChange,
+  type VMContext,
+} from 'neo-blockchain-node-core';
+import {
+  type ContractParameter,
+  type OpCode,
+  type UInt160,
+  common,
+} from 'neo-blockchain-core';
+
+import { DebuggerAbortedError, DebuggerNotPausedError } from './errors';
+
+export type DebuggerBreakpoint = {|
+  scriptHash: UInt160,
+  pc: number,
+|};
+
+export type DebuggerPauseReason = 'pause' | 'breakpoint' | 'step';
+
+export type DebuggerState = {|
+  reason: DebuggerPauseReason,
+  opCode: OpCode,
+  context: VMContext,
+|};
+
+type StepMode = 'into' | 'over' | 'out';
+type Step = {|
+  mode: StepMode,
+  depth: number,
+|};
+
+const getBreakpointKey = ({ scriptHash, pc }: DebuggerBreakpoint): string =>
+  `${common.uInt160ToHex(scriptHash)}:${pc}`;
+
+// Drives a VM execution through its onStep hook. Pass debugger.onStep to
+// Blockchain.invokeScript; execution blocks while the debugger is paused and
+// continues once resume or one of the step methods is called. APPCALL and CALL
+// run the callee one level deeper while TAILCALL replaces the current frame,
+// so stepping over a TAILCALL stops at the first instruction of the callee.
+export default class Debugger {
+  _breakpoints: Map<string, DebuggerBreakpoint>;
+  _onPause: ?(state: DebuggerState) => void;
+  _pauseRequested: boolean;
+  _aborted: boolean;
+  _step: ?Step;
+  _continue: ?() => void;
+  _state: ?DebuggerState;
+
+  constructor(
+    {
+      onPause,
+    }: {|
+      onPause?: (state: DebuggerState) => void,
+    |} = {},
+  ) {
+    this._breakpoints = new Map();
+    this._onPause = onPause;
+    this._pauseRequested = false;
+    this._aborted = false;
+    this._step = null;
+    this._continue = null;
+    this._state = null;
+  }
+
+  get paused(): boolean {
+    return this._state != null;
+  }
+
+  get state(): ?DebuggerState {
+    return this._state;
+  }
+
+  get breakpoints(): Array<DebuggerBreakpoint> {
+    return [...this._breakpoints.values()];
+  }
+
+  get stack(): Array<ContractParameter> {
+    return this._getContext().stack;
+  }
+
+  get stackAlt(): Array<ContractParameter> {
+    return this._getContext().stackAlt;
+  }
+
+  get storageChanges(): Array<StorageChange> {
+    return this._getContext().storageChanges;
+  }
+
+  addBreakpoint(breakpoint: DebuggerBreakpoint): void {
+    this._breakpoints.set(getBreakpointKey(breakpoint), breakpoint);
+  }
+
+  removeBreakpoint(breakpoint: DebuggerBreakpoint): boolean {
+    return this._breakpoints.delete(getBreakpointKey(breakpoint));
+  }
+
+  clearBreakpoints(): void {
+    this._breakpoints.clear();
+  }
+
+  // Pauses before the next instruction executes.
+  pause(): void {
+    this._pauseRequested = true;
+  }
+
+  resume(): void {
+    this._resume(null);
+  }
+
+  stepInto(): void {
+    this._resume('into');
+  }
+
+  stepOver(): void {
+    this._resume('over');
+  }
+
+  stepOut(): void {
+    this._resume('out');
+  }
+
+  // Fails the execution at the next instruction.
+  abort(): void {
+    this._aborted = true;
+    this._resume(null);
+  }
+
+  onStep = async ({ context, opCode }: OnStepInput): Promise<void> => {
+    if (this._aborted) {
+      throw new DebuggerAbortedError();
+    }
+
+    const reason = this._getPauseReason(context);
+    if (reason == null) {
+      return;
+    }
+
+    this._pauseRequested = false;
+    this._step = null;
+    const state = { reason, opCode, context };
+    await new Promise(resolve => {
+      this._continue = resolve;
+      this._state = state;
+      if (this._onPause != null) {
+        this._onPause(state);
+      }
+    });
+
+    if (this._aborted) {
+      throw new DebuggerAbortedError();
+    }
+  };
+
+  _getPauseReason(context: VMContext): ?DebuggerPauseReason {
+    if (this._pauseRequested) {
+      return 'pause';
+    }
+
+    const step = this._step;
+    if (
+      step != null &&
+      (step.mode === 'into' ||
+        (step.mode === 'over' && context.depth <= step.depth) ||
+        (step.mode === 'out' && context.depth < step.depth))
+    ) {
+      return 'step';
+    }
+
+    if (
+      this._breakpoints.has(
+        getBreakpointKey({ scriptHash: context.scriptHash, pc: context.pc }),
+      )
+    ) {
+      return 'breakpoint';
+    }
+
+    return null;
+  }
+
+  _getContext(): VMContext {
+    const state = this._state;
+    if (state == null) {
+      throw new DebuggerNotPausedError();
+    }
+
+    return state.context;
+  }
+
+  _resume(mode: ?StepMode): void {
+    const state = this._state;
+    const resolve = this._continue;
+    if (state == null || resolve == null) {
+      return;
+    }
+
+    this._step = mode == null ? null : { mode, depth: state.context.depth };
+    this._state = null;
+    this._continue = null;
+    resolve();
+  }
+}
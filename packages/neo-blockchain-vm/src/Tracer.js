@@ -0,0 +1,198 @@
+/* @flow */
+import type BN from 'bn.js';
+import {
+  type ContractParameter,
+  type ContractParameterJSON,
+  type OpCode,
+  type SerializeJSONContext,
+  type UInt160,
+  JSONHelper,
+} from 'neo-blockchain-core';
+import { type OnStepInput } from 'neo-blockchain-node-core';
+
+import { readSysCall } from './syscalls';
+
+export type TraceStackDelta = {|
+  popped: Array<ContractParameter>,
+  pushed: Array<ContractParameter>,
+|};
+
+export type TraceStep = {|
+  scriptHash: UInt160,
+  pc: number,
+  depth: number,
+  opCode: OpCode,
+  gasLeft: BN,
+  // Null until the next step (or finish) reveals the resulting stack.
+  delta: ?TraceStackDelta,
+|};
+
+export type TraceSysCall = {|
+  step: number,
+  name: string,
+  args: Array<ContractParameter>,
+|};
+
+export type TraceStepJSON = {|
+  scriptHash: string,
+  pc: number,
+  depth: number,
+  opCode: OpCode,
+  gasLeft: string,
+  delta: ?{|
+    popped: Array<ContractParameterJSON>,
+    pushed: Array<ContractParameterJSON>,
+  |},
+|};
+
+export type TraceSysCallJSON = {|
+  step: number,
+  name: string,
+  args: Array<ContractParameterJSON>,
+|};
+
+export type TraceJSON = {|
+  start: number,
+  stepCount: number,
+  steps: Array<TraceStepJSON>,
+  syscalls: Array<TraceSysCallJSON>,
+|};
+
+const getItemKey = (item: ContractParameter): string =>
+  item.serializeWire().toString('hex');
+
+// Records the limit instructions of an execution starting at step start and
+// counts the rest. Pass tracer.onStep to the VM; each recorded step's stack
+// delta is computed by diffing the evaluation stack against the following
+// step, so call finish with the final stack once execution completes to fill
+// in the delta of the last instruction. The stack is only read for recorded
+// steps.
+export default class Tracer {
+  _start: number;
+  _limit: number;
+  _stepCount: number;
+  _steps: Array<TraceStep>;
+  _sysCalls: Array<TraceSysCall>;
+  _stack: Array<ContractParameter>;
+  _stackKeys: Array<string>;
+
+  constructor(options?: {| start?: number, limit?: number |}) {
+    const { start = 0, limit = Infinity } = options || {};
+    this._start = start;
+    this._limit = limit;
+    this._stepCount = 0;
+    this._steps = [];
+    this._sysCalls = [];
+    this._stack = [];
+    this._stackKeys = [];
+  }
+
+  get stepCount(): number {
+    return this._stepCount;
+  }
+
+  get steps(): Array<TraceStep> {
+    return this._steps;
+  }
+
+  get sysCalls(): Array<TraceSysCall> {
+    return this._sysCalls;
+  }
+
+  onStep = ({ context, opCode }: OnStepInput): void => {
+    const step = this._stepCount;
+    this._stepCount += 1;
+    const end = this._start + this._limit;
+    if (step < this._start || step > end) {
+      return;
+    }
+
+    const { stack } = context;
+    this._setStack(stack);
+    if (step === end) {
+      return;
+    }
+
+    if (opCode === 'SYSCALL') {
+      const sysCall = readSysCall(context.script.code, context.pc + 1);
+      this._sysCalls.push({
+        step,
+        name: sysCall.name,
+        args: stack.slice(0, sysCall.in),
+      });
+    }
+
+    this._steps.push({
+      scriptHash: context.scriptHash,
+      pc: context.pc,
+      depth: context.depth,
+      opCode,
+      gasLeft: context.gasLeft,
+      delta: null,
+    });
+  };
+
+  finish(stack: Array<ContractParameter>): void {
+    if (this._stepCount <= this._start + this._limit) {
+      this._setStack(stack);
+    }
+  }
+
+  serializeJSON(context: SerializeJSONContext): TraceJSON {
+    const serializeItems = (items: Array<ContractParameter>) =>
+      items.map(item => item.serializeJSON(context));
+
+    return {
+      start: this._start,
+      stepCount: this._stepCount,
+      steps: this._steps.map(step => {
+        const { delta } = step;
+        return {
+          scriptHash: JSONHelper.writeUInt160(step.scriptHash),
+          pc: step.pc,
+          depth: step.depth,
+          opCode: step.opCode,
+          gasLeft: JSONHelper.writeFixed8(step.gasLeft),
+          delta:
+            delta == null
+              ? null
+              : {
+                  popped: serializeItems(delta.popped),
+                  pushed: serializeItems(delta.pushed),
+                },
+        };
+      }),
+      syscalls: this._sysCalls.map(({ step, name, args }) => ({
+        step,
+        name,
+        args: serializeItems(args),
+      })),
+    };
+  }
+
+  // Stacks are ordered top first, so the unchanged items are the longest
+  // common suffix of the previous and current stack.
+  _setStack(stack: Array<ContractParameter>): void {
+    const stackKeys = stack.map(getItemKey);
+    const previous = this._steps[this._steps.length - 1];
+    if (previous != null) {
+      let unchanged = 0;
+      while (
+        unchanged < stackKeys.length &&
+        unchanged < this._stackKeys.length &&
+        stackKeys[stackKeys.length - 1 - unchanged] ===
+          this._stackKeys[this._stackKeys.length - 1 - unchanged]
+      ) {
+        unchanged += 1;
+      }
+
+      previous.delta = {
+        popped: this._stack.slice(0, this._stack.length - unchanged),
+        pushed: stack.slice(0, stack.length - unchanged),
+      };
+    }
+
+    this._stack = stack;
+    this._stackKeys = stackKeys;
+  }
+}
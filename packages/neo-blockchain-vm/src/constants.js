@@ -2,11 +2,12 @@
 import BN from 'bn.js';
 import {
   type ExecutionAction,
+  type OnStep,
   type TriggerType,
-  type VMContext,
   type WriteBlockchain,
 } from 'neo-blockchain-node-core';
 import {
+  type InvocationProfile,
   type OpCode,
   type ScriptContainer,
   type SysCallName,
@@ -30,8 +31,8 @@ export type ExecutionInit = {|
   scriptContainer: ScriptContainer,
   triggerType: TriggerType,
   action: ExecutionAction,
-  // eslint-disable-next-line
-  onStep?: (input: {| context: VMContext, opCode: OpCode |}) => void,
+  onStep?: OnStep,
+  profile?: InvocationProfile,
 |};
 type CreatedContracts = { [hash: UInt160Hex]: UInt160 };
 export type Options = {|
@@ -99,6 +100,7 @@ export type Op = {|
   fee: BN,
   invoke: OpInvoke,
   context: ExecutionContext,
+  sysCall?: SysCallName,
 |};
 
 export type SysCall = {|
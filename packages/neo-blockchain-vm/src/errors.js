@@ -218,6 +218,24 @@ export class InvalidSetItemIndexError extends VMError {
   }
 }
 
+export class InvalidPickItemKeyError extends VMError {
+  constructor() {
+    super('Invalid PICKITEM Key');
+  }
+}
+
+export class InvalidRemoveIndexError extends VMError {
+  constructor() {
+    super('Invalid REMOVE Index');
+  }
+}
+
+export class InvalidHasKeyIndexError extends VMError {
+  constructor() {
+    super('Invalid HASKEY Index');
+  }
+}
+
 export class InvalidCheckWitnessArgumentsError extends VMError {
   constructor() {
     super('Invalid CheckWitness Arguments');
@@ -293,3 +311,15 @@ export class InvalidContractGetStorageContextError extends VMError {
     super('Invalid Contract.GetStorageContext context');
   }
 }
+
+export class DebuggerAbortedError extends VMError {
+  constructor() {
+    super('Execution aborted by the debugger.');
+  }
+}
+
+export class DebuggerNotPausedError extends VMError {
+  constructor() {
+    super('Debugger is not paused.');
+  }
+}
@@ -1,23 +1,32 @@
 /* @flow */
 import type BN from 'bn.js';
 import {
+  type ChangeSet,
   type ExecutionAction,
+  type OnStep,
   type Script,
   type ExecuteScriptsResult,
+  type StorageChange,
   type TriggerType,
   type VMContext,
   type WriteBlockchain,
 } from 'neo-blockchain-node-core';
 import {
+  type InvocationProfile,
+  type InvocationProfileEntries,
   type ScriptContainer,
-  type OpCode,
+  type UInt160,
+  common,
   crypto,
   utils,
 } from 'neo-blockchain-core';
+// $FlowFixMe
+import { performance } from 'perf_hooks'; // eslint-disable-line
 
 import {
   type ExecutionContext,
   type ExecutionInit,
+  type Op,
   type Options,
   MAX_ARRAY_SIZE,
   MAX_INVOCATION_STACK_SIZE,
@@ -38,13 +47,30 @@ import {
 
 import { lookupOp } from './opcodes';
 
-const createVMContext = (context: ExecutionContext): VMContext => ({
+const getStorageChanges = (changeSet: ChangeSet): Array<StorageChange> =>
+  changeSet
+    .map(change => {
+      if (change.type === 'add') {
+        const { change: add } = change;
+        return add.type === 'storageItem'
+          ? { type: 'add', item: add.value }
+          : null;
+      }
+
+      const { change: del } = change;
+      return del.type === 'storageItem'
+        ? { type: 'delete', key: del.key }
+        : null;
+    })
+    .filter(Boolean);
+
+const createVMContext = (context: ExecutionContext, pc: number): VMContext => ({
   script: {
     code: context.code,
     pushOnly: context.pushOnly,
   },
   scriptHash: context.scriptHash,
-  pc: context.pc,
+  pc,
   depth: context.depth,
   get stack() {
     return context.stack.map(val => val.toContractParameter());
@@ -54,8 +80,54 @@ const createVMContext = (context: ExecutionContext): VMContext => ({
   },
   done: context.done,
   gasLeft: context.gasLeft,
+  get storageChanges() {
+    return getStorageChanges(context.blockchain.getChangeSet());
+  },
 });
 
+const addProfileEntry = (
+  entries: InvocationProfileEntries,
+  name: string,
+  fee: BN,
+  time: number,
+) => {
+  const entry = entries[name];
+  // eslint-disable-next-line
+  entries[name] =
+    entry == null
+      ? { count: 1, fee, time }
+      : {
+          count: entry.count + 1,
+          fee: entry.fee.add(fee),
+          time: entry.time + time,
+        };
+};
+
+const recordProfile = ({
+  profile,
+  scriptHash,
+  op,
+  time,
+}: {|
+  profile: InvocationProfile,
+  scriptHash: UInt160,
+  op: Op,
+  time: number,
+|}) => {
+  const hash = common.uInt160ToHex(scriptHash);
+  let contract = profile[hash];
+  if (contract == null) {
+    contract = { opCodes: {}, sysCalls: {} };
+    // eslint-disable-next-line
+    profile[hash] = contract;
+  }
+
+  addProfileEntry(contract.opCodes, op.name, op.fee, time);
+  if (op.sysCall != null) {
+    addProfileEntry(contract.sysCalls, op.sysCall, op.fee, time);
+  }
+};
+
 const executeNext = async ({
   context: contextIn,
 }: {|
@@ -73,14 +145,16 @@ const executeNext = async ({
     };
   }
 
+  const { pc } = context;
   const op = lookupOp({ context });
   // eslint-disable-next-line
   context = op.context;
 
   const { onStep } = context.init;
   if (onStep != null) {
+    // Report the offset of the op rather than of its operands.
     await onStep({
-      context: createVMContext(context),
+      context: createVMContext(context, pc),
       opCode: op.name,
     });
   }
@@ -137,6 +211,8 @@ const executeNext = async ({
     throw new OutOfGASError();
   }
 
+  const { profile } = context.init;
+  const start = profile == null ? 0 : performance.now();
   let result;
   try {
     result = op.invoke({ context, args, argsAlt });
@@ -150,6 +226,15 @@ const executeNext = async ({
     const newError = new VMErrorNew(context, `VM Error: ${error.message}`);
     newError.stack = error.stack;
     throw newError;
+  } finally {
+    if (profile != null) {
+      recordProfile({
+        profile,
+        scriptHash: context.scriptHash,
+        op,
+        time: performance.now() - start,
+      });
+    }
   }
 
   const { context: newContext, results, resultsAlt } = result;
@@ -249,6 +334,7 @@ export default async ({
   action,
   gas,
   onStep,
+  profile,
 }: {|
   scripts: Array<Script>,
   blockchain: WriteBlockchain,
@@ -256,13 +342,15 @@ export default async ({
   triggerType: TriggerType,
   action: ExecutionAction,
   gas: BN,
-  onStep?: (input: {| context: VMContext, opCode: OpCode |}) => void,
+  onStep?: OnStep,
+  profile?: InvocationProfile,
 |}): Promise<ExecuteScriptsResult> => {
   const init = {
     scriptContainer,
     triggerType,
     action,
     onStep,
+    profile,
   };
 
   let context;
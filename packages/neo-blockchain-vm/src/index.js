@@ -4,3 +4,22 @@ import execute from './execute';
 export default {
   executeScripts: execute,
 };
+
+export { default as Debugger } from './Debugger';
+export { default as Tracer } from './Tracer';
+export { default as disassembleByteCode } from './disassembleByteCode';
+export { DebuggerAbortedError } from './errors';
+
+export type {
+  DebuggerBreakpoint,
+  DebuggerPauseReason,
+  DebuggerState,
+} from './Debugger';
+export type {
+  TraceJSON,
+  TraceStackDelta,
+  TraceStep,
+  TraceStepJSON,
+  TraceSysCall,
+  TraceSysCallJSON,
+} from './Tracer';
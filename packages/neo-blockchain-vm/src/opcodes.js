@@ -15,6 +15,7 @@ import {
   BooleanStackItem,
   BufferStackItem,
   IntegerStackItem,
+  MapStackItem,
   StructStackItem,
   UInt160StackItem,
   UInt256StackItem,
@@ -28,8 +29,11 @@ import {
 import {
   CodeOverflowError,
   InvalidCheckMultisigArgumentsError,
+  InvalidHasKeyIndexError,
   InvalidPackCountError,
   InvalidPickItemIndexError,
+  InvalidPickItemKeyError,
+  InvalidRemoveIndexError,
   InvalidSetItemIndexError,
   LeftNegativeError,
   PickNegativeError,
@@ -328,6 +332,7 @@ const OPCODE_PAIRS = [
           fee: sysCall.fee,
           invoke: sysCall.invoke,
           context: sysCall.context,
+          sysCall: sysCall.name,
         };
       },
     ],
@@ -1302,18 +1307,21 @@ const OPCODE_PAIRS = [
         name: 'ARRAYSIZE',
         in: 1,
         out: 1,
-        invoke: ({ context, args }: OpInvokeArgs) => ({
-          context,
-          results: [
-            new IntegerStackItem(
-              new BN(
-                args[0].isArray()
-                  ? args[0].asArray().length
-                  : args[0].asBuffer().length,
-              ),
-            ),
-          ],
-        }),
+        invoke: ({ context, args }: OpInvokeArgs) => {
+          let size;
+          if (args[0].isMap()) {
+            ({ size } = args[0].asMapStackItem());
+          } else if (args[0].isArray()) {
+            size = args[0].asArray().length;
+          } else {
+            size = args[0].asBuffer().length;
+          }
+
+          return {
+            context,
+            results: [new IntegerStackItem(new BN(size))],
+          };
+        },
       }),
     ],
     [
@@ -1379,6 +1387,15 @@ const OPCODE_PAIRS = [
         in: 2,
         out: 1,
         invoke: ({ context, args }: OpInvokeArgs) => {
+          if (args[1].isMap()) {
+            const item = args[1].asMapStackItem().get(args[0]);
+            if (item == null) {
+              throw new InvalidPickItemKeyError();
+            }
+
+            return { context, results: [item] };
+          }
+
           const index = vmUtils.toNumber(context, args[0].asBigInteger());
           const value = args[1].asArray();
           if (index < 0 || index >= value.length) {
@@ -1391,24 +1408,42 @@ const OPCODE_PAIRS = [
     ],
     [
       0xc4,
-      createOp({
-        name: 'SETITEM',
-        in: 3,
-        invoke: ({ context, args }: OpInvokeArgs) => {
-          let newItem = args[0];
-          if (newItem instanceof StructStackItem) {
-            newItem = newItem.clone();
-          }
-          const index = vmUtils.toNumber(context, args[1].asBigInteger());
-          const value = args[2].asArray();
-          if (index < 0 || index >= value.length) {
-            throw new InvalidSetItemIndexError();
-          }
+      ({ context: contextIn }: CreateOpArgs) => {
+        const { stack } = contextIn;
+        const key = stack[1];
+        const collection = stack[2];
+        // Adding a key grows the map, so it counts against MAX_ARRAY_SIZE.
+        let array = 0;
+        if (key != null && collection != null && collection.isMap()) {
+          const map = collection.asMapStackItem();
+          array = map.has(key) ? map.size : map.size + 1;
+        }
 
-          value[index] = newItem;
-          return { context };
-        },
-      }),
+        return createOp({
+          name: 'SETITEM',
+          in: 3,
+          array,
+          invoke: ({ context, args }: OpInvokeArgs) => {
+            let newItem = args[0];
+            if (newItem instanceof StructStackItem) {
+              newItem = newItem.clone();
+            }
+            if (args[2].isMap()) {
+              args[2].asMapStackItem().set(args[1], newItem);
+              return { context };
+            }
+
+            const index = vmUtils.toNumber(context, args[1].asBigInteger());
+            const value = args[2].asArray();
+            if (index < 0 || index >= value.length) {
+              throw new InvalidSetItemIndexError();
+            }
+
+            value[index] = newItem;
+            return { context };
+          },
+        })({ context: contextIn });
+      },
     ],
     [
       0xc5,
@@ -1446,6 +1481,104 @@ const OPCODE_PAIRS = [
         }),
       }),
     ],
+    [
+      0xc7,
+      createOp({
+        name: 'NEWMAP',
+        out: 1,
+        invoke: ({ context }: OpInvokeArgs) => ({
+          context,
+          results: [new MapStackItem()],
+        }),
+      }),
+    ],
+    [
+      0xca,
+      createOp({
+        name: 'REMOVE',
+        in: 2,
+        invoke: ({ context, args }: OpInvokeArgs) => {
+          if (args[1].isMap()) {
+            args[1].asMapStackItem().delete(args[0]);
+            return { context };
+          }
+
+          const index = vmUtils.toNumber(context, args[0].asBigInteger());
+          const value = args[1].asArray();
+          if (index < 0 || index >= value.length) {
+            throw new InvalidRemoveIndexError();
+          }
+
+          value.splice(index, 1);
+          return { context };
+        },
+      }),
+    ],
+    [
+      0xcb,
+      createOp({
+        name: 'HASKEY',
+        in: 2,
+        out: 1,
+        invoke: ({ context, args }: OpInvokeArgs) => {
+          if (args[1].isMap()) {
+            return {
+              context,
+              results: [
+                new BooleanStackItem(args[1].asMapStackItem().has(args[0])),
+              ],
+            };
+          }
+
+          const index = vmUtils.toNumber(context, args[0].asBigInteger());
+          if (index < 0) {
+            throw new InvalidHasKeyIndexError();
+          }
+
+          return {
+            context,
+            results: [new BooleanStackItem(index < args[1].asArray().length)],
+          };
+        },
+      }),
+    ],
+    [
+      0xcc,
+      createOp({
+        name: 'KEYS',
+        in: 1,
+        out: 1,
+        invoke: ({ context, args }: OpInvokeArgs) => ({
+          context,
+          results: [new ArrayStackItem(args[0].asMapStackItem().keys())],
+        }),
+      }),
+    ],
+    [
+      0xcd,
+      createOp({
+        name: 'VALUES',
+        in: 1,
+        out: 1,
+        invoke: ({ context, args }: OpInvokeArgs) => {
+          const values = args[0].isMap()
+            ? args[0].asMapStackItem().values()
+            : args[0].asArray();
+
+          return {
+            context,
+            results: [
+              new ArrayStackItem(
+                values.map(
+                  value =>
+                    value instanceof StructStackItem ? value.clone() : value,
+                ),
+              ),
+            ],
+          };
+        },
+      }),
+    ],
     [
       0xf0,
       createOp({
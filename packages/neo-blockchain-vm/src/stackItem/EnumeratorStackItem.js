@@ -0,0 +1,35 @@
+/* @flow */
+import {
+  type ContractParameter,
+  InteropInterfaceContractParameter,
+} from 'neo-blockchain-core';
+
+import { InvalidValueBufferError } from './errors';
+import StackItemBase from './StackItemBase';
+import { type StackItemEnumerator } from './StackItemEnumerator';
+
+export default class EnumeratorStackItem extends StackItemBase {
+  value: StackItemEnumerator;
+
+  constructor(value: StackItemEnumerator) {
+    super();
+    this.value = value;
+  }
+
+  asBoolean(): boolean {
+    return true;
+  }
+
+  // eslint-disable-next-line
+  asBuffer(): Buffer {
+    throw new InvalidValueBufferError();
+  }
+
+  asEnumerator(): StackItemEnumerator {
+    return this.value;
+  }
+
+  toContractParameter(): ContractParameter {
+    return new InteropInterfaceContractParameter();
+  }
+}
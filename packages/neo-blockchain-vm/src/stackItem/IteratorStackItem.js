@@ -0,0 +1,43 @@
+/* @flow */
+import {
+  type ContractParameter,
+  InteropInterfaceContractParameter,
+} from 'neo-blockchain-core';
+
+import { InvalidValueBufferError } from './errors';
+import StackItemBase from './StackItemBase';
+import {
+  type StackItemEnumerator,
+  type StackItemIterator,
+} from './StackItemEnumerator';
+
+// Iterators may be used anywhere an enumerator is expected.
+export default class IteratorStackItem extends StackItemBase {
+  value: StackItemIterator;
+
+  constructor(value: StackItemIterator) {
+    super();
+    this.value = value;
+  }
+
+  asBoolean(): boolean {
+    return true;
+  }
+
+  // eslint-disable-next-line
+  asBuffer(): Buffer {
+    throw new InvalidValueBufferError();
+  }
+
+  asEnumerator(): StackItemEnumerator {
+    return this.value;
+  }
+
+  asIterator(): StackItemIterator {
+    return this.value;
+  }
+
+  toContractParameter(): ContractParameter {
+    return new InteropInterfaceContractParameter();
+  }
+}
@@ -0,0 +1,87 @@
+/* @flow */
+import {
+  type ContractParameter,
+  MapContractParameter,
+} from 'neo-blockchain-core';
+
+import { InvalidValueBufferError, InvalidMapKeyError } from './errors';
+import StackItemBase from './StackItemBase';
+import type { StackItem } from './StackItem';
+
+// Keys are compared by their byte representation, so only primitive items
+// may be used as keys. Entries are kept in insertion order.
+export default class MapStackItem extends StackItemBase {
+  _entries: Map<string, {| key: StackItem, value: StackItem |}>;
+
+  constructor() {
+    super();
+    this._entries = new Map();
+  }
+
+  has(key: StackItem): boolean {
+    return this._entries.has(this._toKeyString(key));
+  }
+
+  get(key: StackItem): ?StackItem {
+    const entry = this._entries.get(this._toKeyString(key));
+    return entry == null ? null : entry.value;
+  }
+
+  set(key: StackItem, value: StackItem): void {
+    this._entries.set(this._toKeyString(key), { key, value });
+  }
+
+  delete(key: StackItem): void {
+    this._entries.delete(this._toKeyString(key));
+  }
+
+  get size(): number {
+    return this._entries.size;
+  }
+
+  keys(): Array<StackItem> {
+    return [...this._entries.values()].map(({ key }) => key);
+  }
+
+  values(): Array<StackItem> {
+    return [...this._entries.values()].map(({ value }) => value);
+  }
+
+  isMap(): boolean {
+    return true;
+  }
+
+  asMapStackItem(): MapStackItem {
+    return this;
+  }
+
+  asBoolean(): boolean {
+    return true;
+  }
+
+  // eslint-disable-next-line
+  asBuffer(): Buffer {
+    throw new InvalidValueBufferError();
+  }
+
+  toContractParameter(): ContractParameter {
+    return new MapContractParameter(
+      [...this._entries.values()].map(({ key, value }) => [
+        key.toContractParameter(),
+        value.toContractParameter(),
+      ]),
+    );
+  }
+
+  _toKeyString(key: StackItem): string {
+    if (key.isArray() || key.isMap()) {
+      throw new InvalidMapKeyError();
+    }
+    const buffer = key.asBufferMaybe();
+    if (buffer == null) {
+      throw new InvalidMapKeyError();
+    }
+
+    return buffer.toString('hex');
+  }
+}
@@ -18,6 +18,9 @@ import ValidatorStackItem from './ValidatorStackItem';
 import StorageContextStackItem from './StorageContextStackItem';
 import ECPointStackItem from './ECPointStackItem';
 import StructStackItem from './StructStackItem';
+import EnumeratorStackItem from './EnumeratorStackItem';
+import IteratorStackItem from './IteratorStackItem';
+import MapStackItem from './MapStackItem';
 
 export type StackItem =
   | ArrayStackItem
@@ -38,4 +41,7 @@ export type StackItem =
   | ValidatorStackItem
   | StorageContextStackItem
   | ECPointStackItem
-  | StructStackItem;
+  | StructStackItem
+  | EnumeratorStackItem
+  | IteratorStackItem
+  | MapStackItem;
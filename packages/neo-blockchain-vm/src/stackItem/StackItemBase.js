@@ -37,8 +37,16 @@ import {
   InvalidValueContractError,
   InvalidValueValidatorError,
   InvalidValueStorageContextStackItemError,
+  InvalidValueEnumeratorError,
+  InvalidValueIteratorError,
+  InvalidValueMapStackItemError,
 } from './errors';
+import type MapStackItem from './MapStackItem';
 import type { StackItem } from './StackItem';
+import type {
+  StackItemEnumerator,
+  StackItemIterator,
+} from './StackItemEnumerator';
 import type StorageContextStackItem from './StorageContextStackItem';
 
 export type AsStorageContextStackItemOptions = {|
@@ -160,10 +168,26 @@ export default class StackItemBase implements Equatable {
     throw new InvalidValueStorageContextStackItemError();
   }
 
+  asEnumerator(): StackItemEnumerator {
+    throw new InvalidValueEnumeratorError();
+  }
+
+  asIterator(): StackItemIterator {
+    throw new InvalidValueIteratorError();
+  }
+
+  asMapStackItem(): MapStackItem {
+    throw new InvalidValueMapStackItemError();
+  }
+
   isArray(): boolean {
     return false;
   }
 
+  isMap(): boolean {
+    return false;
+  }
+
   toContractParameter(): ContractParameter {
     throw new Error('Not Implemented');
   }
@@ -0,0 +1,110 @@
+/* @flow */
+import { InvalidEnumeratorStateError } from './errors';
+import type { StackItem } from './StackItem';
+
+export interface StackItemEnumerator {
+  next(): boolean;
+  value(): StackItem;
+}
+
+export interface StackItemIterator extends StackItemEnumerator {
+  key(): StackItem;
+}
+
+export type StackItemIteratorEntry = {|
+  key: StackItem,
+  value: StackItem,
+|};
+
+// Positioned before the first entry until next is called, like the C# node.
+export class ArrayLikeIterator implements StackItemIterator {
+  _entries: Array<StackItemIteratorEntry>;
+  _index: number;
+
+  constructor(entries: Array<StackItemIteratorEntry>) {
+    this._entries = entries;
+    this._index = -1;
+  }
+
+  next(): boolean {
+    if (this._index < this._entries.length) {
+      this._index += 1;
+    }
+
+    return this._index < this._entries.length;
+  }
+
+  key(): StackItem {
+    return this._getCurrent().key;
+  }
+
+  value(): StackItem {
+    return this._getCurrent().value;
+  }
+
+  _getCurrent(): StackItemIteratorEntry {
+    const entry = this._entries[this._index];
+    if (entry == null) {
+      throw new InvalidEnumeratorStateError();
+    }
+
+    return entry;
+  }
+}
+
+export class ConcatEnumerator implements StackItemEnumerator {
+  _first: StackItemEnumerator;
+  _second: StackItemEnumerator;
+  _current: StackItemEnumerator;
+
+  constructor(first: StackItemEnumerator, second: StackItemEnumerator) {
+    this._first = first;
+    this._second = second;
+    this._current = first;
+  }
+
+  next(): boolean {
+    if (this._current === this._first && this._first.next()) {
+      return true;
+    }
+    this._current = this._second;
+
+    return this._second.next();
+  }
+
+  value(): StackItem {
+    return this._current.value();
+  }
+}
+
+export class IteratorKeysEnumerator implements StackItemEnumerator {
+  _iterator: StackItemIterator;
+
+  constructor(iterator: StackItemIterator) {
+    this._iterator = iterator;
+  }
+
+  next(): boolean {
+    return this._iterator.next();
+  }
+
+  value(): StackItem {
+    return this._iterator.key();
+  }
+}
+
+export class IteratorValuesEnumerator implements StackItemEnumerator {
+  _iterator: StackItemIterator;
+
+  constructor(iterator: StackItemIterator) {
+    this._iterator = iterator;
+  }
+
+  next(): boolean {
+    return this._iterator.next();
+  }
+
+  value(): StackItem {
+    return this._iterator.value();
+  }
+}
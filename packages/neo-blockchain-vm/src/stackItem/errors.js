@@ -89,3 +89,33 @@ export class InvalidValueStorageContextStackItemError extends Error {
     super('Invalid Value. Expected StorageContextStackItem');
   }
 }
+
+export class InvalidValueEnumeratorError extends Error {
+  constructor() {
+    super('Invalid Value. Expected Enumerator');
+  }
+}
+
+export class InvalidValueIteratorError extends Error {
+  constructor() {
+    super('Invalid Value. Expected Iterator');
+  }
+}
+
+export class InvalidEnumeratorStateError extends Error {
+  constructor() {
+    super('Enumerator is not positioned on a value');
+  }
+}
+
+export class InvalidValueMapStackItemError extends Error {
+  constructor() {
+    super('Invalid Value. Expected MapStackItem');
+  }
+}
+
+export class InvalidMapKeyError extends Error {
+  constructor() {
+    super('Invalid Map Key. Expected a primitive value');
+  }
+}
@@ -18,5 +18,19 @@ export { default as ValidatorStackItem } from './ValidatorStackItem';
 export { default as StorageContextStackItem } from './StorageContextStackItem';
 export { default as ECPointStackItem } from './ECPointStackItem';
 export { default as StructStackItem } from './StructStackItem';
+export { default as EnumeratorStackItem } from './EnumeratorStackItem';
+export { default as IteratorStackItem } from './IteratorStackItem';
+export { default as MapStackItem } from './MapStackItem';
+export {
+  ArrayLikeIterator,
+  ConcatEnumerator,
+  IteratorKeysEnumerator,
+  IteratorValuesEnumerator,
+} from './StackItemEnumerator';
 
 export type { StackItem } from './StackItem';
+export type {
+  StackItemEnumerator,
+  StackItemIterator,
+  StackItemIteratorEntry,
+} from './StackItemEnumerator';
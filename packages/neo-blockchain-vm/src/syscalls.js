@@ -35,15 +35,21 @@ import {
   BufferStackItem,
   ContractStackItem,
   ECPointStackItem,
+  EnumeratorStackItem,
   HeaderStackItem,
   IntegerStackItem,
   InputStackItem,
+  IteratorStackItem,
   OutputStackItem,
   StorageContextStackItem,
   TransactionStackItem,
   UInt160StackItem,
   UInt256StackItem,
   ValidatorStackItem,
+  ArrayLikeIterator,
+  ConcatEnumerator,
+  IteratorKeysEnumerator,
+  IteratorValuesEnumerator,
 } from './stackItem';
 import {
   type ExecutionContext,
@@ -72,6 +78,13 @@ import vmUtils from './vmUtils';
 
 export type CreateSysCallArgs = {| context: ExecutionContext |};
 export type CreateSysCall = (input: CreateSysCallArgs) => SysCall;
+// Static metadata of a syscall along with the factory that binds it to an
+// execution context.
+export type SysCallDefinition = {|
+  name: SysCallName,
+  in: number,
+  create: CreateSysCall,
+|};
 export const createSysCall = ({
   name,
   in: in_,
@@ -98,20 +111,24 @@ export const createSysCall = ({
   item?: number,
   fee?: BN,
   invoke: OpInvoke,
-|}): CreateSysCall => ({ context }) => ({
-  context,
+|}): SysCallDefinition => ({
   name,
   in: in_ || 0,
-  inAlt: inAlt || 0,
-  out: out || 0,
-  outAlt: outAlt || 0,
-  modify: modify || 0,
-  modifyAlt: modifyAlt || 0,
-  invocation: invocation || 0,
-  array: array || 0,
-  item: item || 0,
-  fee: fee || utils.ZERO,
-  invoke,
+  create: ({ context }) => ({
+    context,
+    name,
+    in: in_ || 0,
+    inAlt: inAlt || 0,
+    out: out || 0,
+    outAlt: outAlt || 0,
+    modify: modify || 0,
+    modifyAlt: modifyAlt || 0,
+    invocation: invocation || 0,
+    array: array || 0,
+    item: item || 0,
+    fee: fee || utils.ZERO,
+    invoke,
+  }),
 });
 
 const getHashOrIndex = ({ arg }: { arg: StackItem }): ?(UInt256 | number) => {
@@ -255,6 +272,24 @@ const checkStorage = async ({
   return contract;
 };
 
+// Arrays are keyed by index, maps by their keys in insertion order.
+const createIterator = (item: StackItem): ArrayLikeIterator => {
+  if (item.isMap()) {
+    const map = item.asMapStackItem();
+    const values = map.values();
+    return new ArrayLikeIterator(
+      map.keys().map((key, idx) => ({ key, value: values[idx] })),
+    );
+  }
+
+  return new ArrayLikeIterator(
+    item.asArray().map((value, idx) => ({
+      key: new IntegerStackItem(new BN(idx)),
+      value,
+    })),
+  );
+};
+
 export const SYSCALLS = {
   'Neo.Runtime.GetTrigger': createSysCall({
     name: 'Neo.Runtime.GetTrigger',
@@ -1111,6 +1146,112 @@ export const SYSCALLS = {
       return { context };
     },
   }),
+  'Neo.Storage.Find': createSysCall({
+    name: 'Neo.Storage.Find',
+    in: 2,
+    out: 1,
+    invoke: async ({ context, args }: OpInvokeArgs) => {
+      const hash = vmUtils.toStorageContext(context, args[0]).value;
+      await checkStorage({ context, hash });
+      const prefix = args[1].asBuffer();
+      const items = await context.blockchain.storageItem
+        .getAll({ hash, prefix })
+        .toArray()
+        .toPromise();
+      const entries = items.sort((a, b) => a.key.compare(b.key)).map(item => ({
+        key: new BufferStackItem(item.key),
+        value: new BufferStackItem(item.value),
+      }));
+      return {
+        context,
+        results: [new IteratorStackItem(new ArrayLikeIterator(entries))],
+      };
+    },
+  }),
+  'Neo.Iterator.Create': createSysCall({
+    name: 'Neo.Iterator.Create',
+    in: 1,
+    out: 1,
+    invoke: ({ context, args }: OpInvokeArgs) => ({
+      context,
+      results: [new IteratorStackItem(createIterator(args[0]))],
+    }),
+  }),
+  'Neo.Iterator.Key': createSysCall({
+    name: 'Neo.Iterator.Key',
+    in: 1,
+    out: 1,
+    invoke: ({ context, args }: OpInvokeArgs) => ({
+      context,
+      results: [args[0].asIterator().key()],
+    }),
+  }),
+  'Neo.Iterator.Keys': createSysCall({
+    name: 'Neo.Iterator.Keys',
+    in: 1,
+    out: 1,
+    invoke: ({ context, args }: OpInvokeArgs) => ({
+      context,
+      results: [
+        new EnumeratorStackItem(
+          new IteratorKeysEnumerator(args[0].asIterator()),
+        ),
+      ],
+    }),
+  }),
+  'Neo.Iterator.Values': createSysCall({
+    name: 'Neo.Iterator.Values',
+    in: 1,
+    out: 1,
+    invoke: ({ context, args }: OpInvokeArgs) => ({
+      context,
+      results: [
+        new EnumeratorStackItem(
+          new IteratorValuesEnumerator(args[0].asIterator()),
+        ),
+      ],
+    }),
+  }),
+  'Neo.Enumerator.Create': createSysCall({
+    name: 'Neo.Enumerator.Create',
+    in: 1,
+    out: 1,
+    invoke: ({ context, args }: OpInvokeArgs) => ({
+      context,
+      results: [new EnumeratorStackItem(createIterator(args[0]))],
+    }),
+  }),
+  'Neo.Enumerator.Next': createSysCall({
+    name: 'Neo.Enumerator.Next',
+    in: 1,
+    out: 1,
+    invoke: ({ context, args }: OpInvokeArgs) => ({
+      context,
+      results: [new BooleanStackItem(args[0].asEnumerator().next())],
+    }),
+  }),
+  'Neo.Enumerator.Value': createSysCall({
+    name: 'Neo.Enumerator.Value',
+    in: 1,
+    out: 1,
+    invoke: ({ context, args }: OpInvokeArgs) => ({
+      context,
+      results: [args[0].asEnumerator().value()],
+    }),
+  }),
+  'Neo.Enumerator.Concat': createSysCall({
+    name: 'Neo.Enumerator.Concat',
+    in: 2,
+    out: 1,
+    invoke: ({ context, args }: OpInvokeArgs) => ({
+      context,
+      results: [
+        new EnumeratorStackItem(
+          new ConcatEnumerator(args[0].asEnumerator(), args[1].asEnumerator()),
+        ),
+      ],
+    }),
+  }),
   'System.ExecutionEngine.GetScriptContainer': createSysCall({
     name: 'System.ExecutionEngine.GetScriptContainer',
     out: 1,
@@ -1221,20 +1362,38 @@ export const SYSCALL_ALIASES = {
   'AntShares.Contract.Destroy': 'Neo.Contract.Destroy',
   'AntShares.Storage.Put': 'Neo.Storage.Put',
   'AntShares.Storage.Delete': 'Neo.Storage.Delete',
+  'Neo.Iterator.Next': 'Neo.Enumerator.Next',
+  'Neo.Iterator.Value': 'Neo.Enumerator.Value',
 };
 
 const SYS_CALL_STRING_LENGTH = 252;
 
+const getSysCallDefinition = (sysCallName: string) => {
+  const canonicalName =
+    SYSCALL_ALIASES[(sysCallName: $FlowFixMe)] || sysCallName;
+  return SYSCALLS[(canonicalName: $FlowFixMe)];
+};
+
+// Reads the name and argument count of the SYSCALL whose name starts at pc.
+export const readSysCall = (
+  code: Buffer,
+  pc: number,
+): {| name: string, in: number |} => {
+  const reader = new BinaryReader(code, pc);
+  const name = utils.toASCII(reader.readVarBytesLE(SYS_CALL_STRING_LENGTH));
+  const definition = getSysCallDefinition(name);
+
+  return { name, in: definition == null ? 0 : definition.in };
+};
+
 export const lookupSysCall = ({ context }: {| context: ExecutionContext |}) => {
   const { code, pc } = context;
   const reader = new BinaryReader(code, pc);
 
   const sysCallBytes = reader.readVarBytesLE(SYS_CALL_STRING_LENGTH);
   const sysCallName = utils.toASCII(sysCallBytes);
-  const canonicalName =
-    SYSCALL_ALIASES[(sysCallName: $FlowFixMe)] || sysCallName;
-  const createCall = SYSCALLS[(canonicalName: $FlowFixMe)];
-  if (createCall == null) {
+  const definition = getSysCallDefinition(sysCallName);
+  if (definition == null) {
     throw new UnknownSysCallError(context, sysCallName);
   }
 
@@ -1242,5 +1401,5 @@ export const lookupSysCall = ({ context }: {| context: ExecutionContext |}) => {
     ...context,
     pc: reader.index,
   };
-  return createCall({ context: nextContext });
+  return definition.create({ context: nextContext });
 };